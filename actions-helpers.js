@@ -34,12 +34,13 @@ function speedOfSound_mps(tempC) {
 /**
  * Build matrix input choices with live names
  * @param {Object} self - Module instance
- * @returns {Array} Choices array for matrix inputs (1-32)
+ * @param {number} MATRIX_INPUTS - Number of matrix inputs
+ * @returns {Array} Choices array for matrix inputs
  */
-function buildMatrixInputChoices(self) {
+function buildMatrixInputChoices(self, MATRIX_INPUTS = 32) {
 	if (!self) return [{ id: '1', label: '1' }]
 	const choices = []
-	for (let i = 1; i <= 32; i++) {
+	for (let i = 1; i <= MATRIX_INPUTS; i++) {
 		const nm = self?.inputName?.[i]
 		const theLabel = nm && String(nm).trim() !== '' ? `${i} - ${nm}` : `${i}`
 		choices.push({ id: String(i), label: theLabel })
@@ -99,6 +100,33 @@ function buildActiveSnapshotLabel(self) {
 	return `Active snapshot: ${pieces.join(' — ')}`
 }
 
+/**
+ * Build the "Device(s)" choices: all devices, the primary connection, then each additional Galaxy
+ * @param {Object} self - Module instance
+ * @returns {Array} Choices array for device targets
+ */
+function buildDeviceChoices(self) {
+	const primaryAlias = String(self?.config?.device_alias ?? '').trim() || 'Main'
+	return [
+		{ id: 'all', label: 'All devices' },
+		{ id: self.deviceId, label: primaryAlias },
+		...(self._devices || []).map((d) => ({ id: d.deviceId, label: d.deviceAlias })),
+	]
+}
+
+/**
+ * Resolve a "Device(s)" selection to device contexts (empty selection = primary device)
+ * @param {Object} self - Module instance
+ * @param {string|string[]} selected - Selected device ids
+ * @returns {Object[]} Device contexts to run the action against
+ */
+function resolveDeviceTargets(self, selected) {
+	const ids = (Array.isArray(selected) ? selected : [selected]).filter((id) => id !== undefined && id !== '')
+	if (ids.length === 0) return [self]
+	if (ids.includes('all')) return [self, ...(self._devices || [])]
+	return ids.map((id) => self._findDevice(id)).filter((d) => !!d)
+}
+
 module.exports = {
 	safeGetChannels,
 	speedOfSound_mps,
@@ -106,4 +134,6 @@ module.exports = {
 	buildMatrixOutputChoices,
 	quoteSnapshotArg,
 	buildActiveSnapshotLabel,
+	buildDeviceChoices,
+	resolveDeviceTargets,
 }
@@ -8,14 +8,32 @@ const { registerSnapshotActions } = require('./snapshots')
 const { registerSystemActions } = require('./system')
 const { registerArrayDesignActions } = require('./array-design')
 const { registerSubwooferDesignActions } = require('./subwoofer-design')
+const { registerSceneActions } = require('./scenes')
+const { buildDeviceChoices, resolveDeviceTargets } = require('../actions-helpers')
+const { isMonitorSafeAction, subscribeOnUse } = require('../helpers')
+
+// Design actions, the state import, scene recalls and undo/redo can send hundreds of lines: they get their own "Dry run" option (config
+// dry_run covers every action) and are sent through the paced bulk sender
+const BULK_ACTIONS = [
+	'line_array_design',
+	'lmbc_configure',
+	'subassist_combined',
+	'output_hf_attenuation',
+	'output_product_integration_set',
+	'system_state_import',
+	'scene_recall',
+	'system_undo',
+	'system_redo',
+]
 
 /**
  * Register all action definitions
  * @param {Object} self - Module instance
  * @param {number} NUM_INPUTS - Number of input channels
  * @param {number} NUM_OUTPUTS - Number of output channels
+ * @param {number} MATRIX_INPUTS - Number of matrix inputs
  */
-module.exports = function UpdateActions(self, NUM_INPUTS, NUM_OUTPUTS) {
+module.exports = function UpdateActions(self, NUM_INPUTS, NUM_OUTPUTS, MATRIX_INPUTS = 32) {
 	if (!self) {
 		console.error('UpdateActions: self is required')
 		return
@@ -36,17 +54,174 @@ module.exports = function UpdateActions(self, NUM_INPUTS, NUM_OUTPUTS) {
 	self.inMute = self.inMute || {}
 	self.outMute = self.outMute || {}
 
+	const actions = buildActionSet(self, NUM_INPUTS, NUM_OUTPUTS, MATRIX_INPUTS)
+	if (self._devices?.length > 0) addDeviceTargets(actions, self)
+	refuseInMonitorMode(actions, self)
+	captureDryRun(actions, self)
+	sendInBulk(actions, self)
+	recordUndo(actions, self)
+	trackActionSource(actions, self)
+	subscribeOnUse(actions, self, true)
+
+	// Register all actions with Companion
+	self.setActionDefinitions(actions)
+}
+
+function buildActionSet(self, NUM_INPUTS, NUM_OUTPUTS, MATRIX_INPUTS) {
 	const actions = {}
 
 	// Register actions from each category
 	registerInputActions(actions, self, NUM_INPUTS, NUM_OUTPUTS)
 	registerOutputActions(actions, self, NUM_INPUTS, NUM_OUTPUTS)
-	registerMatrixActions(actions, self, NUM_INPUTS, NUM_OUTPUTS)
+	registerMatrixActions(actions, self, NUM_INPUTS, NUM_OUTPUTS, MATRIX_INPUTS)
 	registerSnapshotActions(actions, self, NUM_INPUTS, NUM_OUTPUTS)
-	registerSystemActions(actions, self, NUM_INPUTS, NUM_OUTPUTS)
+	registerSystemActions(actions, self, NUM_INPUTS, NUM_OUTPUTS, MATRIX_INPUTS)
 	registerArrayDesignActions(actions, self, NUM_INPUTS, NUM_OUTPUTS)
 	registerSubwooferDesignActions(actions, self, NUM_INPUTS, NUM_OUTPUTS)
+	registerSceneActions(actions, self)
 
-	// Register all actions with Companion
-	self.setActionDefinitions(actions)
+	return actions
+}
+
+/**
+ * Run every action callback as its own action run (main.js _runAction), so the commands it sends can be traced back
+ * to it (device error replies are reported with the action that caused them) and captured by its dry run, even while
+ * other actions, fades or bulk writes send meanwhile.
+ * @param {Object} actions - Action definitions (modified in place)
+ * @param {Object} self - Module instance
+ */
+function trackActionSource(actions, self) {
+	for (const def of Object.values(actions)) {
+		const callback = def.callback
+		if (typeof callback !== 'function') continue
+		def.callback = (event, context) => self._runAction(def.name, () => callback(event, context))
+	}
+}
+
+/**
+ * In monitor-only mode (config read_only) actions that change the Galaxy log a refusal instead of running, so
+ * neither the device nor the local caches are touched. Checked on every run, the setting can change at any time.
+ * @param {Object} actions - Action definitions (modified in place)
+ * @param {Object} self - Module instance
+ */
+function refuseInMonitorMode(actions, self) {
+	for (const [actionId, def] of Object.entries(actions)) {
+		const callback = def.callback
+		if (typeof callback !== 'function' || isMonitorSafeAction(actionId)) continue
+		def.callback = (event, context) => {
+			if (self.config?.read_only) {
+				self.log?.('warn', `Monitor-only mode: "${def.name}" not run`)
+				return
+			}
+			return callback(event, context)
+		}
+	}
+}
+
+/**
+ * Run actions as a dry run when config dry_run is on or their "Dry run" option is ticked: the commands they would
+ * send are collected, logged (and optionally written to a file) by the instance instead of going to the Galaxy.
+ * @param {Object} actions - Action definitions (modified in place)
+ * @param {Object} self - Module instance
+ */
+function captureDryRun(actions, self) {
+	for (const actionId of BULK_ACTIONS) {
+		actions[actionId]?.options?.push({
+			type: 'checkbox',
+			id: 'dry_run',
+			label: 'Dry run (log the commands instead of sending them)',
+			default: false,
+		})
+	}
+
+	for (const def of Object.values(actions)) {
+		const callback = def.callback
+		if (typeof callback !== 'function') continue
+		def.callback = async (event, context) => {
+			if (!self.config?.dry_run && !event.options?.dry_run) return callback(event, context)
+			const run = self._dryRunBegin(def.name)
+			try {
+				return await callback(event, context)
+			} finally {
+				self._dryRunEnd(run)
+			}
+		}
+	}
+}
+
+/**
+ * Record the parameters each action run changes as one step of the instance's undo history ("System: Undo").
+ * Undo and redo themselves move between steps instead of adding one.
+ * @param {Object} actions - Action definitions (modified in place)
+ * @param {Object} self - Module instance
+ */
+function recordUndo(actions, self) {
+	for (const [actionId, def] of Object.entries(actions)) {
+		const callback = def.callback
+		if (typeof callback !== 'function' || actionId === 'system_undo' || actionId === 'system_redo') continue
+		def.callback = async (event, context) => {
+			const step = self._undoBegin(def.name)
+			try {
+				return await callback(event, context)
+			} finally {
+				self._undoEnd(step)
+			}
+		}
+	}
+}
+
+/**
+ * Collect what a design action sends and hand it to the instance's bulk sender, which paces large command lists
+ * (progress in bulk_progress / bulk_remaining, cancelled with "System: Cancel bulk write").
+ * @param {Object} actions - Action definitions (modified in place)
+ * @param {Object} self - Module instance
+ */
+function sendInBulk(actions, self) {
+	for (const actionId of BULK_ACTIONS) {
+		const def = actions[actionId]
+		const callback = def?.callback
+		if (typeof callback !== 'function') continue
+		def.callback = async (event, context) => {
+			const entries = self._bulkCaptureBegin()
+			try {
+				return await callback(event, context)
+			} finally {
+				self._bulkCaptureEnd(entries, def.name)
+			}
+		}
+	}
+}
+
+/**
+ * Add a "Device(s)" option to every action. Each additional Galaxy gets its own action set, built against its
+ * device context, so a callback always reads and writes the caches of the device it targets.
+ * @param {Object} actions - Primary device actions (modified in place)
+ * @param {Object} self - Module instance
+ */
+function addDeviceTargets(actions, self) {
+	const perDevice = new Map()
+	for (const dev of self._devices) {
+		perDevice.set(dev, buildActionSet(dev, dev.numInputs, dev.numOutputs, dev.matrixInputs))
+	}
+
+	const deviceOption = {
+		type: 'multidropdown',
+		id: 'devices',
+		label: 'Device(s)',
+		default: [],
+		choices: buildDeviceChoices(self),
+		minSelection: 0,
+		tooltip: 'Leave empty to target the primary device',
+	}
+
+	for (const [actionId, def] of Object.entries(actions)) {
+		const primaryCallback = def.callback
+		def.options = [deviceOption, ...(def.options || [])]
+		def.callback = async (event, context) => {
+			for (const target of resolveDeviceTargets(self, event.options?.devices)) {
+				const callback = target === self ? primaryCallback : perDevice.get(target)?.[actionId]?.callback
+				if (typeof callback === 'function') await callback(event, context)
+			}
+		}
+	}
 }
@@ -9,9 +9,10 @@ const { safeGetChannels, buildMatrixInputChoices, buildMatrixOutputChoices } = r
  * @param {Object} self - Module instance
  * @param {number} NUM_INPUTS - Number of input channels
  * @param {number} NUM_OUTPUTS - Number of output channels
+ * @param {number} MATRIX_INPUTS - Number of matrix inputs
  */
-function registerMatrixActions(actions, self, NUM_INPUTS, NUM_OUTPUTS) {
-	const matrixInputChoices = buildMatrixInputChoices(self)
+function registerMatrixActions(actions, self, NUM_INPUTS, NUM_OUTPUTS, MATRIX_INPUTS = 32) {
+	const matrixInputChoices = buildMatrixInputChoices(self, MATRIX_INPUTS)
 	const matrixOutputChoices = buildMatrixOutputChoices(self, NUM_OUTPUTS)
 
 	// =========================
@@ -104,7 +105,7 @@ function registerMatrixActions(actions, self, NUM_INPUTS, NUM_OUTPUTS) {
 		],
 		callback: (e) => {
 			if (!self) return
-			const inputs = safeGetChannels(e.options, 'matrix_inputs', 32)
+			const inputs = safeGetChannels(e.options, 'matrix_inputs', MATRIX_INPUTS)
 			const outs = safeGetChannels(e.options, 'matrix_outputs', NUM_OUTPUTS)
 			if (inputs.length === 0 || outs.length === 0) {
 				self.log?.('warn', 'No valid matrix channels selected')
@@ -201,7 +202,7 @@ function registerMatrixActions(actions, self, NUM_INPUTS, NUM_OUTPUTS) {
 		],
 		callback: (e) => {
 			if (!self) return
-			const inputs = safeGetChannels(e.options, 'matrix_inputs', 32)
+			const inputs = safeGetChannels(e.options, 'matrix_inputs', MATRIX_INPUTS)
 			const outs = safeGetChannels(e.options, 'matrix_outputs', NUM_OUTPUTS)
 			if (inputs.length === 0 || outs.length === 0) {
 				self.log?.('warn', 'No valid matrix channels selected')
@@ -0,0 +1,100 @@
+// actions/scenes.js
+// Module-side partial scenes: store, recall and delete
+
+const { SCENE_SCOPES, DEFAULT_SCENE_SCOPES } = require('../scenes')
+
+/**
+ * Register scene actions
+ * @param {Object} actions - Actions object to populate
+ * @param {Object} self - Module instance
+ */
+function registerSceneActions(actions, self) {
+	const scopeChoices = Object.entries(SCENE_SCOPES).map(([id, scope]) => ({ id, label: scope.label }))
+	const sceneChoices = Object.keys((self?._root || self)?._scenes ?? {}).map((name) => ({ id: name, label: name }))
+	const sceneOption = {
+		type: 'dropdown',
+		id: 'scene',
+		label: 'Scene',
+		default: sceneChoices[0]?.id ?? '',
+		choices: sceneChoices,
+		allowCustom: true,
+	}
+
+	actions['scene_store'] = {
+		name: 'Scene: Store',
+		description:
+			'Save the current values of the chosen scopes in the module (not on the Galaxy). A scene with the same name is replaced.',
+		options: [
+			{
+				type: 'textinput',
+				id: 'name',
+				label: 'Name',
+				default: 'Scene 1',
+				useVariables: true,
+			},
+			{
+				type: 'multidropdown',
+				id: 'scopes',
+				label: 'Scope',
+				default: DEFAULT_SCENE_SCOPES,
+				choices: scopeChoices,
+				minSelection: 1,
+			},
+		],
+		callback: async (e) => {
+			if (!self || typeof self._storeScene !== 'function') return
+			const name = (await self.parseVariablesInString(String(e.options.name ?? ''))).trim()
+			const scopes = (Array.isArray(e.options.scopes) ? e.options.scopes : []).filter((id) => id in SCENE_SCOPES)
+			if (!name || scopes.length === 0) {
+				self.log?.('warn', 'Scene: Store needs a name and at least one scope')
+				return
+			}
+			self._storeScene(name, scopes)
+		},
+	}
+
+	actions['scene_recall'] = {
+		name: 'Scene: Recall',
+		description: 'Send the values of a stored scene that differ from the current ones. Gains can fade.',
+		options: [
+			sceneOption,
+			{
+				type: 'number',
+				id: 'fadeMs',
+				label: 'Fade duration (ms)',
+				default: 0,
+				min: 0,
+				max: 600000,
+				step: 10,
+			},
+			{
+				type: 'dropdown',
+				id: 'curve',
+				label: 'Curve (used if fading)',
+				default: 'linear',
+				choices: [
+					{ id: 'linear', label: 'Linear (dB)' },
+					{ id: 'log', label: 'Logarithmic' },
+				],
+			},
+		],
+		callback: async (e) => {
+			if (!self || typeof self._recallScene !== 'function') return
+			const name = (await self.parseVariablesInString(String(e.options.scene ?? ''))).trim()
+			const dur = Math.max(0, Number(e.options.fadeMs) || 0)
+			const curve = e.options.curve === 'log' ? 'log' : 'linear'
+			self._recallScene(name, dur, curve)
+		},
+	}
+
+	actions['scene_delete'] = {
+		name: 'Scene: Delete',
+		options: [sceneOption],
+		callback: async (e) => {
+			if (!self || typeof self._deleteScene !== 'function') return
+			self._deleteScene((await self.parseVariablesInString(String(e.options.scene ?? ''))).trim())
+		},
+	}
+}
+
+module.exports = { registerSceneActions }
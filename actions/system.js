@@ -9,7 +9,9 @@ const {
 	buildOutputChoices,
 	nn,
 } = require('../helpers')
+const fs = require('fs')
 const { buildMatrixInputChoices, safeGetChannels } = require('../actions-helpers')
+const { STATE_SECTIONS, OTHER_SECTION } = require('../state')
 
 /**
  * Register system-related actions
@@ -17,8 +19,9 @@ const { buildMatrixInputChoices, safeGetChannels } = require('../actions-helpers
  * @param {Object} self - Module instance
  * @param {number} NUM_INPUTS - Number of input channels
  * @param {number} NUM_OUTPUTS - Number of output channels
+ * @param {number} MATRIX_INPUTS - Number of matrix inputs
  */
-function registerSystemActions(actions, self, NUM_INPUTS, NUM_OUTPUTS) {
+function registerSystemActions(actions, self, NUM_INPUTS, NUM_OUTPUTS, MATRIX_INPUTS = 32) {
 	// Build choices arrays
 	const inputChoices = buildInputChoices(self, NUM_INPUTS)
 	const outputChoices = buildOutputChoices(self, NUM_OUTPUTS)
@@ -51,7 +54,7 @@ function registerSystemActions(actions, self, NUM_INPUTS, NUM_OUTPUTS) {
 	// =========================
 
 	actions['system_input_mode_set'] = {
-		name: 'System: Set input mode (Inputs 1-8)',
+		name: `System: Set input mode (Inputs 1-${NUM_INPUTS})`,
 		options: [
 			{
 				type: 'multidropdown',
@@ -107,7 +110,7 @@ function registerSystemActions(actions, self, NUM_INPUTS, NUM_OUTPUTS) {
 				id: 'input',
 				label: 'Galaxy input / matrix input',
 				default: '1',
-				choices: buildMatrixInputChoices(self),
+				choices: buildMatrixInputChoices(self, MATRIX_INPUTS),
 			},
 			{ type: 'textinput', id: 'groupP', label: 'Primary group', default: 'HQ.Audio' },
 			{ type: 'textinput', id: 'entityP', label: 'Primary entity', default: 'GX 1 L' },
@@ -751,6 +754,278 @@ function registerSystemActions(actions, self, NUM_INPUTS, NUM_OUTPUTS) {
 			self.log?.('info', `Clock source command sent: ${cmd}`)
 		},
 	}
+
+	// =========================
+	// === EXTERNAL CHANGES ====
+	// =========================
+
+	actions['system_external_change_reference'] = {
+		name: 'System: Mark reference point for external changes',
+		description:
+			'Reset the external change counter (and the "System: Modified outside Companion" feedback) so only changes made from now on are counted.',
+		options: [],
+		callback: () => {
+			if (!self || typeof self._markExternalReference !== 'function') return
+			self._markExternalReference()
+			self.log?.('info', 'External changes: reference point set')
+		},
+	}
+
+	// =========================
+	// ===== STATE EXPORT ======
+	// =========================
+
+	actions['system_state_export'] = {
+		name: 'System: Export state to JSON file',
+		description:
+			'Write everything the module knows about the Galaxy (levels, EQ, filters, matrix, names, link groups, snapshots...) to a versioned JSON document with model, firmware and time. Also available over HTTP: GET /instance/<connection label>/state',
+		options: [
+			{
+				type: 'textinput',
+				id: 'folder',
+				label: 'Folder (empty = companion-galaxy-state in the home folder)',
+				default: '',
+				useVariables: true,
+			},
+			{
+				type: 'textinput',
+				id: 'file_name',
+				label: 'File name (empty = <device>-<date>.json, one per show day)',
+				default: '',
+				useVariables: true,
+			},
+		],
+		callback: async (e) => {
+			if (!self || typeof self._writeStateFile !== 'function') return
+			const folder = await self.parseVariablesInString(String(e.options.folder ?? ''))
+			const fileName = await self.parseVariablesInString(String(e.options.file_name ?? ''))
+			try {
+				await self._writeStateFile(folder, fileName)
+			} catch (err) {
+				self.log?.('error', `State export failed: ${err?.message || err}`)
+			}
+		},
+	}
+
+	// Where an import or diff reads its state document from
+	const stateSourceOptions = [
+		{
+			type: 'dropdown',
+			id: 'source',
+			label: 'Source',
+			default: 'file',
+			choices: [
+				{ id: 'file', label: 'File' },
+				{ id: 'text', label: 'Pasted JSON' },
+			],
+		},
+		{
+			type: 'textinput',
+			id: 'file',
+			label: 'File path',
+			default: '',
+			useVariables: true,
+			isVisible: (o) => o.source === 'file',
+		},
+		{
+			type: 'textinput',
+			id: 'text',
+			label: 'State JSON',
+			default: '',
+			multiline: true,
+			isVisible: (o) => o.source === 'text',
+		},
+	]
+	const readStateSource = async (options) => {
+		if (options.source !== 'file') return options.text
+		const file = String((await self.parseVariablesInString(String(options.file ?? ''))) ?? '').trim()
+		if (!file) throw new Error('no file given')
+		return fs.promises.readFile(file, 'utf8')
+	}
+
+	actions['system_state_import'] = {
+		name: 'System: Import state from JSON',
+		description:
+			'Apply an exported state document to the connected Galaxy. Only parameters that differ are sent, paced like the design actions. Use Preview first to see how many would change.',
+		options: [
+			{
+				type: 'dropdown',
+				id: 'mode',
+				label: 'Mode',
+				default: 'preview',
+				choices: [
+					{ id: 'preview', label: 'Preview (count changes only)' },
+					{ id: 'apply', label: 'Apply' },
+				],
+			},
+			...stateSourceOptions,
+			{
+				type: 'multidropdown',
+				id: 'sections',
+				label: 'Sections',
+				default: STATE_SECTIONS.map((section) => section.id),
+				choices: STATE_SECTIONS.map((section) => ({ id: section.id, label: section.label })),
+				minSelection: 1,
+			},
+		],
+		callback: async (e) => {
+			if (!self || typeof self._importState !== 'function') return
+			// Runs in monitor-only mode (helpers.js MONITOR_SAFE_ACTION_RE) for the preview, which sends nothing
+			if (e.options.mode === 'apply' && self.config?.read_only) {
+				self.log?.('warn', 'Monitor-only mode: "System: Import state from JSON" not applied')
+				return
+			}
+			const sections = Array.isArray(e.options.sections) ? e.options.sections : []
+			try {
+				self._importState(await readStateSource(e.options), sections, e.options.mode === 'apply')
+			} catch (err) {
+				self.log?.('error', `State import failed: ${err?.message || err}`)
+			}
+		},
+	}
+
+	actions['system_state_diff'] = {
+		name: 'System: Compare with saved state',
+		description:
+			'Log every parameter that differs from an exported state document (path, expected, actual). The document stays the reference of the compared device for state_diff_count (device_<id>_state_diff_count on an additional Galaxy) and the "System: Matches reference state" feedback.',
+		options: [
+			...stateSourceOptions,
+			{
+				type: 'multidropdown',
+				id: 'sections',
+				label: 'Sections',
+				default: STATE_SECTIONS.map((section) => section.id),
+				choices: [...STATE_SECTIONS, OTHER_SECTION].map((section) => ({ id: section.id, label: section.label })),
+				minSelection: 1,
+			},
+		],
+		callback: async (e) => {
+			if (!self || typeof self._diffState !== 'function') return
+			const sections = Array.isArray(e.options.sections) ? e.options.sections : []
+			try {
+				self._diffState(await readStateSource(e.options), sections)
+			} catch (err) {
+				self.log?.('error', `State compare failed: ${err?.message || err}`)
+			}
+		},
+	}
+
+	// =========================
+	// ====== BULK WRITE =======
+	// =========================
+
+	actions['system_bulk_cancel'] = {
+		name: 'System: Cancel bulk write',
+		description:
+			'Stop a paced design action (line array, SubAssist, product integration...) before all its commands are sent. The parameters it had not reached yet are read back from the Galaxy.',
+		options: [],
+		callback: () => {
+			// The bulk job belongs to the module instance, not to a device context
+			const root = self?._root || self
+			if (!root || typeof root._bulkCancel !== 'function') return
+			if (!root._bulk) {
+				self.log?.('info', 'Bulk write: nothing to cancel')
+				return
+			}
+			root._bulkCancel()
+		},
+	}
+
+	// =========================
+	// ====== UNDO / REDO ======
+	// =========================
+
+	actions['system_undo'] = {
+		name: 'System: Undo',
+		description:
+			'Put back the parameters changed by the last action run from Companion (any action, any device). undo_next describes the step.',
+		options: [],
+		callback: () => {
+			// The history belongs to the module instance, not to a device context
+			const root = self?._root || self
+			if (typeof root?._undo === 'function') root._undo()
+		},
+	}
+
+	actions['system_redo'] = {
+		name: 'System: Redo',
+		description: 'Apply the last undone step again. Running any other action clears what can be redone.',
+		options: [],
+		callback: () => {
+			const root = self?._root || self
+			if (typeof root?._redo === 'function') root._redo()
+		},
+	}
+
+	// =========================
+	// ===== RAW COMMAND =======
+	// =========================
+
+	actions['system_raw_command'] = {
+		name: 'System: Send raw command',
+		description:
+			'Send any Galaxy path (GET), path=value (SET) or colon command, e.g. /processing/output/1/beam_control_allpass/q or :recall_snapshot 3 1. The reply can be stored in a custom variable.',
+		options: [
+			{
+				type: 'textinput',
+				id: 'command',
+				label: 'Command',
+				default: '',
+				useVariables: true,
+				tooltip: "Strings are quoted like the device expects them, e.g. /device/input/1/name='Kick'",
+			},
+			{
+				type: 'checkbox',
+				id: 'wait_reply',
+				label: 'Wait for the reply',
+				default: true,
+			},
+			{
+				type: 'custom-variable',
+				id: 'variable',
+				label: 'Store reply in custom variable',
+				isVisible: (o) => o.wait_reply === true,
+			},
+			{
+				type: 'number',
+				id: 'timeout_ms',
+				label: 'Reply timeout (ms)',
+				default: 2000,
+				min: 100,
+				max: 30000,
+				step: 100,
+				isVisible: (o) => o.wait_reply === true,
+			},
+		],
+		callback: async (e, context) => {
+			if (!self || typeof self._cmdSendLine !== 'function') return
+			const cmd = String((await self.parseVariablesInString(String(e.options.command ?? ''))) ?? '').trim()
+			if (!/^[/:]/.test(cmd)) {
+				self.log?.('warn', `Raw command skipped: "${cmd}" is not a path or colon command`)
+				return
+			}
+			if (e.options.wait_reply !== true) {
+				self._cmdSendLine(cmd)
+				self.log?.('info', `Raw command sent: ${cmd}`)
+				return
+			}
+
+			let reply
+			try {
+				reply = await self._cmdRequest(cmd, Number(e.options.timeout_ms) || undefined)
+			} catch (err) {
+				self.log?.('warn', `Raw command ${cmd}: ${err?.message || err}`)
+				return
+			}
+			// Not sent (monitor-only mode or dry run, already logged): there is no reply to store
+			if (reply === null) return
+			const value = self._cmdReplyValue(reply)
+			self._rawReply = { command: cmd, value }
+			self.setVariableValues?.({ raw_last_command: cmd, raw_last_reply: value })
+			if (e.options.variable) context?.setCustomVariableValue?.(e.options.variable, value)
+			self.log?.('info', `Raw command ${cmd} -> ${value}`)
+		},
+	}
 }
 
 module.exports = { registerSystemActions }
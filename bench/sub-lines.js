@@ -0,0 +1,85 @@
+// bench/sub-lines.js
+// Measures how many subscription lines per second _onSubLine can route and apply.
+// Run with: yarn bench   (optionally: node bench/sub-lines.js <seconds>)
+
+const path = require('path')
+
+// Load main.js against a minimal InstanceBase so no Companion host is needed
+const basePath = require.resolve('@companion-module/base')
+const realBase = require('@companion-module/base')
+let ModuleInstance = null
+class BenchInstanceBase {
+	constructor() {}
+	log() {}
+	updateStatus() {}
+	setVariableValues() {}
+	setVariableDefinitions() {}
+	setActionDefinitions() {}
+	setFeedbackDefinitions() {}
+	setPresetDefinitions() {}
+	checkFeedbacks() {}
+	getVariableValue() {
+		return undefined
+	}
+}
+require.cache[basePath] = {
+	id: basePath,
+	filename: basePath,
+	loaded: true,
+	exports: {
+		...realBase,
+		InstanceBase: BenchInstanceBase,
+		runEntrypoint: (cls) => {
+			ModuleInstance = cls
+		},
+	},
+}
+require(path.join(__dirname, '..', 'main.js'))
+
+function meterLines() {
+	const lines = []
+	for (let ch = 1; ch <= 8; ch++) lines.push(`/status/meter/input/${ch}=-${20 + ch}.5`)
+	for (let ch = 1; ch <= 16; ch++) lines.push(`/status/meter/output/${ch}=-${30 + ch}.5`)
+	for (let mi = 1; mi <= 32; mi++) lines.push(`/status/meter/matrix_input/${mi}=-60.0`)
+	return lines
+}
+
+function mixedLines() {
+	const lines = [...meterLines()]
+	for (let ch = 1; ch <= 8; ch++) {
+		lines.push(`/processing/input/${ch}/mute='false'`, `/processing/input/${ch}/gain=-3.5`)
+		lines.push(`/processing/input/${ch}/eq/2/frequency=1000`, `/device/input/${ch}/name='In ${ch}'`)
+	}
+	for (let ch = 1; ch <= 16; ch++) {
+		lines.push(`/processing/output/${ch}/mute='true'`, `/processing/output/${ch}/gain=-6`)
+		lines.push(`/processing/output/${ch}/highpass/frequency=80`, `/processing/output/${ch}/eq/4/bandwidth=0.5`)
+	}
+	for (let mi = 1; mi <= 32; mi++) {
+		for (let mo = 1; mo <= 16; mo += 3) {
+			lines.push(`/processing/matrix/${mi}/${mo}/gain=-90`, `/processing/matrix/${mi}/${mo}/delay_bypass='true'`)
+		}
+	}
+	lines.push(`/project/snapshot/4/name='Show'`, `/status/clock/system/source=1`, `/entity/entity_name='Mains'`)
+	return lines
+}
+
+function run(name, lines, seconds) {
+	const inst = new ModuleInstance({})
+	inst.config = {}
+	const deadline = process.hrtime.bigint() + BigInt(Math.round(seconds * 1e9))
+	const start = process.hrtime.bigint()
+	let count = 0
+	while (process.hrtime.bigint() < deadline) {
+		for (const line of lines) inst._onSubLine(line)
+		count += lines.length
+	}
+	const elapsedS = Number(process.hrtime.bigint() - start) / 1e9
+	clearTimeout(inst._meterFlushTimer)
+	clearTimeout(inst._cmdStatsTimer)
+	const rate = Math.round(count / elapsedS)
+	console.log(`${name.padEnd(8)} ${String(count).padStart(9)} lines in ${elapsedS.toFixed(2)}s  ->  ${rate} lines/s`)
+}
+
+const seconds = Number(process.argv[2]) > 0 ? Number(process.argv[2]) : 2
+run('meters', meterLines(), seconds)
+run('mixed', mixedLines(), seconds)
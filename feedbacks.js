@@ -8,9 +8,54 @@ const {
 	buildSnapshotChoices,
 	getActiveSnapshotId,
 	getBootSnapshotId,
+	subscribeOnUse,
 } = require('./helpers')
+const { buildDeviceChoices } = require('./actions-helpers')
 
-module.exports = function UpdateFeedbacks(self, NUM_INPUTS, NUM_OUTPUTS) {
+// Feedbacks about the instance itself rather than one Galaxy: no "Device" option
+const INSTANCE_FEEDBACKS = ['network_path_active', 'bulk_write_running', 'scene_last_recalled']
+
+module.exports = function UpdateFeedbacks(self, NUM_INPUTS, NUM_OUTPUTS, MATRIX_INPUTS = 32) {
+	const feedbacks = buildFeedbackSet(self, NUM_INPUTS, NUM_OUTPUTS, MATRIX_INPUTS)
+	if (self?._devices?.length > 0) addDeviceOption(feedbacks, self)
+	subscribeOnUse(feedbacks, self)
+	self.setFeedbackDefinitions(feedbacks)
+}
+
+/**
+ * Add a "Device" option to the feedbacks about one Galaxy. Each additional Galaxy gets its own feedback set, built
+ * against its device context, and the callback of the selected device answers.
+ * @param {Object} feedbacks - Primary device feedbacks (modified in place)
+ * @param {Object} self - Module instance
+ */
+function addDeviceOption(feedbacks, self) {
+	const perDevice = new Map()
+	for (const dev of self._devices) {
+		perDevice.set(dev.deviceId, buildFeedbackSet(dev, dev.numInputs, dev.numOutputs, dev.matrixInputs))
+	}
+
+	const deviceOption = {
+		type: 'dropdown',
+		id: 'device',
+		label: 'Device',
+		default: self.deviceId,
+		choices: buildDeviceChoices(self).filter((choice) => choice.id !== 'all'),
+	}
+
+	for (const [feedbackId, def] of Object.entries(feedbacks)) {
+		if (INSTANCE_FEEDBACKS.includes(feedbackId)) continue
+		const primaryCallback = def.callback
+		def.options = [deviceOption, ...(def.options || [])]
+		def.callback = (fb, context) => {
+			const device = fb.options?.device
+			const callback =
+				!device || device === self.deviceId ? primaryCallback : perDevice.get(device)?.[feedbackId]?.callback
+			return typeof callback === 'function' ? callback(fb, context) : false
+		}
+	}
+}
+
+function buildFeedbackSet(self, NUM_INPUTS, NUM_OUTPUTS, MATRIX_INPUTS) {
 	const feedbacks = {}
 
 	// Numeric lists (kept for other feedbacks)
@@ -489,7 +534,13 @@ module.exports = function UpdateFeedbacks(self, NUM_INPUTS, NUM_OUTPUTS) {
 		description: 'Compare matrix In→Out gain (dB)',
 		defaultStyle: { color: 0xffffff, bgcolor: 0x663399 },
 		options: [
-			{ type: 'dropdown', id: 'matrix_input', label: 'Matrix input', default: '1', choices: rangeChoices(32, 'MIn ') },
+			{
+				type: 'dropdown',
+				id: 'matrix_input',
+				label: 'Matrix input',
+				default: '1',
+				choices: rangeChoices(MATRIX_INPUTS, 'MIn '),
+			},
 			{ type: 'dropdown', id: 'matrix_output', label: 'Matrix output', default: '1', choices: outputChoices },
 			{
 				type: 'dropdown',
@@ -529,7 +580,13 @@ module.exports = function UpdateFeedbacks(self, NUM_INPUTS, NUM_OUTPUTS) {
 		description: 'Active when the matrix delay is bypassed',
 		defaultStyle: { color: 0xffffff, bgcolor: 0xff9800 },
 		options: [
-			{ type: 'dropdown', id: 'matrix_input', label: 'Matrix input', default: '1', choices: rangeChoices(32, 'MIn ') },
+			{
+				type: 'dropdown',
+				id: 'matrix_input',
+				label: 'Matrix input',
+				default: '1',
+				choices: rangeChoices(MATRIX_INPUTS, 'MIn '),
+			},
 			{ type: 'dropdown', id: 'matrix_output', label: 'Matrix output', default: '1', choices: outputChoices },
 		],
 		callback: (fb) => {
@@ -550,7 +607,13 @@ module.exports = function UpdateFeedbacks(self, NUM_INPUTS, NUM_OUTPUTS) {
 		name: 'Matrix: Gain color by level',
 		description: 'Change background color based on matrix gain value (dB)',
 		options: [
-			{ type: 'dropdown', id: 'matrix_input', label: 'Matrix input', default: '1', choices: rangeChoices(32, 'MIn ') },
+			{
+				type: 'dropdown',
+				id: 'matrix_input',
+				label: 'Matrix input',
+				default: '1',
+				choices: rangeChoices(MATRIX_INPUTS, 'MIn '),
+			},
 			{ type: 'dropdown', id: 'matrix_output', label: 'Matrix output', default: '1', choices: outputChoices },
 		],
 		callback: (fb) => {
@@ -1488,5 +1551,176 @@ module.exports = function UpdateFeedbacks(self, NUM_INPUTS, NUM_OUTPUTS) {
 		},
 	}
 
-	self.setFeedbackDefinitions(feedbacks)
+	// =========================
+	// ==== FEEDBACKS: Connection
+	// =========================
+
+	feedbacks['network_path_active'] = {
+		type: 'boolean',
+		name: 'Connection: Active network path',
+		description: 'True when the module is connected through the selected path (primary or secondary IP).',
+		defaultStyle: { color: 0x000000, bgcolor: 0xffa000 },
+		options: [
+			{
+				type: 'dropdown',
+				id: 'path',
+				label: 'Path',
+				default: 'secondary',
+				choices: [
+					{ id: 'primary', label: 'Primary' },
+					{ id: 'secondary', label: 'Secondary' },
+				],
+			},
+		],
+		callback: (fb) => (self?._activePath ?? 'primary') === fb.options.path,
+	}
+
+	feedbacks['command_failed'] = {
+		type: 'boolean',
+		name: 'Connection: Command failed',
+		description: 'True for 10 seconds after a command was never confirmed by the Galaxy (after retries).',
+		defaultStyle: { color: 0xffffff, bgcolor: 0xff0000 },
+		options: [],
+		callback: () => !!self?._cmdRecentlyFailed?.(),
+	}
+
+	feedbacks['device_error'] = {
+		type: 'boolean',
+		name: 'Connection: Error occurred',
+		description:
+			'True for 10 seconds after the selected Galaxy rejected a command (see the last_error variable, device_<id>_last_error for an additional Galaxy).',
+		defaultStyle: { color: 0xffffff, bgcolor: 0xcc0000 },
+		options: [],
+		callback: () => !!self?._recentDeviceError?.(),
+	}
+
+	feedbacks['connection_stale'] = {
+		type: 'boolean',
+		name: 'Connection: Stale',
+		description: 'True while nothing has been received from the Galaxy for 10 seconds (reconnects after 20).',
+		defaultStyle: { color: 0x000000, bgcolor: 0xffcc00 },
+		options: [],
+		callback: () => !!self?._connectionStale,
+	}
+
+	feedbacks['external_change'] = {
+		type: 'boolean',
+		name: 'System: Modified outside Companion',
+		description:
+			'True when a setting was changed from Compass, the front panel or another controller since the reference point (action "System: Mark reference point for external changes").',
+		defaultStyle: { color: 0xffffff, bgcolor: 0x9900cc },
+		options: [],
+		callback: () => (self?._externalChanges?.count ?? 0) > 0,
+	}
+
+	feedbacks['offline_pending_changes'] = {
+		type: 'boolean',
+		name: 'Connection: Pending offline changes',
+		description: 'True while changes made with the Galaxy offline are queued (see the offline policy in the config).',
+		defaultStyle: { color: 0x000000, bgcolor: 0xff8800 },
+		options: [],
+		callback: () => (self?._offlineQueue?.length ?? 0) > 0,
+	}
+
+	feedbacks['bulk_write_running'] = {
+		type: 'boolean',
+		name: 'System: Bulk write in progress',
+		description: 'True while a design action is still sending its commands (see bulk_progress / bulk_remaining).',
+		defaultStyle: { color: 0x000000, bgcolor: 0xffcc00 },
+		options: [],
+		callback: () => !!self?._bulk,
+	}
+
+	feedbacks['state_matches_reference'] = {
+		type: 'boolean',
+		name: 'System: Matches reference state',
+		description:
+			'True while every compared parameter of the selected Galaxy equals the state document of its last "System: Compare with saved state".',
+		defaultStyle: { color: 0x000000, bgcolor: 0x00cc66 },
+		options: [],
+		callback: () => !!self?._stateReference && self._stateReference.diffs.size === 0,
+	}
+
+	const sceneChoices = Object.keys((self?._root || self)?._scenes ?? {}).map((name) => ({ id: name, label: name }))
+	const sceneOption = {
+		type: 'dropdown',
+		id: 'scene',
+		label: 'Scene',
+		default: sceneChoices[0]?.id ?? '',
+		choices: sceneChoices,
+		allowCustom: true,
+	}
+	feedbacks['scene_matches'] = {
+		type: 'boolean',
+		name: 'Scene: Current values match',
+		description: 'True while the Galaxy holds every value of a stored scene.',
+		defaultStyle: { color: 0x000000, bgcolor: 0x00cc66 },
+		options: [sceneOption],
+		callback: (fb) => !!self?._sceneMatches?.(String(fb.options.scene ?? '')),
+	}
+	feedbacks['scene_last_recalled'] = {
+		type: 'boolean',
+		name: 'Scene: Last recalled',
+		description: 'True when the scene was the last one recalled.',
+		defaultStyle: { color: 0x000000, bgcolor: 0xffcc00 },
+		options: [sceneOption],
+		callback: (fb) => !!self?._sceneLastRecalled && self._sceneLastRecalled === String(fb.options.scene ?? ''),
+	}
+
+	const watchedChoices = [...(self?._watched?.values?.() ?? [])].map((entry) => ({
+		id: entry.path,
+		label: entry.alias === entry.path ? entry.path : `${entry.alias} (${entry.path})`,
+	}))
+	feedbacks['watched_path_compare'] = {
+		type: 'boolean',
+		name: 'Watched path: compare',
+		description: 'Compare the value of a watched path (config "Watched paths") against a value.',
+		defaultStyle: { color: 0x000000, bgcolor: 0x00cc66 },
+		options: [
+			{
+				type: 'dropdown',
+				id: 'path',
+				label: 'Watched path',
+				default: watchedChoices[0]?.id ?? '',
+				choices: watchedChoices,
+				allowCustom: true,
+			},
+			{
+				type: 'dropdown',
+				id: 'cmp',
+				label: 'Compare',
+				default: 'eq',
+				choices: [
+					{ id: 'eq', label: 'Equals' },
+					{ id: 'gt', label: 'Above' },
+					{ id: 'lt', label: 'Below' },
+					{ id: 'contains', label: 'Contains' },
+				],
+			},
+			{ type: 'textinput', id: 'value', label: 'Value', default: '' },
+		],
+		callback: (fb) => {
+			const current = self?._watchValues?.[String(fb.options.path ?? '').trim()]
+			if (current === undefined) return false
+			const want = String(fb.options.value ?? '').trim()
+			const a = Number(current)
+			const b = Number(want)
+			const numeric = current !== '' && want !== '' && Number.isFinite(a) && Number.isFinite(b)
+
+			switch (fb.options.cmp) {
+				case 'eq':
+					return numeric ? a === b : current === want
+				case 'gt':
+					return numeric && a > b
+				case 'lt':
+					return numeric && a < b
+				case 'contains':
+					return current.toLowerCase().includes(want.toLowerCase())
+				default:
+					return false
+			}
+		},
+	}
+
+	return feedbacks
 }
@@ -211,6 +211,86 @@ function displayColorLabel(value) {
 	return labels[key] || `Color ${key}`
 }
 
+// Path segments spelled out in parameter labels
+const PARAMETER_WORDS = { eq: 'EQ', ushaping: 'U-Shaping', highpass: 'high-pass', lowpass: 'low-pass' }
+
+/**
+ * Get a human-readable label for a Galaxy parameter path
+ * @param {string} path - e.g. /processing/output/3/eq/2/gain
+ * @returns {string} e.g. 'Output 3 EQ band 2 gain'
+ */
+function parameterLabel(path) {
+	const parts = String(path ?? '')
+		.split('/')
+		.filter(Boolean)
+	if (parts[0] === 'processing' || parts[0] === 'device') parts.shift()
+	const words = []
+	if (parts[0] === 'matrix' && /^\d+$/.test(parts[1]) && /^\d+$/.test(parts[2])) {
+		words.push(`Matrix ${parts[1]}\u2192${parts[2]}`)
+		parts.splice(0, 3)
+	} else if ((parts[0] === 'input' || parts[0] === 'output') && /^\d+$/.test(parts[1])) {
+		words.push(`${parts[0] === 'input' ? 'Input' : 'Output'} ${parts[1]}`)
+		parts.splice(0, 2)
+	}
+	parts.forEach((part, idx) => {
+		if (/^\d+$/.test(part) && (parts[idx - 1] === 'eq' || parts[idx - 1] === 'ushaping')) words.push(`band ${part}`)
+		else words.push(PARAMETER_WORDS[part] ?? part.replace(/_/g, ' '))
+	})
+	return words.join(' ')
+}
+
+/**
+ * Format a parameter value for labels: gains with one decimal, negative numbers with a real minus sign
+ * @param {string} path - Galaxy path the value belongs to
+ * @param {*} value - Value as sent or received
+ * @returns {string}
+ */
+function parameterValueLabel(path, value) {
+	const text = String(value ?? '')
+	if (!/^-?\d+(\.\d+)?$/.test(text)) return text
+	const shown = /\/gain$/.test(String(path)) ? Number(text).toFixed(1) : text
+	return shown.replace(/^-/, '\u2212')
+}
+
+/**
+ * Subscribe to the data an action/feedback depends on when it is first used: when it is placed on a
+ * button (subscribe) and, for actions, when it runs. Existing subscribe/callback handlers still run.
+ * @param {Object} defs - Action or feedback definitions keyed by id (modified in place)
+ * @param {Object} self - Module instance
+ * @param {boolean} [onRun=false] - Also check when the callback runs (actions)
+ */
+function subscribeOnUse(defs, self, onRun = false) {
+	for (const [id, def] of Object.entries(defs)) {
+		const subscribe = def.subscribe
+		def.subscribe = (event, context) => {
+			self._ensureSubscribedFor?.(id)
+			if (typeof subscribe === 'function') return subscribe(event, context)
+		}
+
+		const callback = def.callback
+		if (!onRun || typeof callback !== 'function') continue
+		def.callback = (event, context) => {
+			self._ensureSubscribedFor?.(id)
+			return callback(event, context)
+		}
+	}
+}
+
+// Actions that never change the Galaxy: knob target/mode selection, the read-only system actions and storing or
+// deleting module-side scenes. The raw command stays available for GETs; its writes are refused when sent. The state
+// import stays available for its preview and refuses to apply itself.
+const MONITOR_SAFE_ACTION_RE =
+	/_select_(input|output|band)$|_coarse_mode$|^system_(log_history|external_change_reference|raw_command|state_export|state_import|state_diff)$|^scene_(store|delete)$/
+
+/**
+ * Whether an action may run in monitor-only mode (config read_only)
+ * @param {string} actionId - Action definition id
+ * @returns {boolean}
+ */
+function isMonitorSafeAction(actionId) {
+	return MONITOR_SAFE_ACTION_RE.test(String(actionId ?? ''))
+}
+
 module.exports = {
 	// Constants
 	SNAPSHOT_MAX,
@@ -232,7 +312,11 @@ module.exports = {
 	filterTypeLabel,
 	displayBrightnessLabel,
 	displayColorLabel,
+	parameterLabel,
+	parameterValueLabel,
 
 	// Utility
+	isMonitorSafeAction,
 	nn,
+	subscribeOnUse,
 }
@@ -1,12 +1,33 @@
 // main.js
 const net = require('net')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { AsyncLocalStorage } = require('async_hooks')
 const { InstanceBase, runEntrypoint, InstanceStatus, Regex } = require('@companion-module/base')
+const { Bonjour } = require('bonjour-service')
 const UpdateActions = require('./actions')
 const UpdateFeedbacks = require('./feedbacks')
 const UpdateVariableDefinitions = require('./variables')
 const UpgradeScripts = require('./upgrades')
 const UpdatePresets = require('./presets')
 const { STARTING_POINTS_SOURCE, PRODUCT_INTEGRATION_DATA } = require('./actions-data')
+const { TRACE_TX_SUB, TRACE_TX_CMD, TRACE_RX_SUB, TRACE_RX_CMD, TraceRecorder, parseTrace } = require('./trace')
+const {
+	STATE_SECTIONS,
+	buildStateDocument,
+	parseStateDocument,
+	describeStateDocument,
+	planStateImport,
+	diffState,
+	sameStateValue,
+	formatStateValue,
+	serializeState,
+	stateFileName,
+} = require('./state')
+const { parameterLabel, parameterValueLabel } = require('./helpers')
+const { SCENE_SCOPES, SCENE_PATH_RE, captureScene, sceneChanges, parseScenes } = require('./scenes')
+const { version: MODULE_VERSION } = require('./package.json')
 
 // Protocol constants
 const EOL_SPLIT = /\r\n|\n|\r/ // Line ending split pattern for incoming data
@@ -18,15 +39,120 @@ const VIRTUAL_MIN_ID = 1
 const VIRTUAL_MAX_ID = 20
 const DEFAULT_VIRTUAL_HOST = '127.0.0.1'
 const ENTITY_NAME_PATH = '/entity/entity_name'
+const HEARTBEAT_PATH = ENTITY_NAME_PATH // Cheap path polled to measure latency on the subscription socket
 const VIRTUAL_SCAN_INTERVAL_MS = 10000
+const SERIAL_NUMBER_PATH = '/entity/serial_number'
+
+// Physical Galaxy discovery (mDNS, same service as the manifest's bonjourQueries)
+const DISCOVERY_SERVICE = { type: 'galaxy', protocol: 'tcp' }
+const DISCOVERY_SCAN_INTERVAL_MS = 30000 // Fresh browse so address changes (DHCP) are picked up
+const DISCOVERY_PROBE_TIMEOUT_MS = 1500 // Wait for name/model/serial from a newly seen unit
+
+// Device channel counts per Galaxy model (matched against /status/model_string)
+// Matrix inputs cover the physical inputs plus AVB streams, so every model routes 32 of them.
+const GALAXY_MODELS = [
+	{ id: 'bluehorn', label: 'Galaxy 816 Bluehorn', match: /bluehorn/i, inputs: 8, outputs: 16, matrixInputs: 32 },
+	{ id: '816aes', label: 'Galaxy 816AES', match: /816\s*-?\s*aes/i, inputs: 8, outputs: 16, matrixInputs: 32 },
+	{ id: '816', label: 'Galaxy 816', match: /816/, inputs: 8, outputs: 16, matrixInputs: 32 },
+	{ id: '408', label: 'Galaxy 408', match: /408/, inputs: 4, outputs: 8, matrixInputs: 32 },
+]
+const DEFAULT_MODEL_ID = '816' // Used until the device reports its model
+const MODEL_DETECT_TIMEOUT_MS = 2000 // Subscribe with default counts if the model string never arrives
+
+// Additional devices (config "extra_devices": `alias=host[:port]` entries)
+const PRIMARY_DEVICE_ID = 'primary'
+const DEFAULT_PRIMARY_ALIAS = 'Main'
+// Instance-wide state an additional device reads from (and writes to) the primary instance
+const DEVICE_SHARED_STATE = ['id', 'config', '_lazySubGroups', '_watched', '_trace', '_replay']
+
+// Action run the calling code belongs to (see _runAction). Null outside actions and once the action has returned;
+// fades, bulk ticks and resends are started outside any run (actionRuns.exit), so they never count as its sends.
+const actionRuns = new AsyncLocalStorage()
+function currentRun() {
+	const run = actionRuns.getStore()
+	return run && !run.done ? run : null
+}
+
+// Split "host:port" / "[v6]:port" / bare host into parts, falling back to the given port
+function splitHostPort(rawHost, fallbackPort) {
+	let host = String(rawHost ?? '').trim()
+	let port = Number(fallbackPort)
+
+	// Allow IPv6 literals with brackets and host fields that include a port
+	if (host.startsWith('[')) {
+		const match = host.match(/^\[([^\]]+)\]:(\d+)$/)
+		if (match) {
+			host = match[1].trim()
+			port = Number(match[2])
+		} else if (host.endsWith(']')) {
+			host = host.slice(1, -1).trim()
+		}
+	} else {
+		const firstColon = host.indexOf(':')
+		const lastColon = host.lastIndexOf(':')
+		// If there is exactly one colon, treat it as a host:port separator (IPv4/hostname)
+		if (firstColon === lastColon && firstColon > 0) {
+			const maybePort = Number(host.substring(lastColon + 1))
+			if (Number.isFinite(maybePort)) {
+				port = maybePort
+				host = host.substring(0, lastColon).trim()
+			}
+		}
+	}
+
+	if (!Number.isFinite(port) || port < 1 || port > 65535) {
+		port = DEFAULT_PHYSICAL_PORT
+	}
+	return { host: host || null, port }
+}
+
+// "Subs=10.0.0.21, Fills=10.0.0.22:25003" -> [{ id, alias, host, port }]
+function parseDeviceList(text) {
+	const devices = []
+	const usedIds = new Set([PRIMARY_DEVICE_ID])
+	for (const raw of String(text ?? '').split(/[,;\n]+/)) {
+		const entry = raw.trim()
+		if (!entry) continue
+		const eq = entry.indexOf('=')
+		const alias = (eq > 0 ? entry.slice(0, eq) : '').trim() || `Device ${devices.length + 2}`
+		const { host, port } = splitHostPort(eq > 0 ? entry.slice(eq + 1) : entry, DEFAULT_PHYSICAL_PORT)
+		if (!host) continue
+
+		const slug = alias.toLowerCase().replace(/[^a-z0-9]+/g, '_')
+		const baseId = slug.replace(/^_+|_+$/g, '') || 'device'
+		let id = baseId
+		for (let n = 2; usedIds.has(id); n++) id = `${baseId}_${n}`
+		usedIds.add(id)
+		devices.push({ id, alias, host, port })
+	}
+	return devices
+}
+
+// Watched paths (config "watched_paths": `/path` or `alias=/path` entries), each published as a watch_* variable
+function parseWatchedPaths(text) {
+	const watched = new Map() // path -> { variableId, alias, path }
+	const usedIds = new Set()
+	for (const raw of String(text ?? '').split(/[,;\n]+/)) {
+		const entry = raw.trim()
+		const eq = entry.startsWith('/') ? -1 : entry.indexOf('=')
+		const alias = eq > 0 ? entry.slice(0, eq).trim() : ''
+		const path = (eq > 0 ? entry.slice(eq + 1) : entry).trim().replace(/\/+$/, '')
+		if (!/^\/[^\s='"]+$/.test(path) || watched.has(path)) continue
+
+		const slug = (alias || path).toLowerCase().replace(/[^a-z0-9]+/g, '_')
+		const baseId = `watch_${slug.replace(/^_+|_+$/g, '') || 'path'}`
+		let variableId = baseId
+		for (let n = 2; usedIds.has(variableId); n++) variableId = `${baseId}_${n}`
+		usedIds.add(variableId)
+		watched.set(path, { variableId, alias: alias || path, path })
+	}
+	return watched
+}
 
-// Device channel counts (Galaxy 816 model)
-// NOTE: Different Galaxy models may have different channel counts:
-// - Galaxy 408: 4 inputs, 8 outputs
-// - Galaxy 816/816AES/816Bluehorn: 8 inputs, 16 outputs
-const NUM_INPUTS = 8 // Physical input channels available
-const NUM_OUTPUTS = 16 // Physical output channels available
-const MATRIX_INPUTS = 32 // Matrix routing supports 32 virtual inputs
+function findGalaxyModel(modelString) {
+	const str = String(modelString ?? '')
+	return GALAXY_MODELS.find((m) => m.match.test(str)) || null
+}
 
 // Signal processing constants
 const MATRIX_ROUTE_THRESHOLD_DB = -89.9 // Gains at or below this value are considered "off/unrouted"
@@ -36,8 +162,35 @@ const SAMPLES_PER_MS = 96 // Sample rate conversion: 96 samples = 1ms @ 96kHz
 const RECONNECT_DELAY_MS = 1000 // Initial delay before attempting to reconnect subscription socket
 const RECONNECT_MAX_DELAY_MS = 30000 // Maximum delay between reconnection attempts (30 seconds)
 const RECONNECT_MAX_ATTEMPTS = 0 // Maximum reconnection attempts (0 = infinite retries)
-const CMD_SOCKET_TIMEOUT_MS = 1500 // Time to keep command socket alive after last command
+const DEFAULT_FAILOVER_ATTEMPTS = 3 // Failed reconnects on one network path before switching to the other
+const DEFAULT_FAILBACK_INTERVAL_S = 60 // How often the primary path is probed while running on the secondary
+const FAILBACK_PROBE_TIMEOUT_MS = 2000 // TCP connect timeout for the failback probe
 const CMD_SOCKET_RETRY_MS = 800 // Delay before retrying failed command socket connection
+const CMD_ACK_TIMEOUT_MS = 1500 // Resend a command the device has not confirmed within this time
+const CMD_ACK_CHECK_MS = 250 // How often unconfirmed commands are checked
+const CMD_MAX_RETRIES = 2 // Resends before a command is reported as failed
+const CMD_FAILED_HOLD_MS = 10000 // "Command failed" feedback stays on this long after the last failure
+const CMD_STATS_INTERVAL_MS = 200 // Batch queue/latency variable updates
+const CMD_REPLY_TIMEOUT_MS = 2000 // Default wait for the reply to a raw command (see _cmdRequest)
+const DEFAULT_OFFLINE_EXPIRY_S = 30 // Queued offline commands older than this are dropped (policy "queue")
+const OFFLINE_CHECK_MS = 1000 // How often queued offline commands are checked for expiry
+const DEFAULT_BULK_LINES_PER_S = 200 // Pace of design actions sent through the bulk sender
+const DEFAULT_BULK_CHUNK_LINES = 25 // Lines per write of a bulk job; smaller sends go out at once
+const UNDO_MAX_STEPS = 50 // Undo history per instance; the oldest step is dropped
+const EXTERNAL_CHANGE_WINDOW_MS = 3000 // Echoes this soon after Companion wrote the same parameter are not external
+const EXTERNAL_CHANGE_IGNORE_RE = /^\/status\/|^\/project\/snapshot\/active\/modified\b/ // Readings and derived flags, not settings
+const DEVICE_ERROR_HOLD_MS = 10000 // "Error occurred" feedback stays on this long after the last device error
+const HEARTBEAT_CHECK_MS = 1000 // How often the subscription socket's liveness is checked
+const HEARTBEAT_INTERVAL_MS = 5000 // Heartbeat GET on the subscription socket
+const HEARTBEAT_STALE_MS = 10000 // No message for this long: connection is reported stale
+const HEARTBEAT_TIMEOUT_MS = 20000 // No message for this long: the socket is dropped and reconnected
+const DEFAULT_TRACE_MAX_MB = 10 // Trace file size before it is rotated
+const TRACE_KEEP_FILES = 5 // Rotated trace files kept next to the current one
+const DEFAULT_STATE_DIR = path.join(os.homedir(), 'companion-galaxy-state') // State exports without a folder
+const REPLAY_INSTANT_CHUNK = 500 // Lines fed per tick when a trace is replayed as fast as possible
+const SYNC_BATCH_SIZE = 100 // Seed GETs in flight at once during the initial sync
+const SYNC_BATCH_TIMEOUT_MS = 3000 // Send the next sync batch even if some replies of this one are missing
+const SYNC_REPORT_MAX = 50 // Unanswered sync paths listed in the log
 const METER_BATCH_INTERVAL_MS = 100 // Batch meter updates to reduce UI thrashing
 const UI_REFRESH_DEBOUNCE_MS = 150 // Debounce delay for actions/feedbacks/variables refresh
 const PRESET_REFRESH_DEBOUNCE_MS = 250 // Debounce delay for preset refresh (slightly longer)
@@ -136,6 +289,88 @@ const NET_IFACES = [1, 2]
 const NET_LEAVES = ['carrier', 'duplex', 'gateway', 'ip_address', 'mac_address', 'net_mask', 'speed']
 const MODEL_STRING_PATH = '/status/model_string'
 
+// ---- Subscription line routing (see _onSubLineUnsafe) ----
+// Keyed by the first two path segments, falling back to the first segment alone.
+const SUB_ROUTE_KEY_RE = /\/([a-z_]+)\/([a-z0-9_]+)/i
+const SUB_ROUTES = {
+	'processing/input': '_routeProcessingInput',
+	'processing/output': '_routeProcessingOutput',
+	'processing/matrix': '_routeProcessingMatrix',
+	'processing/beam_control_array': '_routeBeamControl',
+	'status/meter': '_routeMeter',
+	'status/clock': '_routeClock',
+	status: '_routeStatus',
+	'device/input': '_routeDeviceChannel',
+	'device/output': '_routeDeviceChannel',
+	'device/input_link_group': '_routeLinkGroup',
+	'device/output_link_group': '_routeLinkGroup',
+	'device/preferences': '_routeDisplayPreference',
+	entity: '_routeEntity',
+	system: '_routeSystem',
+	project: '_routeProject',
+}
+
+// ---- Subscription profiles (see _subscriptionPaths) ----
+// Entity, names, link groups and status paths are always subscribed; these groups are optional.
+const SUB_GROUPS = [
+	{ id: 'levels', label: 'Mutes & gains' },
+	{ id: 'delay', label: 'Input/output delay' },
+	{ id: 'filters', label: 'Output filters & polarity' },
+	{ id: 'ushaping', label: 'U-Shaping' },
+	{ id: 'eq', label: 'Parametric EQ' },
+	{ id: 'matrix', label: 'Matrix' },
+	{ id: 'meters', label: 'Meters' },
+	{ id: 'snapshots', label: 'Snapshots' },
+	{ id: 'clocks', label: 'Clocks & RTC' },
+]
+const SUB_PROFILES = {
+	operator: ['levels', 'snapshots'],
+	systemtech: ['levels', 'delay', 'filters', 'ushaping', 'eq'],
+	full: SUB_GROUPS.map((g) => g.id),
+}
+const DEFAULT_SUB_PROFILE = 'full'
+
+// Actions/feedbacks whose id matches are subscribed to the group on first use (first match wins)
+const SUB_GROUP_RULES = [
+	[/meter|signal_present/, 'meters'],
+	[/^matrix_/, 'matrix'],
+	[/^snapshot_/, 'snapshots'],
+	[/ushaping/, 'ushaping'],
+	[/(^|_)eq_/, 'eq'],
+	[/highpass|lowpass|allpass|polarity|atmospheric|hf_attenuation/, 'filters'],
+	[/delay/, 'delay'],
+	[/clock/, 'clocks'],
+	[/mute|gain|solo|chase|speaker_test/, 'levels'],
+]
+
+// What happens to commands sent while the Galaxy is disconnected, per command class (config offline_policy_*):
+// drop them, queue them until they expire, or keep only the latest value per path
+const OFFLINE_POLICY_CHOICES = [
+	{ id: 'drop', label: 'Drop' },
+	{ id: 'queue', label: 'Queue (until expiry)' },
+	{ id: 'latest', label: 'Latest value per path' },
+]
+const OFFLINE_CLASSES = {
+	levels: { label: 'Mutes and gains', policy: 'latest' },
+	processing: { label: 'Other parameter changes', policy: 'latest' },
+	snapshots: { label: 'Snapshot commands', policy: 'drop' },
+	system: { label: 'Other colon commands (reboot, identify, log)', policy: 'drop' },
+}
+
+function offlineClass(line) {
+	const text = String(line ?? '')
+	if (text.startsWith(':')) return /^:[a-z_]*snapshot/i.test(text) ? 'snapshots' : 'system'
+	return /\/(mute|gain|solo)\b/i.test(text) ? 'levels' : 'processing'
+}
+
+// Monitor-only mode (config read_only) refuses anything that changes the Galaxy: sets and colon commands.
+// GETs (a bare path or :get_*) and subscriptions still go out.
+function isWriteCommand(line) {
+	const text = String(line ?? '').trim()
+	if (text.startsWith(':')) return !/^:get_/i.test(text)
+	return text.includes('=')
+}
+
 // ---- dB helpers ----
 function clampDb(v) {
 	const n = Number(v)
@@ -157,16 +392,107 @@ class ModuleInstance extends InstanceBase {
 	constructor(internal) {
 		super(internal)
 
+		this._initDeviceState()
+
+		// Optional subscription groups requested by actions/feedbacks in use (shared by every device)
+		this._lazySubGroups = new Set()
+		// User-defined paths from config "watched_paths" (see parseWatchedPaths)
+		this._watched = new Map()
+
+		// ✅ FIX: Initialize refresh timers
+		this._actionsRefreshTimer = null
+		this._feedbacksRefreshTimer = null
+		this._variablesRefreshTimer = null
+		this._presetsRefreshTimer = null
+
+		// Virtual Galaxy discovery cache
+		this._virtualDevices = [] // [{ id, port, host, name, model }]
+		this._virtualScanTimer = null
+		this._virtualScanInterval = null
+		this._virtualScanInFlight = false
+		this._virtualDiscoveryEnabled = true
+		this._virtualWatchers = new Map() // key => { sock, host, port, buf }
+		this._virtualWatcherTimers = new Map()
+
+		// Physical Galaxy discovery cache (mDNS)
+		this._discoveredDevices = [] // [{ serial, name, model, host, port, lastSeen }]
+		this._bonjour = null
+		this._bonjourBrowser = null
+		this._discoveryInterval = null
+		this._discoveryProbes = new Set() // `${host}:${port}` currently being probed
+
+		// Protocol trace (config trace_enabled) and replay (connection type "replay")
+		this._trace = null
+		this._replay = null
+		this._replayTimer = null
+
+		// Dry run (config dry_run or an action's "Dry run" option): the writes of the action run are captured (see
+		// _dryRunBegin), this is the summary of the last one
+		this._dryRunLast = null // { action, count } of the last finished dry run
+
+		// Paced bulk sender for design actions (config bulk_lines_per_s / bulk_chunk_lines)
+		this._bulk = null // { label, entries, total, sent, timer } of the job being sent
+
+		// Undo/redo of the parameters actions change (see _undoBegin), across all devices
+		this._undoStack = [] // [{ label, changes: [{ dev, path, before, after }] }], newest last
+		this._redoStack = []
+
+		// Partial scenes stored by the module (config "scenes"), shared by all devices
+		this._scenes = {} // name -> { scopes, saved_at, values: { path: value } }
+		this._sceneLastStored = ''
+		this._sceneLastRecalled = ''
+		this._sceneCheckTimer = null
+
+		// Redundant control network (primary host / secondary_host)
+		this._activePath = 'primary'
+		this._failbackTimer = null
+		this._failbackProbeInFlight = false
+
+		// Additional Galaxies controlled from this instance (see _startExtraDevices)
+		this.deviceId = PRIMARY_DEVICE_ID
+		this._devices = []
+	}
+
+	// Sockets and caches for one Galaxy. Also run on each additional device context.
+	_initDeviceState() {
 		// subscribe socket (persistent)
 		this.subSock = null
 		this.subBuf = ''
 		this._reconnectAttempts = 0
 		this._reconnectDelay = RECONNECT_DELAY_MS
+		this._reconnectTimer = null
+		this._subscribedAll = false
+		this._subscribedGroups = new Set() // optional subscription groups sent on this connection
+		this._watchValues = {} // watched path -> last value
+
+		// staged initial sync (seed GETs sent in batches, see _syncNextBatch)
+		this._syncQueue = []
+		this._syncPending = new Set() // paths of the batch in flight
+		this._syncRetried = new Set()
+		this._syncMissing = []
+		this._syncTotal = 0
+		this._syncDone = 0
+		this._syncTimer = null
+
+		// heartbeat (see _checkHeartbeat)
+		this._heartbeatTimer = null
+		this._heartbeatSentAt = 0 // 0 = no heartbeat awaiting its reply
+		this._heartbeatLastSent = 0
+		this._lastMessageAt = 0
+		this._connectionLatencyMs = null
+		this._connectionStale = false
+		this._modelDetectTimer = null
+
+		// channel layout (resized by _applyModelString once the device reports its model)
+		this.galaxyModel = GALAXY_MODELS.find((m) => m.id === DEFAULT_MODEL_ID)
+		this.numInputs = this.galaxyModel.inputs
+		this.numOutputs = this.galaxyModel.outputs
+		this.matrixInputs = this.galaxyModel.matrixInputs
 
 		// meters (dBFS)
 		this.inputMeter = {} // { ch: number }
 		this.outputMeter = {} // { ch: number }
-		this.matrixInMeter = {} // { idx: number }  // matrix input meters 1..32
+		this.matrixInMeter = {} // { idx: number }  // matrix input meters 1..matrixInputs
 
 		// ✅ FIX: Initialize meter batching
 		this._meterRateMs = METER_BATCH_INTERVAL_MS
@@ -180,11 +506,55 @@ class ModuleInstance extends InstanceBase {
 		this.inputDelay = {} // { ch: { raw: string|undefined, ms: number|null, samples: number|null } }
 		this.outputDelay = {} // { ch: { raw: string|undefined, ms: number|null, samples: number|null } }
 
-		// command socket (short-lived with queue)
+		// command socket (persistent, every command tracked until the device confirms it)
 		this.cmdSock = null
+		this.cmdBuf = ''
 		this.cmdQueue = []
 		this.cmdConnecting = false
 		this.cmdTimer = null
+		this._cmdPending = new Map() // path or ':command' -> { line, sentAt, attempts, retryable }
+		this._cmdAckTimer = null
+		this._cmdFailedTimer = null
+		this._cmdStatsTimer = null
+		this._cmdStats = { failed: 0, lastFailed: '', lastFailedAt: 0, latencyMs: null }
+		this._cmdSources = new Map() // path or ':command' -> name of the action that last sent it
+		this._cmdWaiters = new Map() // path or ':command' -> [{ resolve, reject, timer }] awaiting the reply line
+		this._errorStats = { count: 0, last: '', lastAt: 0 }
+		this._subConnected = false // subscription socket connected; commands sent while false follow the offline policy
+		this._offlineQueue = [] // [{ key, line, expiresAt }] held until the Galaxy is back (see _offlineHold)
+		this._offlineTimer = null
+		this._knownValues = new Map() // path -> last value seen on the subscription socket (see _trackExternalChange)
+		this._writtenValues = new Map() // path -> value Companion last wrote, until the device reports that value
+		this._recentWrites = new Map() // path (and the same path on linked channels) -> time Companion last wrote it
+		this._lastColonSentAt = 0
+		this._externalChanges = { count: 0, last: null, since: Date.now() } // count since the reference point
+		this._rawReply = null // { command, value } of the last "Send raw command" that got a reply
+		this._stateReference = null // { from, expected: Map(path -> value), diffs: Map(path -> diff) } of the last state diff
+		this._errorHoldTimer = null
+
+		// Speaker test (output chase)
+		this._chase = {
+			running: false,
+			timer: null,
+			list: [],
+			index: 0,
+			delayMs: 1000,
+			windowSize: 1, // 1 = solo steps, 2 = solo->pair->advance
+			phase: 0,
+			prevActive: new Set(),
+			loop: false,
+			activeButtons: new Set(), // controlIds of buttons that started current chase
+		}
+
+		// UI flash state for feedback
+		this._flash = {
+			timer: null,
+			phase: true, // true = default color; false = black
+		}
+
+		// EQ knob selections
+		this._ushapingKnobControl = { selectedInputs: [1], selectedBand: 1 }
+		this._eqKnobControl = { selectedInputs: [1], selectedBand: 1 }
 
 		// state caches
 		this.inMute = {}
@@ -196,6 +566,8 @@ class ModuleInstance extends InstanceBase {
 		this.outputAtmospheric = {}
 		this.inputGain = {} // { ch: number (dB, 0.1) }
 		this.outputGain = {} // { ch: number (dB, 0.1) }
+		this._inputGainTrack = {}
+		this._outputGainTrack = {}
 		this.matrixGain = {} // { 'mi-mo': number }
 		this.matrixDelay = {} // { 'mi-mo': { samples: number, ms: number, bypass: boolean } }
 		this._matrixInputRoutes = {}
@@ -262,32 +634,6 @@ class ModuleInstance extends InstanceBase {
 		}
 		this._prevCaptureWindows = new Map()
 
-		// ✅ FIX: Initialize refresh timers
-		this._actionsRefreshTimer = null
-		this._feedbacksRefreshTimer = null
-		this._variablesRefreshTimer = null
-		this._presetsRefreshTimer = null
-
-		// Speaker test (output chase)
-		this._chase = {
-			running: false,
-			timer: null,
-			list: [],
-			index: 0,
-			delayMs: 1000,
-			windowSize: 1, // 1 = solo steps, 2 = solo->pair->advance
-			phase: 0,
-			prevActive: new Set(),
-			loop: false,
-			activeButtons: new Set(), // controlIds of buttons that started current chase
-		}
-
-		// UI flash state for feedback
-		this._flash = {
-			timer: null,
-			phase: true, // true = default color; false = black
-		}
-
 		// Log history request state
 		this._logHistoryInFlight = null
 		this._logHistoryFetched = false
@@ -297,24 +643,22 @@ class ModuleInstance extends InstanceBase {
 
 		// U-Shaping EQ state
 		this.inputUShaping = {} // { ch: { bypass: bool, band: { gain, frequency, slope } } }
-		this._ushapingKnobControl = { selectedInputs: [1], selectedBand: 1 }
 
 		// Parametric EQ state
 		this.inputEQ = {} // { ch: { bypass: bool, band: { gain, frequency, bandwidth, band_bypass } } }
-		this._eqKnobControl = { selectedInputs: [1], selectedBand: 1 }
 
-		// Virtual Galaxy discovery cache
-		this._virtualDevices = [] // [{ id, port, host, name, model }]
-		this._virtualScanTimer = null
-		this._virtualScanInterval = null
-		this._virtualScanInFlight = false
-		this._virtualDiscoveryEnabled = true
-		this._virtualWatchers = new Map() // key => { sock, host, port, buf }
-		this._virtualWatcherTimers = new Map()
+		// Output U-Shaping / EQ state
+		this.outputUShaping = {}
+		this.outputEQ = {}
+
+		// Beam control array status
+		this.beamControlStatus = {}
 	}
 
 	async init(config) {
 		this.config = config
+		this._loadWatchedPaths()
+		this._loadScenes()
 		this.updateStatus(InstanceStatus.Ok, 'Idle')
 
 		this.updateActions()
@@ -326,9 +670,12 @@ class ModuleInstance extends InstanceBase {
 		// Seed speaker-test variables
 		this._updateSpeakerTestVars()
 
+		this._startTrace()
 		this._startSubscribe()
+		this._startExtraDevices()
 		this._virtualDiscoveryEnabled = true
 		this._startVirtualDiscoveryLoop()
+		this._startPhysicalDiscovery()
 	}
 
 	async destroy() {
@@ -339,6 +686,15 @@ class ModuleInstance extends InstanceBase {
 		this._stopSpeakerFlashTimer()
 
 		this._disableVirtualDiscovery()
+		this._stopPhysicalDiscovery()
+		this._stopExtraDevices()
+		this._stopFailbackProbe()
+		this._stopReplay()
+		this._stopTrace()
+		clearTimeout(this._bulk?.timer)
+		this._bulk = null
+		clearTimeout(this._sceneCheckTimer)
+		this._sceneCheckTimer = null
 
 		// ✅ FIX: Clean up all timers
 		clearTimeout(this._actionsRefreshTimer)
@@ -349,21 +705,34 @@ class ModuleInstance extends InstanceBase {
 		this._variablesRefreshTimer = null
 		clearTimeout(this._meterFlushTimer)
 		this._meterFlushTimer = null
+		clearTimeout(this._modelDetectTimer)
+		this._modelDetectTimer = null
+		clearTimeout(this._reconnectTimer)
+		this._reconnectTimer = null
+		this._syncReset()
+		this._stopHeartbeat()
 
 		try {
 			this.subSock?.destroy()
 		} catch {}
 		this.subSock = null
+		this._subConnected = false
 		clearTimeout(this.cmdTimer)
 		this.cmdTimer = null
+		this._cmdReset()
+		this._offlineReset()
 		try {
 			this.cmdSock?.destroy()
 		} catch {}
 		this.cmdSock = null
+		this.cmdConnecting = false
 	}
 
 	async configUpdated(config) {
 		this.config = config
+		this._loadWatchedPaths()
+		this._loadScenes()
+		this._stopExtraDevices()
 		this.updateActions()
 		this.updateFeedbacks()
 		this.updateVariableDefinitions()
@@ -387,19 +756,43 @@ class ModuleInstance extends InstanceBase {
 		this._variablesRefreshTimer = null
 		clearTimeout(this._meterFlushTimer)
 		this._meterFlushTimer = null
+		clearTimeout(this._modelDetectTimer)
+		this._modelDetectTimer = null
+		clearTimeout(this._reconnectTimer)
+		this._reconnectTimer = null
+		this._syncReset()
+		this._stopHeartbeat()
+		this._knownValues.clear() // may now be a different Galaxy: its first values are not changes
+		this._writtenValues.clear()
+
+		// Always start again from the primary network path
+		this._stopFailbackProbe()
+		if (this._activePath !== 'primary') {
+			this._activePath = 'primary'
+			this.setVariableValues({ network_path_active: 'primary' })
+			this.checkFeedbacks('network_path_active')
+		}
 
 		try {
 			this.subSock?.destroy()
 		} catch {}
 		this.subSock = null
+		this._subConnected = false
+		this._stopReplay()
+		this._startTrace()
 		this._startSubscribe()
+		this._startExtraDevices()
 
 		clearTimeout(this.cmdTimer)
 		this.cmdTimer = null
+		this._cmdReset()
+		// The config may name another Galaxy: changes queued for the old one are not carried over
+		this._offlineReset()
 		try {
 			this.cmdSock?.destroy()
 		} catch {}
 		this.cmdSock = null
+		this.cmdConnecting = false
 
 		this._updateSpeakerTestVars()
 		this._logHistoryFetched = false
@@ -424,6 +817,19 @@ class ModuleInstance extends InstanceBase {
 			virtualIdChoices = [{ id: currentVirtualId, label: `Virtual Galaxy` }, ...virtualIdChoices]
 		}
 
+		let discoveredChoices = this._discoveredDevices.map((d) => ({
+			id: d.serial,
+			label: `${d.name || 'Galaxy'} — ${d.model || 'unknown model'} (SN ${d.serial}) @ ${d.host}`,
+		}))
+		const currentSerial = this.config?.discovered_serial
+		if (currentSerial && discoveredChoices.every((c) => c.id !== currentSerial)) {
+			const lastHost = this.config?.discovered_host ? ` @ ${this.config.discovered_host}` : ''
+			discoveredChoices = [
+				{ id: currentSerial, label: `SN ${currentSerial}${lastHost} (not seen)` },
+				...discoveredChoices,
+			]
+		}
+
 		return [
 			{
 				type: 'dropdown',
@@ -434,6 +840,8 @@ class ModuleInstance extends InstanceBase {
 				choices: [
 					{ id: 'physical', label: 'Physical device' },
 					{ id: 'virtual', label: 'Virtual Galaxy' },
+					{ id: 'discovered', label: 'Discovered Galaxy (mDNS)' },
+					{ id: 'replay', label: 'Replay a trace file (no device)' },
 				],
 			},
 			{
@@ -446,6 +854,39 @@ class ModuleInstance extends InstanceBase {
 				regex: Regex.SOMETHING,
 				isVisible: (options) => (options.connection_type ?? 'physical') === 'physical',
 			},
+			{
+				type: 'textinput',
+				id: 'secondary_host',
+				label: 'Secondary IP / Hostname (optional)',
+				width: 8,
+				default: '',
+				tooltip: "The Galaxy's second network interface, used when the primary address stops answering",
+				isVisible: (options) => (options.connection_type ?? 'physical') === 'physical',
+			},
+			{
+				type: 'number',
+				id: 'failover_attempts',
+				label: 'Fail over after N failed reconnects (0 = never)',
+				width: 6,
+				default: DEFAULT_FAILOVER_ATTEMPTS,
+				min: 0,
+				max: 20,
+				step: 1,
+				isVisible: (options) =>
+					(options.connection_type ?? 'physical') === 'physical' && !!String(options.secondary_host ?? '').trim(),
+			},
+			{
+				type: 'number',
+				id: 'failback_interval_s',
+				label: 'Retry primary every (s, 0 = stay on secondary)',
+				width: 6,
+				default: DEFAULT_FAILBACK_INTERVAL_S,
+				min: 0,
+				max: 3600,
+				step: 5,
+				isVisible: (options) =>
+					(options.connection_type ?? 'physical') === 'physical' && !!String(options.secondary_host ?? '').trim(),
+			},
 			{
 				type: 'dropdown',
 				id: 'virtual_id',
@@ -458,6 +899,188 @@ class ModuleInstance extends InstanceBase {
 						: [{ id: VIRTUAL_MIN_ID, label: 'No virtual devices detected' }],
 				isVisible: (options) => (options.connection_type ?? 'physical') === 'virtual',
 			},
+			{
+				type: 'dropdown',
+				id: 'discovered_serial',
+				label: 'Discovered Galaxy',
+				width: 8,
+				default: '',
+				choices: discoveredChoices.length > 0 ? discoveredChoices : [{ id: '', label: 'No Galaxy discovered yet' }],
+				tooltip: 'Units advertising on the LAN. The connection follows the unit by serial number if its IP changes.',
+				isVisible: (options) => (options.connection_type ?? 'physical') === 'discovered',
+			},
+			{
+				type: 'textinput',
+				id: 'replay_file',
+				label: 'Trace file to replay',
+				width: 8,
+				default: '',
+				tooltip: 'A galaxy-trace.log file recorded with "Record protocol trace"',
+				isVisible: (options) => options.connection_type === 'replay',
+			},
+			{
+				type: 'dropdown',
+				id: 'replay_speed',
+				label: 'Replay speed',
+				width: 4,
+				default: 1,
+				choices: [
+					{ id: 1, label: 'Real time' },
+					{ id: 10, label: '10x' },
+					{ id: 0, label: 'As fast as possible' },
+				],
+				isVisible: (options) => options.connection_type === 'replay',
+			},
+			// Hidden: last known address of the discovered unit, used until it is seen again
+			{
+				type: 'textinput',
+				id: 'discovered_host',
+				label: 'Last known address',
+				width: 4,
+				default: '',
+				isVisible: () => false,
+			},
+			{
+				type: 'textinput',
+				id: 'device_alias',
+				label: 'Device alias',
+				width: 4,
+				default: DEFAULT_PRIMARY_ALIAS,
+				tooltip: 'Name of this Galaxy in the "Device(s)" option of actions',
+			},
+			{
+				type: 'textinput',
+				id: 'extra_devices',
+				label: 'Additional Galaxies (alias=host[:port], comma separated)',
+				width: 12,
+				default: '',
+				tooltip: 'e.g. Subs=192.168.0.101, Fills=192.168.0.102. Actions gain a "Device(s)" option to target them.',
+			},
+			{
+				type: 'checkbox',
+				id: 'read_only',
+				label: 'Monitor only (never change the Galaxy)',
+				width: 12,
+				default: false,
+				tooltip:
+					'Variables, meters and feedbacks keep updating, but actions that would change the processor are refused and presets contain no write actions.',
+			},
+			{
+				type: 'textinput',
+				id: 'watched_paths',
+				label: 'Watched paths (/path or alias=/path, comma separated)',
+				width: 12,
+				default: '',
+				tooltip:
+					'Any Galaxy parameter, e.g. dist3=/processing/output/3/atmospheric/distance, /device/sim/probe/1/point. Each one is subscribed and published as a watch_* variable.',
+			},
+			...Object.entries(OFFLINE_CLASSES).map(([cls, { label, policy }]) => ({
+				type: 'dropdown',
+				id: `offline_policy_${cls}`,
+				label: `While offline: ${label}`,
+				width: 6,
+				default: policy,
+				choices: OFFLINE_POLICY_CHOICES,
+			})),
+			{
+				type: 'number',
+				id: 'offline_queue_expiry_s',
+				label: 'Queued offline changes expire after (s)',
+				width: 6,
+				default: DEFAULT_OFFLINE_EXPIRY_S,
+				min: 1,
+				max: 3600,
+				step: 1,
+				tooltip: 'Only for classes set to "Queue". "Latest value per path" keeps changes until the Galaxy is back.',
+			},
+			{
+				type: 'number',
+				id: 'bulk_lines_per_s',
+				label: 'Design actions: lines per second',
+				width: 6,
+				default: DEFAULT_BULK_LINES_PER_S,
+				min: 1,
+				max: 10000,
+				step: 1,
+				tooltip: 'Line array, LMBC, SubAssist, HF attenuation, product integration and state import send at this pace',
+			},
+			{
+				type: 'number',
+				id: 'bulk_chunk_lines',
+				label: 'Design actions: lines per write',
+				width: 6,
+				default: DEFAULT_BULK_CHUNK_LINES,
+				min: 1,
+				max: 1000,
+				step: 1,
+			},
+			{
+				type: 'dropdown',
+				id: 'subscription_profile',
+				label: 'Subscription profile',
+				width: 6,
+				default: DEFAULT_SUB_PROFILE,
+				choices: [
+					{ id: 'operator', label: 'Operator (mutes/gains/snapshots)' },
+					{ id: 'systemtech', label: 'System tech (EQ, filters, delay)' },
+					{ id: 'full', label: 'Full' },
+					{ id: 'custom', label: 'Custom' },
+				],
+				tooltip:
+					'Which parameters are subscribed and exposed as variables. Anything left out is subscribed the first time an action or feedback needs it.',
+			},
+			{
+				type: 'multidropdown',
+				id: 'subscription_groups',
+				label: 'Subscribed parameters',
+				width: 6,
+				default: SUB_PROFILES[DEFAULT_SUB_PROFILE],
+				choices: SUB_GROUPS,
+				isVisible: (options) => options.subscription_profile === 'custom',
+			},
+			{
+				type: 'checkbox',
+				id: 'trace_enabled',
+				label: 'Record protocol trace',
+				width: 4,
+				default: false,
+				tooltip: 'Write every line sent to and received from the Galaxy, with timestamps, to rotating files',
+			},
+			{
+				type: 'textinput',
+				id: 'trace_dir',
+				label: 'Trace folder (empty = system temp folder)',
+				width: 5,
+				default: '',
+				isVisible: (options) => !!options.trace_enabled,
+			},
+			{
+				type: 'number',
+				id: 'trace_max_mb',
+				label: 'Trace file size (MB)',
+				width: 3,
+				default: DEFAULT_TRACE_MAX_MB,
+				min: 1,
+				max: 1000,
+				step: 1,
+				isVisible: (options) => !!options.trace_enabled,
+			},
+			{
+				type: 'checkbox',
+				id: 'dry_run',
+				label: 'Dry run (log commands, send nothing)',
+				width: 4,
+				default: false,
+				tooltip:
+					'Every action logs the commands it would send instead of sending them. Design actions also have a per-action "Dry run" option.',
+			},
+			{
+				type: 'textinput',
+				id: 'dry_run_file',
+				label: 'Also append dry-run command lists to file (empty = log only)',
+				width: 8,
+				default: '',
+			},
 			// Hidden: we still store port but UI drives it from connection type
 			{
 				type: 'number',
@@ -470,11 +1093,24 @@ class ModuleInstance extends InstanceBase {
 				step: 1,
 				isVisible: () => false,
 			},
+			// Hidden: scenes stored with "Scene: Store" (JSON, see scenes.js)
+			{
+				type: 'textinput',
+				id: 'scenes',
+				label: 'Scenes',
+				width: 12,
+				default: '',
+				isVisible: () => false,
+			},
 		]
 	}
 
 	// -------- Subscribe socket (~30ms default) --------
 	_startSubscribe() {
+		if (this.config?.connection_type === 'replay' && !this._root) {
+			this._startReplay()
+			return
+		}
 		const { host, port } = this._resolveHostPortFromConfig()
 		if (!host || !port) {
 			this.updateStatus(InstanceStatus.BadConfig, 'Set IP/Port')
@@ -487,8 +1123,16 @@ class ModuleInstance extends InstanceBase {
 		this.subBuf = ''
 
 		const reconnect = () => {
-			if (this.subSock === sock) this.subSock = null
+			// Ignore late events from a socket that was already replaced or torn down
+			if (this.subSock !== sock) return
+			this.subSock = null
+			this._subConnected = false
 			this._logHistoryFetched = false
+			// Anything not written yet now follows the offline policy; unconfirmed commands are not resent
+			for (const line of this.cmdQueue.splice(0)) this._offlineHold(line)
+			this._cmdDropPending()
+			this._syncReset()
+			this._stopHeartbeat()
 
 			// Check if we've exceeded max retry attempts (if limit is set)
 			if (RECONNECT_MAX_ATTEMPTS > 0 && this._reconnectAttempts >= RECONNECT_MAX_ATTEMPTS) {
@@ -500,12 +1144,21 @@ class ModuleInstance extends InstanceBase {
 			this._reconnectAttempts++
 			this._reconnectDelay = Math.min(this._reconnectDelay * 2, RECONNECT_MAX_DELAY_MS)
 
-			this.updateStatus(
-				InstanceStatus.Disconnected,
-				`Reconnecting in ${(this._reconnectDelay / 1000).toFixed(0)}s (attempt ${this._reconnectAttempts})`,
-			)
+			if (this._failoverDue()) {
+				const next = this._activePath === 'primary' ? 'secondary' : 'primary'
+				this._setNetworkPath(next, `${this._reconnectAttempts} reconnect attempts failed`)
+				this._reconnectAttempts = 0
+				this._reconnectDelay = RECONNECT_DELAY_MS
+				this.updateStatus(InstanceStatus.Disconnected, `Switching to ${next} network path`)
+			} else {
+				this.updateStatus(
+					InstanceStatus.Disconnected,
+					`Reconnecting in ${(this._reconnectDelay / 1000).toFixed(0)}s (attempt ${this._reconnectAttempts})`,
+				)
+			}
 
-			setTimeout(() => this._startSubscribe(), this._reconnectDelay)
+			clearTimeout(this._reconnectTimer)
+			this._reconnectTimer = setTimeout(() => this._startSubscribe(), this._reconnectDelay)
 		}
 
 		sock.on('error', reconnect)
@@ -513,6 +1166,7 @@ class ModuleInstance extends InstanceBase {
 		sock.on('close', reconnect)
 
 		sock.on('data', (chunk) => {
+			this._lastMessageAt = Date.now()
 			this.subBuf += chunk.toString('utf8')
 			const parts = this.subBuf.split(EOL_SPLIT)
 			this.subBuf = parts.pop() ?? ''
@@ -529,339 +1183,780 @@ class ModuleInstance extends InstanceBase {
 			this._reconnectAttempts = 0
 			this._reconnectDelay = RECONNECT_DELAY_MS
 
-			this.updateStatus(InstanceStatus.Ok, 'Subscribed')
+			this._syncReset()
+			this.updateStatus(InstanceStatus.Connecting, 'Syncing 0%')
+			this._startHeartbeat()
+			this._subConnected = true
+			this._offlineFlush()
 
-			// Subscribe inputs
-			for (let ch = 1; ch <= NUM_INPUTS; ch++) {
-				this._subWrite(`+/processing/input/${ch}/mute`)
-				this._subWrite(`+/processing/input/${ch}/gain`)
-				this._subWrite(`+/processing/input/${ch}/delay`) // delay in samples
-
-				// U-Shaping bypass
-				this._subWrite(`+/processing/input/${ch}/ushaping/bypass`)
-
-				// U-Shaping bands 1-5 (gain, frequency, slope, band_bypass)
-				for (let band = 1; band <= 5; band++) {
-					this._subWrite(`+/processing/input/${ch}/ushaping/${band}/gain`)
-					this._subWrite(`+/processing/input/${ch}/ushaping/${band}/slope`)
-					this._subWrite(`+/processing/input/${ch}/ushaping/${band}/band_bypass`)
-					// Bands 1-4 have frequency parameter, Band 5 does not
-					if (band <= 4) {
-						this._subWrite(`+/processing/input/${ch}/ushaping/${band}/frequency`)
-					}
-				}
+			// Ask for the model first so the bulk subscription matches its channel counts
+			this._subscribedAll = false
+			this._subWrite(`+${MODEL_STRING_PATH}`)
+			this._subWrite(MODEL_STRING_PATH)
+			clearTimeout(this._modelDetectTimer)
+			this._modelDetectTimer = setTimeout(() => {
+				this._modelDetectTimer = null
+				if (this.subSock !== sock || this._subscribedAll) return
+				this.log?.('warn', `Galaxy model not reported, using ${this.galaxyModel.label} channel counts`)
+				this._subscribeAll()
+			}, MODEL_DETECT_TIMEOUT_MS)
+		})
+	}
 
-				// Parametric EQ bypass (master)
-				this._subWrite(`+/processing/input/${ch}/eq/bypass`)
+	// Subscribe + seed every path of the active profile, sized to the current model's channel counts
+	_subscribeAll() {
+		clearTimeout(this._modelDetectTimer)
+		this._modelDetectTimer = null
+		this._subscribedAll = true
+		this._subscribedGroups.clear()
 
-				// Parametric EQ bands 1-5 (gain, frequency, bandwidth, band_bypass)
-				for (let band = 1; band <= 5; band++) {
-					this._subWrite(`+/processing/input/${ch}/eq/${band}/gain`)
-					this._subWrite(`+/processing/input/${ch}/eq/${band}/frequency`)
-					this._subWrite(`+/processing/input/${ch}/eq/${band}/bandwidth`)
-					this._subWrite(`+/processing/input/${ch}/eq/${band}/band_bypass`)
-				}
-			}
-			// Subscribe outputs
-			for (let ch = 1; ch <= NUM_OUTPUTS; ch++) {
-				this._subWrite(`+/processing/output/${ch}/mute`)
-				this._subWrite(`+/processing/output/${ch}/gain`)
-				this._subWrite(`+/processing/output/${ch}/delay`) // delay in samples
-				this._subWrite(`+/processing/output/${ch}/polarity_reversal`)
-				this._subWrite(`+/processing/output/${ch}/highpass/bypass`)
-				this._subWrite(`+/processing/output/${ch}/highpass/frequency`)
-				this._subWrite(`+/processing/output/${ch}/highpass/type`)
-				this._subWrite(`+/processing/output/${ch}/lowpass/bypass`)
-				this._subWrite(`+/processing/output/${ch}/lowpass/frequency`)
-				this._subWrite(`+/processing/output/${ch}/lowpass/type`)
-				for (let band = 1; band <= 3; band++) {
-					this._subWrite(`+/processing/output/${ch}/allpass/${band}/band_bypass`)
-					this._subWrite(`+/processing/output/${ch}/allpass/${band}/frequency`)
-					this._subWrite(`+/processing/output/${ch}/allpass/${band}/q`)
-				}
+		this._subscribePaths(this._subscriptionPaths('core'))
+		this._subscribePaths(this._subscriptionPaths('watched'))
+		for (const group of this._activeSubGroups()) {
+			this._subscribeGroup(group)
+		}
 
-				// U-Shaping bypass
-				this._subWrite(`+/processing/output/${ch}/ushaping/bypass`)
+		if (!this._logHistoryFetched) {
+			this._fetchLogHistory()
+		} else if (!this._connectLogSent) {
+			this._announceCompanionConnected()
+		}
+	}
 
-				// U-Shaping bands 1-5 (gain, frequency, slope, band_bypass)
-				for (let band = 1; band <= 5; band++) {
-					this._subWrite(`+/processing/output/${ch}/ushaping/${band}/gain`)
-					this._subWrite(`+/processing/output/${ch}/ushaping/${band}/slope`)
-					this._subWrite(`+/processing/output/${ch}/ushaping/${band}/band_bypass`)
-					if (band <= 4) {
-						this._subWrite(`+/processing/output/${ch}/ushaping/${band}/frequency`)
-					}
-				}
+	_subscribeGroup(group) {
+		this._subscribedGroups.add(group)
+		this._subscribePaths(this._subscriptionPaths(group))
+	}
 
-				// Parametric EQ bypass (master)
-				this._subWrite(`+/processing/output/${ch}/eq/bypass`)
+	_subscribePaths(paths) {
+		for (const path of paths) this._subWrite(`+${path}`)
+		this._syncQueuePaths(paths)
+	}
 
-				// Parametric EQ bands 1-10 (outputs have 10 bands)
-				for (let band = 1; band <= 10; band++) {
-					this._subWrite(`+/processing/output/${ch}/eq/${band}/gain`)
-					this._subWrite(`+/processing/output/${ch}/eq/${band}/frequency`)
-					this._subWrite(`+/processing/output/${ch}/eq/${band}/bandwidth`)
-					this._subWrite(`+/processing/output/${ch}/eq/${band}/band_bypass`)
-				}
-			}
-			// Seed GETs
-			for (let ch = 1; ch <= NUM_INPUTS; ch++) {
-				this._subWrite(`/processing/input/${ch}/mute`)
-				this._subWrite(`/processing/input/${ch}/gain`)
-				this._subWrite(`/processing/input/${ch}/delay`) // get current delay (samples)
-
-				// U-Shaping bypass
-				this._subWrite(`/processing/input/${ch}/ushaping/bypass`)
-
-				// U-Shaping bands 1-5 (gain, frequency, slope, band_bypass)
-				for (let band = 1; band <= 5; band++) {
-					this._subWrite(`/processing/input/${ch}/ushaping/${band}/gain`)
-					this._subWrite(`/processing/input/${ch}/ushaping/${band}/slope`)
-					this._subWrite(`/processing/input/${ch}/ushaping/${band}/band_bypass`)
-					if (band <= 4) {
-						this._subWrite(`/processing/input/${ch}/ushaping/${band}/frequency`)
-					}
-				}
+	// ---- Staged sync ----
+	// Seed GETs go out SYNC_BATCH_SIZE at a time and the next batch waits for the previous one's replies:
+	// older firmware drops responses when thousands of GETs arrive at once.
+	_syncQueuePaths(paths) {
+		if (paths.length === 0 || !this.subSock) return
+		this._syncQueue = this._syncQueue.concat(paths)
+		this._syncTotal += paths.length
+		if (!this._syncTimer) this._syncNextBatch()
+	}
 
-				// Parametric EQ bypass (master)
-				this._subWrite(`/processing/input/${ch}/eq/bypass`)
+	_syncNextBatch() {
+		clearTimeout(this._syncTimer)
+		this._syncTimer = null
 
-				// Parametric EQ bands 1-5
-				for (let band = 1; band <= 5; band++) {
-					this._subWrite(`/processing/input/${ch}/eq/${band}/gain`)
-					this._subWrite(`/processing/input/${ch}/eq/${band}/frequency`)
-					this._subWrite(`/processing/input/${ch}/eq/${band}/bandwidth`)
-					this._subWrite(`/processing/input/${ch}/eq/${band}/band_bypass`)
-				}
+		// Anything still pending timed out: retry it once after the rest, then give up on it
+		for (const path of this._syncPending) {
+			if (this._syncRetried.has(path)) {
+				this._syncMissing.push(path)
+			} else {
+				this._syncRetried.add(path)
+				this._syncQueue.push(path)
 			}
-			for (let ch = 1; ch <= NUM_OUTPUTS; ch++) {
-				this._subWrite(`/processing/output/${ch}/mute`)
-				this._subWrite(`/processing/output/${ch}/gain`)
-				this._subWrite(`/processing/output/${ch}/delay`) // get current delay (samples)
-				this._subWrite(`/processing/output/${ch}/polarity_reversal`)
-				this._subWrite(`/processing/output/${ch}/highpass/bypass`)
-				this._subWrite(`/processing/output/${ch}/highpass/frequency`)
-				this._subWrite(`/processing/output/${ch}/highpass/type`)
-				this._subWrite(`/processing/output/${ch}/lowpass/bypass`)
-				this._subWrite(`/processing/output/${ch}/lowpass/frequency`)
-				this._subWrite(`/processing/output/${ch}/lowpass/type`)
-				for (let band = 1; band <= 3; band++) {
-					this._subWrite(`/processing/output/${ch}/allpass/${band}/band_bypass`)
-					this._subWrite(`/processing/output/${ch}/allpass/${band}/frequency`)
-					this._subWrite(`/processing/output/${ch}/allpass/${band}/q`)
-				}
+		}
+		this._syncPending.clear()
 
-				// U-Shaping bypass
-				this._subWrite(`/processing/output/${ch}/ushaping/bypass`)
+		if (this._syncQueue.length === 0) {
+			this._syncFinish()
+			return
+		}
+		const batch = this._syncQueue.splice(0, SYNC_BATCH_SIZE)
+		for (const path of batch) this._syncPending.add(path)
+		this._syncTimer = setTimeout(() => this._syncNextBatch(), SYNC_BATCH_TIMEOUT_MS)
+		this._syncReportProgress()
+		for (const path of batch) this._subWrite(path)
+	}
 
-				// U-Shaping bands 1-5 (gain, frequency, slope, band_bypass)
-				for (let band = 1; band <= 5; band++) {
-					this._subWrite(`/processing/output/${ch}/ushaping/${band}/gain`)
-					this._subWrite(`/processing/output/${ch}/ushaping/${band}/slope`)
-					this._subWrite(`/processing/output/${ch}/ushaping/${band}/band_bypass`)
-					if (band <= 4) {
-						this._subWrite(`/processing/output/${ch}/ushaping/${band}/frequency`)
-					}
-				}
+	_syncAnswered(path) {
+		if (!path || !this._syncPending.delete(path)) return
+		this._syncDone++
+		if (this._syncPending.size === 0) this._syncNextBatch()
+	}
 
-				// Parametric EQ bypass (master)
-				this._subWrite(`/processing/output/${ch}/eq/bypass`)
+	_syncReportProgress() {
+		const settled = this._syncDone + this._syncMissing.length
+		const pct = this._syncTotal > 0 ? Math.min(99, Math.floor((settled / this._syncTotal) * 100)) : 0
+		this.updateStatus(InstanceStatus.Connecting, `Syncing ${pct}%`)
+		this.setVariableValues({ sync_progress: pct })
+	}
 
-				// Parametric EQ bands 1-10 (outputs have 10 bands)
-				for (let band = 1; band <= 10; band++) {
-					this._subWrite(`/processing/output/${ch}/eq/${band}/gain`)
-					this._subWrite(`/processing/output/${ch}/eq/${band}/frequency`)
-					this._subWrite(`/processing/output/${ch}/eq/${band}/bandwidth`)
-					this._subWrite(`/processing/output/${ch}/eq/${band}/band_bypass`)
-				}
-			}
+	_syncFinish() {
+		const missing = this._syncMissing
+		this.setVariableValues({ sync_progress: 100, sync_unanswered: missing.join(', ') })
+		if (missing.length > 0) {
+			const more = missing.length > SYNC_REPORT_MAX ? ` and ${missing.length - SYNC_REPORT_MAX} more` : ''
+			this.log?.(
+				'warn',
+				`Sync finished, ${missing.length} path(s) never answered: ${missing.slice(0, SYNC_REPORT_MAX).join(', ')}${more}`,
+			)
+			this.updateStatus(InstanceStatus.Ok, `Subscribed (${missing.length} paths unanswered)`)
+		} else {
+			this.log?.('debug', `Sync finished: ${this._syncTotal} paths`)
+			this.updateStatus(InstanceStatus.Ok, 'Subscribed')
+		}
+		this._syncMissing = []
+		this._syncRetried.clear()
+		this._syncTotal = 0
+		this._syncDone = 0
+	}
 
-			// Matrix subscribe + seed (32 x 16)
-			for (let mi = 1; mi <= MATRIX_INPUTS; mi++) {
-				for (let mo = 1; mo <= NUM_OUTPUTS; mo++) {
-					const addr = `/processing/matrix/${mi}/${mo}/gain`
-					this._subWrite(`+${addr}`)
-					this._subWrite(addr)
-					// Matrix delay
-					const delayAddr = `/processing/matrix/${mi}/${mo}/delay`
-					this._subWrite(`+${delayAddr}`)
-					this._subWrite(delayAddr)
-					// Matrix delay bypass
-					const delayBypassAddr = `/processing/matrix/${mi}/${mo}/delay_bypass`
-					this._subWrite(`+${delayBypassAddr}`)
-					this._subWrite(delayBypassAddr)
-					// Matrix delay type
-					const delayTypeAddr = `/processing/matrix/${mi}/${mo}/delay_type`
-					this._subWrite(`+${delayTypeAddr}`)
-					this._subWrite(delayTypeAddr)
-				}
-			}
+	// ---- Protocol trace ----
+	_startTrace() {
+		this._stopTrace()
+		if (!this.config?.trace_enabled) return
+		const dir = String(this.config?.trace_dir ?? '').trim() || path.join(os.tmpdir(), 'companion-galaxy-trace')
+		const maxMb = Number(this.config?.trace_max_mb) > 0 ? Number(this.config.trace_max_mb) : DEFAULT_TRACE_MAX_MB
+		try {
+			this._trace = new TraceRecorder({
+				dir,
+				maxBytes: maxMb * 1024 * 1024,
+				keep: TRACE_KEEP_FILES,
+				onError: (err) => {
+					this.log?.('error', `Protocol trace stopped: ${err?.message || err}`)
+					this._trace = null
+				},
+			})
+			this.log?.('info', `Recording protocol trace to ${this._trace.file}`)
+		} catch (err) {
+			this.log?.('error', `Cannot record protocol trace in ${dir}: ${err?.message || err}`)
+		}
+	}
 
-			// ===== Meters (subscribe + seed) =====
-			// Inputs 1..NUM_INPUTS
-			for (let ch = 1; ch <= NUM_INPUTS; ch++) {
-				const addr = `/status/meter/input/${ch}`
-				this._subWrite(`+${addr}`)
-				this._subWrite(addr)
-			}
-			// Outputs 1..NUM_OUTPUTS
-			for (let ch = 1; ch <= NUM_OUTPUTS; ch++) {
-				const addr = `/status/meter/output/${ch}`
-				this._subWrite(`+${addr}`)
-				this._subWrite(addr)
-			}
-			// Matrix inputs 1..32
-			for (let i = 1; i <= 32; i++) {
-				const addr = `/status/meter/matrix_input/${i}`
-				this._subWrite(`+${addr}`)
-				this._subWrite(addr)
-			}
-			// Entity & clocks
-			for (const path of ENTITY_PATHS) {
-				this._subWrite(`+/entity/${path}`)
-				this._subWrite(`/entity/${path}`)
-			}
-			// Input link groups
-			for (let group = 1; group <= 4; group++) {
-				this._subWrite(`+/device/input_link_group/${group}/bypass`)
-				this._subWrite(`/device/input_link_group/${group}/bypass`)
-			}
-			// Output link groups
-			for (let group = 1; group <= 8; group++) {
-				this._subWrite(`+/device/output_link_group/${group}/bypass`)
-				this._subWrite(`/device/output_link_group/${group}/bypass`)
-			}
-			// Input link group assignments
-			for (let ch = 1; ch <= NUM_INPUTS; ch++) {
-				this._subWrite(`+/device/input/${ch}/input_link_group`)
-				this._subWrite(`/device/input/${ch}/input_link_group`)
-			}
-			// Output link group assignments
-			for (let ch = 1; ch <= NUM_OUTPUTS; ch++) {
-				this._subWrite(`+/device/output/${ch}/output_link_group`)
-				this._subWrite(`/device/output/${ch}/output_link_group`)
-			}
-			// Matrix crosspoints used
-			this._subWrite(`+/status/matrix_crosspoints_used`)
-			this._subWrite(`/status/matrix_crosspoints_used`)
-			for (const key of Object.keys(CLOCK_AES_STATUS_PATHS)) {
-				const addr = `/status/clock/aes_output/${key}`
-				this._subWrite(`+${addr}`)
-				this._subWrite(addr)
-			}
-			for (const idx of CLOCK_INPUT_INDEXES) {
-				for (const leaf of CLOCK_INPUT_LEAVES) {
-					const addr = `/status/clock/input/${idx}/${leaf}`
-					this._subWrite(`+${addr}`)
-					this._subWrite(addr)
-				}
+	_stopTrace() {
+		this._trace?.close()
+		this._trace = null
+	}
+
+	// ---- State export ----
+	_exportState() {
+		return buildStateDocument(this, { alias: this._aliasOf(), moduleVersion: MODULE_VERSION })
+	}
+
+	/**
+	 * Write this device's state document to a file
+	 * @param {string} [dir] - Folder (created if missing), default DEFAULT_STATE_DIR
+	 * @param {string} [fileName] - File name, default one file per device and day
+	 * @returns {Promise<string>} Path of the written file
+	 */
+	async _writeStateFile(dir, fileName) {
+		const doc = this._exportState()
+		const folder = String(dir ?? '').trim() || DEFAULT_STATE_DIR
+		const file = path.join(folder, String(fileName ?? '').trim() || stateFileName(doc))
+		await fs.promises.mkdir(folder, { recursive: true })
+		await fs.promises.writeFile(file, serializeState(doc))
+		const root = this._root || this
+		root.setVariableValues({
+			state_export_file: file,
+			state_export_time: new Date(doc.exported_at).toTimeString().slice(0, 8),
+		})
+		this.log?.('info', `State exported to ${file} (${Object.keys(doc.parameters).length} parameters)`)
+		return file
+	}
+
+	/**
+	 * Compare a state document with this device and, unless previewing, send the differing parameters
+	 * @param {string} text - Exported JSON
+	 * @param {string[]} sections - STATE_SECTIONS ids to apply
+	 * @param {boolean} apply - Send the commands (false = only count them)
+	 * @returns {Object} The plan from planStateImport
+	 */
+	_importState(text, sections, apply) {
+		const doc = parseStateDocument(text)
+		const layout = { inputs: this.numInputs, outputs: this.numOutputs, matrix_inputs: this.matrixInputs }
+		const plan = planStateImport(doc, { sections, layout, current: this._knownValues })
+
+		const perSection = STATE_SECTIONS.filter((section) => section.id in plan.changed)
+			.map((section) => `${section.label} ${plan.changed[section.id]}`)
+			.join(', ')
+		const from = describeStateDocument(doc)
+		let summary = `${plan.lines.length} to change (${perSection}), ${plan.unchanged} already equal`
+		if (plan.outOfRange > 0) summary += `, ${plan.outOfRange} skipped (channels this ${this.galaxyModel.label} lacks)`
+		this.log?.('info', `State import ${apply ? '' : 'preview '}from ${from}: ${summary}`)
+		const root = this._root || this
+		root.setVariableValues({ state_import_changes: plan.lines.length, state_import_summary: summary })
+
+		if (apply && plan.lines.length > 0) this._cmdSendBatch(plan.lines)
+		return plan
+	}
+
+	/**
+	 * Compare this device with a state document and log every differing parameter. The document stays the reference:
+	 * state_diff_count and the "System: Matches reference state" feedback follow later changes.
+	 * @param {string} text - Exported JSON
+	 * @param {string[]} sections - Section ids to compare (STATE_SECTIONS ids and/or 'other')
+	 * @returns {Array<{path, expected, actual}>} Differing parameters
+	 */
+	_diffState(text, sections) {
+		const doc = parseStateDocument(text)
+		const { expected, diffs, unavailable } = diffState(doc, { sections, current: this._knownValues })
+		const from = describeStateDocument(doc)
+		this._stateReference = { from, expected, diffs: new Map(diffs.map((diff) => [diff.path, diff])) }
+
+		let header = `State diff against ${from}: ${diffs.length} of ${expected.size} parameters differ`
+		if (unavailable > 0) header += `, ${unavailable} not reported by this Galaxy`
+		const report = diffs.map((diff) => `${diff.path}: expected ${diff.expected}, actual ${diff.actual}`)
+		this.log?.(diffs.length > 0 ? 'warn' : 'info', [header, ...report].join('\n'))
+		this._statePublishDiff()
+		return diffs
+	}
+
+	// Keep the diff against the reference current as values change on the device
+	_trackStateDiff(line) {
+		const eq = line.indexOf('=')
+		if (eq < 0) return
+		const ref = this._stateReference
+		const path = line.slice(0, eq).trim()
+		const expected = ref.expected.get(path)
+		if (expected === undefined) return
+		const actual = this._cmdReplyValue(line)
+		const differed = ref.diffs.has(path)
+		if (sameStateValue(actual, expected)) ref.diffs.delete(path)
+		else ref.diffs.set(path, { path, expected, actual })
+		if (differed !== ref.diffs.has(path)) this._statePublishDiff()
+	}
+
+	_statePublishDiff() {
+		const ref = this._stateReference
+		this.setVariableValues({ state_diff_count: ref?.diffs.size ?? '', state_diff_reference: ref?.from ?? '' })
+		this.checkFeedbacks('state_matches_reference')
+	}
+
+	// ---- Undo / redo ----
+	// Each action run is one step: every parameter it writes is recorded with the value it had before (the last one
+	// Companion wrote, or else the last one the device reported), undo sends those back and redo the values the action
+	// wrote. Colon commands (snapshots, reboot...) cannot be undone.
+	_undoBegin(label) {
+		const run = currentRun()
+		if (!run || run.undo) return null
+		run.undo = { label, changes: new Map() }
+		return run.undo
+	}
+
+	_undoEnd(step) {
+		if (!step) return
+		const run = currentRun()
+		if (run?.undo === step) run.undo = null
+		const changes = [...step.changes.values()].filter((change) => !sameStateValue(change.before, change.after))
+		if (changes.length === 0) return
+		this._undoStack.push({ label: step.label, changes })
+		if (this._undoStack.length > UNDO_MAX_STEPS) this._undoStack.shift()
+		this._redoStack = []
+		this._undoPublish()
+	}
+
+	// The first write of a path keeps the value before the step, later writes only move the value after it
+	_undoNote(step, path, after) {
+		const id = `${this.deviceId} ${path}`
+		const change = step.changes.get(id)
+		if (change) {
+			change.after = String(after)
+			return
+		}
+		const before = this._writtenValues.get(path) ?? this._knownValues.get(path)
+		// Never reported (group not subscribed): there is nothing to go back to
+		if (before === undefined) return
+		step.changes.set(id, { dev: this, path, before, after: String(after) })
+	}
+
+	// Pop a step from one stack, send its `field` values ('before' to undo, 'after' to redo) and push it on the other
+	_undoMove(from, to, field, verb) {
+		const step = from.pop()
+		if (!step) {
+			this.log?.('info', `${verb}: nothing to ${verb.toLowerCase()}`)
+			return null
+		}
+		const perDevice = new Map()
+		for (const change of step.changes) {
+			// An additional device removed from the config since
+			if (change.dev !== this && !this._devices.includes(change.dev)) continue
+			const lines = perDevice.get(change.dev) ?? []
+			lines.push(`${change.path}=${formatStateValue(change.path, change[field])}`)
+			perDevice.set(change.dev, lines)
+		}
+		for (const [dev, lines] of perDevice) dev._cmdSendBatch(lines)
+		to.push(step)
+		this.log?.('info', `${verb} "${step.label}": ${this._undoDescribe(step)}`)
+		this._undoPublish()
+		return step
+	}
+
+	_undo() {
+		return this._undoMove(this._undoStack, this._redoStack, 'before', 'Undo')
+	}
+
+	_redo() {
+		return this._undoMove(this._redoStack, this._undoStack, 'after', 'Redo')
+	}
+
+	// e.g. `Output 3 EQ band 2 gain −2.5 → −4.0 (+2 more)`
+	_undoDescribe(step) {
+		if (!step) return ''
+		const [first, ...rest] = step.changes
+		const device = this._devices.length > 0 ? `[${first.dev._aliasOf()}] ` : ''
+		const from = parameterValueLabel(first.path, first.before)
+		const to = parameterValueLabel(first.path, first.after)
+		const more = rest.length > 0 ? ` (+${rest.length} more)` : ''
+		return `${device}${parameterLabel(first.path)} ${from} \u2192 ${to}${more}`
+	}
+
+	_undoPublish() {
+		this.setVariableValues({
+			undo_depth: this._undoStack.length,
+			redo_depth: this._redoStack.length,
+			undo_next: this._undoDescribe(this._undoStack.at(-1)),
+			redo_next: this._undoDescribe(this._redoStack.at(-1)),
+		})
+	}
+
+	// ---- Scenes: gains, mutes, matrix and delays stored by the module, recalled as command batches ----
+	_loadScenes() {
+		this._scenes = parseScenes(this.config?.scenes)
+	}
+
+	_saveScenes() {
+		this.config = { ...this.config, scenes: JSON.stringify(this._scenes) }
+		this.saveConfig(this.config)
+		this._publishScenes()
+		// Scene dropdowns of actions and feedbacks
+		this._scheduleActionsRefresh()
+		this._scheduleFeedbacksRefresh()
+	}
+
+	_publishScenes() {
+		const names = Object.keys(this._scenes)
+		this.setVariableValues({
+			scene_count: names.length,
+			scene_list: names.join(', '),
+			scene_last_stored: this._sceneLastStored,
+			scene_last_recalled: this._sceneLastRecalled,
+		})
+		this.checkFeedbacks('scene_matches', 'scene_last_recalled')
+	}
+
+	/**
+	 * Store this device's current values of the given scopes as a scene, replacing a scene of the same name
+	 * @param {string} name - Scene name
+	 * @param {string[]} scopes - SCENE_SCOPES ids
+	 * @returns {Object|null} The stored scene, null when nothing of the scopes is known yet
+	 */
+	_storeScene(name, scopes) {
+		const root = this._root || this
+		for (const scope of scopes) root._ensureSubscribedGroup(SCENE_SCOPES[scope].group, `scene "${name}"`)
+		const scene = captureScene(this, scopes)
+		const count = Object.keys(scene.values).length
+		if (count === 0) {
+			this.log?.('warn', `Scene "${name}" not stored: no values received yet for ${scopes.join(', ')}`)
+			return null
+		}
+		root._scenes = { ...root._scenes, [name]: scene }
+		root._sceneLastStored = name
+		root._saveScenes()
+		this.log?.('info', `Scene "${name}" stored: ${count} values (${scene.scopes.join(', ')})`)
+		return scene
+	}
+
+	/**
+	 * Bring this device to a stored scene. Only values that differ are sent; with a fade, gains ramp and the rest
+	 * (mutes, delays) is sent at once.
+	 * @param {string} name - Scene name
+	 * @param {number} [fadeMs] - Gain fade duration (0 = send everything at once)
+	 * @param {string} [curve] - Fade curve ('linear' or 'log')
+	 * @returns {Array<[string, *]>} The values that were changed
+	 */
+	_recallScene(name, fadeMs = 0, curve = 'linear') {
+		const root = this._root || this
+		const scene = root._scenes[name]
+		if (!scene) {
+			this.log?.('warn', `Scene "${name}" not found`)
+			return []
+		}
+		const changes = sceneChanges(this, scene)
+		// Fade steps run on timers after the action has returned: a dry run gets the final values instead
+		const fading = fadeMs > 0 && !currentRun()?.dryRun
+		const lines = []
+		for (const [path, value] of changes) {
+			const m = fading ? path.match(/^\/processing\/(input|output|matrix)\/(\d+)\/(?:(\d+)\/)?gain$/) : null
+			if (!m) lines.push(`${path}=${value}`)
+			else if (m[1] === 'input') this._startInputGainFade(Number(m[2]), value, fadeMs, curve)
+			else if (m[1] === 'output') this._startOutputGainFade(Number(m[2]), value, fadeMs, curve)
+			else this._startMatrixGainFade(Number(m[2]), Number(m[3]), value, fadeMs, curve)
+		}
+		if (lines.length > 0) this._cmdSendBatch(lines)
+
+		root._sceneLastRecalled = name
+		root._publishScenes()
+		const total = Object.keys(scene.values).length
+		this.log?.(
+			'info',
+			`Scene "${name}" recalled: ${changes.length} of ${total} values changed${fading ? ` (gains over ${fadeMs} ms)` : ''}`,
+		)
+		return changes
+	}
+
+	_deleteScene(name) {
+		const root = this._root || this
+		if (!(name in root._scenes)) {
+			this.log?.('warn', `Scene "${name}" not found`)
+			return false
+		}
+		const scenes = { ...root._scenes }
+		delete scenes[name]
+		root._scenes = scenes
+		if (root._sceneLastStored === name) root._sceneLastStored = ''
+		if (root._sceneLastRecalled === name) root._sceneLastRecalled = ''
+		root._saveScenes()
+		this.log?.('info', `Scene "${name}" deleted`)
+		return true
+	}
+
+	// Whether this device currently holds every value of a scene
+	_sceneMatches(name) {
+		const scene = (this._root || this)._scenes[name]
+		return !!scene && sceneChanges(this, scene).length === 0
+	}
+
+	// A scene compares hundreds of values: re-check "Scene: Current values match" at most once per refresh interval
+	_sceneCheckSoon() {
+		if (this._sceneCheckTimer || Object.keys(this._scenes).length === 0) return
+		this._sceneCheckTimer = setTimeout(() => {
+			this._sceneCheckTimer = null
+			this.checkFeedbacks('scene_matches')
+		}, UI_REFRESH_DEBOUNCE_MS)
+	}
+
+	// Companion serves this under /instance/<connection label>/: GET /state[?device=<device id or alias>]
+	handleHttpRequest(request) {
+		if (request.path !== '/state') return { status: 404, body: 'Not found' }
+		if (request.method !== 'GET') return { status: 405, body: 'Only GET is supported' }
+		const wanted = String(request.query?.device ?? '')
+			.trim()
+			.toLowerCase()
+		const dev = wanted
+			? [this, ...this._devices].find((d) => d.deviceId === wanted || d._aliasOf().toLowerCase() === wanted)
+			: this
+		if (!dev) return { status: 404, body: `Unknown device "${request.query.device}"` }
+		return {
+			status: 200,
+			headers: { 'Content-Type': 'application/json' },
+			body: serializeState(dev._exportState()),
+		}
+	}
+
+	// Feed the received lines of a trace back through _onSubLine, honouring the recorded timing
+	async _startReplay() {
+		this._stopReplay()
+		const file = String(this.config?.replay_file ?? '').trim()
+		if (!file) {
+			this.updateStatus(InstanceStatus.BadConfig, 'Set a trace file to replay')
+			return
+		}
+
+		const replay = {}
+		this._replay = replay
+		let entries
+		try {
+			entries = parseTrace(await fs.promises.readFile(file, 'utf8')).filter((e) => e.direction === TRACE_RX_SUB)
+		} catch (err) {
+			if (this._replay === replay) this._replay = null
+			this.updateStatus(InstanceStatus.BadConfig, `Cannot read trace: ${err?.message || err}`)
+			return
+		}
+		if (this._replay !== replay) return
+		if (entries.length === 0) {
+			this._replay = null
+			this.updateStatus(InstanceStatus.BadConfig, 'Trace has no received lines')
+			return
+		}
+
+		const speed = Number(this.config?.replay_speed ?? 1)
+		const firstTs = entries[0].ts
+		const startedAt = Date.now()
+		let index = 0
+		let shownPct = -1
+		this.log?.('info', `Replaying ${entries.length} lines from ${file}`)
+
+		const step = () => {
+			this._replayTimer = null
+			if (this._replay !== replay) return
+			const chunkEnd = speed > 0 ? entries.length : Math.min(entries.length, index + REPLAY_INSTANT_CHUNK)
+			while (index < chunkEnd) {
+				const entry = entries[index]
+				if (speed > 0 && (entry.ts - firstTs) / speed > Date.now() - startedAt) break
+				const target = this._findDevice(entry.device)
+				if (target) target._onSubLine(entry.line)
+				index++
 			}
-			for (const key of Object.keys(CLOCK_SYSTEM_PATHS)) {
-				const addr = `/status/clock/system/${key}`
-				this._subWrite(`+${addr}`)
-				this._subWrite(addr)
+
+			if (index >= entries.length) {
+				this._replay = null
+				this.log?.('info', 'Trace replay finished')
+				this.updateStatus(InstanceStatus.Ok, 'Replay finished')
+				return
 			}
-			for (const key of Object.keys(WORD_CLOCK_PATHS)) {
-				const addr = `/status/clock/word_clock/${key}`
-				this._subWrite(`+${addr}`)
-				this._subWrite(addr)
+			const pct = Math.floor((index / entries.length) * 100)
+			if (pct !== shownPct) {
+				shownPct = pct
+				this.updateStatus(InstanceStatus.Ok, `Replaying ${pct}%`)
 			}
-			this._subWrite(`+${RTC_PATH}`)
-			this._subWrite(RTC_PATH)
-
-			// Fan status (4 fans)
-			for (let idx = 1; idx <= 4; idx++) {
-				const base = `/status/hardware/board/digital/fan/${idx}`
-				this._subWrite(`+${base}/stalled`)
-				this._subWrite(`${base}/stalled`)
-				this._subWrite(`+${base}/tach`)
-				this._subWrite(`${base}/tach`)
+			const wait = speed > 0 ? (entries[index].ts - firstTs) / speed - (Date.now() - startedAt) : 0
+			this._replayTimer = setTimeout(step, Math.max(0, wait))
+		}
+		step()
+	}
+
+	_stopReplay() {
+		clearTimeout(this._replayTimer)
+		this._replayTimer = null
+		this._replay = null
+	}
+
+	// ---- Heartbeat ----
+	// A half-open socket (e.g. after a switch reboot) never errors, so liveness is judged by incoming data:
+	// meters and changes usually keep it busy, and a periodic GET covers an idle device.
+	_startHeartbeat() {
+		this._stopHeartbeat()
+		this._lastMessageAt = Date.now()
+		if (this._connectionStale) {
+			this._connectionStale = false
+			this.checkFeedbacks('connection_stale')
+		}
+		this._heartbeatTimer = setInterval(() => this._checkHeartbeat(), HEARTBEAT_CHECK_MS)
+	}
+
+	_stopHeartbeat() {
+		clearInterval(this._heartbeatTimer)
+		this._heartbeatTimer = null
+		this._heartbeatSentAt = 0
+		this._heartbeatLastSent = 0
+	}
+
+	_checkHeartbeat() {
+		const sock = this.subSock
+		if (!sock) return
+		const now = Date.now()
+		const age = now - this._lastMessageAt
+
+		const stale = age >= HEARTBEAT_STALE_MS
+		if (stale !== this._connectionStale) {
+			this._connectionStale = stale
+			if (stale) {
+				this.log?.('warn', `No data from the Galaxy for ${Math.round(age / 1000)}s`)
+				this.updateStatus(InstanceStatus.UnknownWarning, 'Connection stale')
+			} else if (!this._syncTimer) {
+				this.updateStatus(InstanceStatus.Ok, 'Subscribed')
 			}
+			this.checkFeedbacks('connection_stale')
+		}
+		this.setVariableValues({ last_message_age_s: Math.floor(age / 1000) })
 
-			// Log messages
-			this._subWrite('+/status/log_message')
-			this._subWrite('/status/log_message')
+		if (age >= HEARTBEAT_TIMEOUT_MS) {
+			this.log?.('warn', 'Heartbeat timed out, reconnecting')
+			sock.destroy() // 'close' runs the reconnect logic
+			return
+		}
 
-			if (!this._logHistoryFetched) {
-				this._fetchLogHistory()
-			} else if (!this._connectLogSent) {
-				this._announceCompanionConnected()
+		if (now - this._heartbeatLastSent >= HEARTBEAT_INTERVAL_MS) {
+			this._heartbeatLastSent = now
+			if (!this._heartbeatSentAt) this._heartbeatSentAt = now
+			this._subWrite(HEARTBEAT_PATH)
+		}
+	}
+
+	_heartbeatAnswered() {
+		this._connectionLatencyMs = Date.now() - this._heartbeatSentAt
+		this._heartbeatSentAt = 0
+		this.setVariableValues({ connection_latency_ms: this._connectionLatencyMs })
+	}
+
+	_syncReset() {
+		clearTimeout(this._syncTimer)
+		this._syncTimer = null
+		this._syncQueue = []
+		this._syncPending.clear()
+		this._syncRetried.clear()
+		this._syncMissing = []
+		this._syncTotal = 0
+		this._syncDone = 0
+	}
+
+	// Optional groups for the configured profile plus any requested lazily
+	_activeSubGroups() {
+		const profile = this.config?.subscription_profile || DEFAULT_SUB_PROFILE
+		const groups =
+			profile === 'custom'
+				? this.config?.subscription_groups || []
+				: SUB_PROFILES[profile] || SUB_PROFILES[DEFAULT_SUB_PROFILE]
+		return new Set([...groups, ...this._lazySubGroups])
+	}
+
+	_subscriptionActive(group) {
+		return this._activeSubGroups().has(group)
+	}
+
+	// Called when an action runs or an action/feedback is placed on a button: subscribe (on every device)
+	// to the group its id depends on if the profile left it out.
+	_ensureSubscribedFor(id) {
+		const rule = SUB_GROUP_RULES.find(([re]) => re.test(id))
+		if (rule) this._ensureSubscribedGroup(rule[1], id)
+	}
+
+	// Subscribe (on every device) to a group the profile left out; `reason` says what needs it in the log
+	_ensureSubscribedGroup(group, reason) {
+		const root = this._root || this
+		if (root._subscriptionActive(group)) return
+
+		root._lazySubGroups.add(group)
+		const label = SUB_GROUPS.find((g) => g.id === group)?.label ?? group
+		root.log?.('info', `Subscribing to ${label} (needed by ${reason})`)
+		for (const ctx of [root, ...root._devices]) {
+			if (ctx.subSock && ctx._subscribedAll && !ctx._subscribedGroups.has(group)) {
+				ctx._subscribeGroup(group)
 			}
+		}
+		root._scheduleVariablesRefresh()
+	}
 
-			// Device names
-			for (let ch = 1; ch <= 32; ch++) {
-				let addr = `/device/input/${ch}/name`
-				this._subWrite(`+${addr}`)
-				this._subWrite(addr)
+	_subscriptionPaths(group) {
+		const paths = []
+		const perInput = (leaves) => {
+			for (let ch = 1; ch <= this.numInputs; ch++) {
+				for (const leaf of leaves) paths.push(`/processing/input/${ch}/${leaf}`)
 			}
-			for (let ch = 1; ch <= NUM_OUTPUTS; ch++) {
-				let addr = `/device/output/${ch}/name`
-				this._subWrite(`+${addr}`)
-				this._subWrite(addr)
+		}
+		const perOutput = (leaves) => {
+			for (let ch = 1; ch <= this.numOutputs; ch++) {
+				for (const leaf of leaves) paths.push(`/processing/output/${ch}/${leaf}`)
 			}
-
-			// Device input modes (subscribe + seed)
-			for (let ch = 1; ch <= 32; ch++) {
-				const addr = `/device/input/${ch}/mode`
-				this._subWrite(`+${addr}`)
-				this._subWrite(addr)
+		}
+		// U-Shaping: bypass + bands 1-5 (gain, slope, band_bypass); bands 1-4 also have frequency
+		const ushapingLeaves = ['ushaping/bypass']
+		for (let band = 1; band <= 5; band++) {
+			ushapingLeaves.push(`ushaping/${band}/gain`, `ushaping/${band}/slope`, `ushaping/${band}/band_bypass`)
+			if (band <= 4) ushapingLeaves.push(`ushaping/${band}/frequency`)
+		}
+		// Parametric EQ: bypass (master) + bands (gain, frequency, bandwidth, band_bypass)
+		const eqLeaves = (bands) => {
+			const leaves = ['eq/bypass']
+			for (let band = 1; band <= bands; band++) {
+				leaves.push(`eq/${band}/gain`, `eq/${band}/frequency`, `eq/${band}/bandwidth`, `eq/${band}/band_bypass`)
 			}
+			return leaves
+		}
 
-			// Status network + model string
-			for (const iface of NET_IFACES) {
-				for (const leaf of NET_LEAVES) {
-					const addr = `/status/network/${iface}/${leaf}`
-					this._subWrite(`+${addr}`)
-					this._subWrite(addr)
-				}
-			}
-			this._subWrite(`+${MODEL_STRING_PATH}`)
-			this._subWrite(MODEL_STRING_PATH)
+		switch (group) {
+			case 'levels':
+				perInput(['mute', 'gain'])
+				perOutput(['mute', 'gain'])
+				break
 
-			// Front panel lockout (var + feedback)
-			const fp = `/system/hardware/front_panel_lockout`
-			this._subWrite(`+${fp}`)
-			this._subWrite(fp)
-
-			// Identify (subscribe + seed)
-			this._subWrite('+/status/identify_active')
-			this._subWrite('/status/identify_active')
-
-			// Access lock privilege
-			this._subWrite(`+/system/access/1/privilege`)
-			this._subWrite(`/system/access/1/privilege`)
-
-			// Beam control array error status (arrays 1-4)
-			for (let arrayIdx = 1; arrayIdx <= 4; arrayIdx++) {
-				this._subWrite(`+/processing/beam_control_array/${arrayIdx}/error_code`)
-				this._subWrite(`/processing/beam_control_array/${arrayIdx}/error_code`)
-				this._subWrite(`+/processing/beam_control_array/${arrayIdx}/error_string`)
-				this._subWrite(`/processing/beam_control_array/${arrayIdx}/error_string`)
-			}
+			case 'delay':
+				// delay in samples
+				perInput(['delay'])
+				perOutput(['delay'])
+				break
 
-			// ---- Snapshots subscribe + seed ----
-			for (let id = 0; id <= SNAPSHOT_MAX; id++) {
-				for (const field of SNAPSHOT_FIELDS) {
-					const addr = `/project/snapshot/${id}/${field}`
-					this._subWrite(`+${addr}`)
-					this._subWrite(addr)
+			case 'filters': {
+				const leaves = ['polarity_reversal']
+				for (const filter of ['highpass', 'lowpass']) {
+					leaves.push(`${filter}/bypass`, `${filter}/frequency`, `${filter}/type`)
 				}
-			}
-			for (const field of SNAPSHOT_ACTIVE_FIELDS) {
-				const addr = `/project/snapshot/active/${field}`
-				this._subWrite(`+${addr}`)
-				this._subWrite(addr)
+				for (let band = 1; band <= 3; band++) {
+					leaves.push(`allpass/${band}/band_bypass`, `allpass/${band}/frequency`, `allpass/${band}/q`)
+				}
+				perOutput(leaves)
+				break
 			}
 
-			const bootAddr = `/project/boot_snapshot_id`
-			this._subWrite(`+${bootAddr}`)
-			this._subWrite(bootAddr)
-		})
+			case 'ushaping':
+				perInput(ushapingLeaves)
+				perOutput(ushapingLeaves)
+				break
+
+			case 'eq':
+				perInput(eqLeaves(5))
+				perOutput(eqLeaves(10)) // outputs have 10 bands
+				break
+
+			case 'matrix':
+				for (let mi = 1; mi <= this.matrixInputs; mi++) {
+					for (let mo = 1; mo <= this.numOutputs; mo++) {
+						for (const leaf of ['gain', 'delay', 'delay_bypass', 'delay_type']) {
+							paths.push(`/processing/matrix/${mi}/${mo}/${leaf}`)
+						}
+					}
+				}
+				paths.push('/status/matrix_crosspoints_used')
+				break
+
+			case 'meters':
+				for (let ch = 1; ch <= this.numInputs; ch++) paths.push(`/status/meter/input/${ch}`)
+				for (let ch = 1; ch <= this.numOutputs; ch++) paths.push(`/status/meter/output/${ch}`)
+				for (let i = 1; i <= this.matrixInputs; i++) paths.push(`/status/meter/matrix_input/${i}`)
+				break
+
+			case 'snapshots':
+				for (let id = 0; id <= SNAPSHOT_MAX; id++) {
+					for (const field of SNAPSHOT_FIELDS) paths.push(`/project/snapshot/${id}/${field}`)
+				}
+				for (const field of SNAPSHOT_ACTIVE_FIELDS) paths.push(`/project/snapshot/active/${field}`)
+				paths.push('/project/boot_snapshot_id')
+				break
+
+			case 'clocks':
+				for (const key of Object.keys(CLOCK_AES_STATUS_PATHS)) paths.push(`/status/clock/aes_output/${key}`)
+				for (const idx of CLOCK_INPUT_INDEXES) {
+					for (const leaf of CLOCK_INPUT_LEAVES) paths.push(`/status/clock/input/${idx}/${leaf}`)
+				}
+				for (const key of Object.keys(CLOCK_SYSTEM_PATHS)) paths.push(`/status/clock/system/${key}`)
+				for (const key of Object.keys(WORD_CLOCK_PATHS)) paths.push(`/status/clock/word_clock/${key}`)
+				paths.push(RTC_PATH)
+				break
+
+			case 'watched':
+				paths.push(...this._watched.keys())
+				break
+
+			case 'core':
+				for (const path of ENTITY_PATHS) paths.push(`/entity/${path}`)
+				// Link groups + channel assignments
+				for (let group = 1; group <= 4; group++) paths.push(`/device/input_link_group/${group}/bypass`)
+				for (let group = 1; group <= 8; group++) paths.push(`/device/output_link_group/${group}/bypass`)
+				for (let ch = 1; ch <= this.numInputs; ch++) paths.push(`/device/input/${ch}/input_link_group`)
+				for (let ch = 1; ch <= this.numOutputs; ch++) paths.push(`/device/output/${ch}/output_link_group`)
+				// Fan status (4 fans)
+				for (let idx = 1; idx <= 4; idx++) {
+					const base = `/status/hardware/board/digital/fan/${idx}`
+					paths.push(`${base}/stalled`, `${base}/tach`)
+				}
+				paths.push('/status/log_message')
+				// Device names + input modes
+				for (let ch = 1; ch <= this.matrixInputs; ch++) {
+					paths.push(`/device/input/${ch}/name`, `/device/input/${ch}/mode`)
+				}
+				for (let ch = 1; ch <= this.numOutputs; ch++) paths.push(`/device/output/${ch}/name`)
+				// Status network (model string is subscribed on connect)
+				for (const iface of NET_IFACES) {
+					for (const leaf of NET_LEAVES) paths.push(`/status/network/${iface}/${leaf}`)
+				}
+				paths.push('/system/hardware/front_panel_lockout', '/status/identify_active', '/system/access/1/privilege')
+				// Beam control array error status (arrays 1-4)
+				for (let arrayIdx = 1; arrayIdx <= 4; arrayIdx++) {
+					paths.push(
+						`/processing/beam_control_array/${arrayIdx}/error_code`,
+						`/processing/beam_control_array/${arrayIdx}/error_string`,
+					)
+				}
+				break
+		}
+		return paths
 	}
 
 	_subWrite(cmd) {
 		const s = this.subSock
 		if (!s) return
+		this._trace?.record(this.deviceId, TRACE_TX_SUB, cmd)
 		try {
 			s.write(Buffer.from(cmd + TX_EOL, 'utf8'))
 		} catch (err) {
@@ -871,7 +1966,21 @@ class ModuleInstance extends InstanceBase {
 	}
 
 	_onSubLine(line) {
+		if (this._trace && !this._replay) this._trace.record(this.deviceId, TRACE_RX_SUB, line)
 		try {
+			const err = this._parseDeviceError(line)
+			if (this._syncPending.size > 0) this._syncAnswered(err ? err.path : this._cmdKey(line))
+			if (this._heartbeatSentAt && line.startsWith(HEARTBEAT_PATH)) this._heartbeatAnswered()
+			if (this._cmdWaiters.size > 0) this._cmdReplyWaiters(line, err, false)
+			if (err) {
+				this._applyDeviceError(err, line, false)
+				return
+			}
+			this._cmdConfirm(line)
+			if (this._watched.size > 0) this._applyWatchedValue(line)
+			this._trackExternalChange(line)
+			if (this._stateReference) this._trackStateDiff(line)
+			if (SCENE_PATH_RE.test(line)) (this._root || this)._sceneCheckSoon()
 			this._onSubLineUnsafe(line)
 		} catch (err) {
 			this.log?.('error', `Error processing subscription line: ${err?.message || err}`)
@@ -879,17 +1988,103 @@ class ModuleInstance extends InstanceBase {
 		}
 	}
 
+	// ---- External changes (Compass, front panel, another controller) ----
+	// A value that differs from the last one seen is external unless Companion wrote that path (or the same parameter
+	// of a channel in the same link group, which follows it) or sent a colon command such as a snapshot recall within
+	// EXTERNAL_CHANGE_WINDOW_MS. The first value seen for a path is never a change.
+	_trackExternalChange(line) {
+		if (EXTERNAL_CHANGE_IGNORE_RE.test(line)) return
+		const eq = line.indexOf('=')
+		if (eq < 0) return
+		const path = line.slice(0, eq).trim()
+		const value = this._cmdReplyValue(line)
+		const old = this._knownValues.get(path)
+		this._knownValues.set(path, value)
+		if (this._writtenValues.has(path) && sameStateValue(this._writtenValues.get(path), value)) {
+			this._writtenValues.delete(path)
+		}
+		if (old === undefined || old === value) return
+
+		const now = Date.now()
+		if (now - this._lastColonSentAt < EXTERNAL_CHANGE_WINDOW_MS) return
+		if (now - (this._recentWrites.get(path) ?? 0) < EXTERNAL_CHANGE_WINDOW_MS) return
+
+		const changes = this._externalChanges
+		changes.count++
+		changes.last = { path, old, value, at: now }
+		this.log?.('info', `External change: ${path} ${old} -> ${value}`)
+		this._externalPublish()
+	}
+
+	// A channel path and the same parameter of the other channels in its link group (unless the group is bypassed)
+	_linkedPaths(path) {
+		const m = path.match(/^\/processing\/(input|output)\/(\d+)\//)
+		if (!m) return [path]
+		const assign = (m[1] === 'input' ? this.inputLinkGroupAssign : this.outputLinkGroupAssign) ?? {}
+		const bypass = (m[1] === 'input' ? this.inputLinkGroupBypass : this.outputLinkGroupBypass) ?? {}
+		const group = assign[m[2]]
+		if (!group || bypass[group]) return [path]
+		const rest = path.slice(m[0].length)
+		return Object.keys(assign)
+			.filter((ch) => assign[ch] === group)
+			.map((ch) => `/processing/${m[1]}/${ch}/${rest}`)
+	}
+
+	// Start counting external changes from now (action "System: Mark reference point")
+	_markExternalReference() {
+		this._externalChanges.count = 0
+		this._externalChanges.since = Date.now()
+		this._externalPublish()
+	}
+
+	_externalPublish() {
+		const { count, last } = this._externalChanges
+		this.setVariableValues({
+			external_change_count: count,
+			external_change_path: last?.path ?? '',
+			external_change_old: last?.old ?? '',
+			external_change_new: last?.value ?? '',
+			external_change_time: last ? new Date(last.at).toTimeString().slice(0, 8) : '',
+		})
+		this.checkFeedbacks('external_change')
+	}
+
+	_loadWatchedPaths() {
+		this._watched = parseWatchedPaths(this.config?.watched_paths)
+	}
+
+	_applyWatchedValue(line) {
+		const entry = this._watched.get(this._cmdKey(line))
+		if (!entry) return
+		const value = this._cmdReplyValue(line)
+		if (this._watchValues[entry.path] === value) return
+		this._watchValues[entry.path] = value
+		this.setVariableValues({ [entry.variableId]: value })
+		this.checkFeedbacks('watched_path_compare')
+	}
+
 	_onSubLineUnsafe(line) {
-		// mutes
+		// One regex to find the subtree, then only that subtree's parsers run
+		const m = line.match(SUB_ROUTE_KEY_RE)
+		if (!m) return
+		const first = m[1].toLowerCase()
+		const handler = SUB_ROUTES[`${first}/${m[2].toLowerCase()}`] ?? SUB_ROUTES[first]
+		if (handler) this[handler](line)
+	}
+
+	// /processing/input/*
+	_routeProcessingInput(line) {
 		const mute = this._parseAnyMuteLoose(line)
-		if (mute && typeof mute.value === 'boolean') {
-			if (mute.kind === 'input') this._applyInMute(mute.ch, mute.value)
-			else if (mute.kind === 'output') this._applyOutMute(mute.ch, mute.value)
+		if (mute?.kind === 'input' && typeof mute.value === 'boolean') {
+			this._applyInMute(mute.ch, mute.value)
+			return
 		}
 
-		// input/output gains
 		const ig = this._parseInputGain(line)
-		if (ig) this._applyInputGain(ig.ch, ig.value)
+		if (ig) {
+			this._applyInputGain(ig.ch, ig.value)
+			return
+		}
 
 		// input delay (samples)
 		const id = this._parseInputDelay(line)
@@ -921,36 +2116,23 @@ class ModuleInstance extends InstanceBase {
 
 		// Parametric EQ parameters (gain, frequency, bandwidth, band_bypass)
 		const eq = this._parseInputEQ(line)
-		if (eq) {
-			this._applyInputEQ(eq.ch, eq.band, eq.param, eq.value)
-			return
-		}
-
-		// meters (dBFS)
-		const imtr = this._parseInputMeter(line)
-		if (imtr) {
-			this._applyInputMeter(imtr.ch, imtr.value)
-			return
-		}
+		if (eq) this._applyInputEQ(eq.ch, eq.band, eq.param, eq.value)
+	}
 
-		// Matrix input meter
-		const mxm = this._parseMatrixInputMeter(line)
-		if (mxm) {
-			this._applyMatrixInputMeter(mxm.idx, mxm.value)
+	// /processing/output/*
+	_routeProcessingOutput(line) {
+		const mute = this._parseAnyMuteLoose(line)
+		if (mute?.kind === 'output' && typeof mute.value === 'boolean') {
+			this._applyOutMute(mute.ch, mute.value)
 			return
 		}
 
-		// ✅ FIX: Move feedback check inside the if block
-		const omtr = this._parseOutputMeter(line)
-		if (omtr) {
-			this._applyOutputMeter(omtr.ch, omtr.value)
-			// Feedback check moved to batched meter flush for performance
+		const og = this._parseOutputGain(line)
+		if (og) {
+			this._applyOutputGain(og.ch, og.value)
 			return
 		}
 
-		const og = this._parseOutputGain(line)
-		if (og) this._applyOutputGain(og.ch, og.value)
-
 		// output delay (samples)
 		const od = this._parseOutputDelay(line)
 		if (od) {
@@ -1011,37 +2193,66 @@ class ModuleInstance extends InstanceBase {
 
 		// Output Parametric EQ parameters (gain, frequency, bandwidth, band_bypass)
 		const eqOut = this._parseOutputEQ(line)
-		if (eqOut) {
-			this._applyOutputEQ(eqOut.ch, eqOut.band, eqOut.param, eqOut.value)
-			return
-		}
+		if (eqOut) this._applyOutputEQ(eqOut.ch, eqOut.band, eqOut.param, eqOut.value)
+	}
 
-		// matrix gains
+	// /processing/matrix/*
+	_routeProcessingMatrix(line) {
 		const mg = this._parseMatrixGain(line)
-		if (mg) this._applyMatrixGain(mg.mi, mg.mo, mg.value)
+		if (mg) {
+			this._applyMatrixGain(mg.mi, mg.mo, mg.value)
+			return
+		}
 
-		// matrix delay
 		const md = this._parseMatrixDelay(line)
 		if (md) {
 			this._applyMatrixDelay(md.mi, md.mo, md.samples)
 			return
 		}
 
-		// matrix delay bypass
 		const mdb = this._parseMatrixDelayBypass(line)
 		if (mdb) {
 			this._applyMatrixDelayBypass(mdb.mi, mdb.mo, mdb.bypass)
 			return
 		}
 
-		// Matrix delay type
 		const mdt = this._parseMatrixDelayType(line)
-		if (mdt) {
-			this._applyMatrixDelayType(mdt.mi, mdt.mo, mdt.type)
+		if (mdt) this._applyMatrixDelayType(mdt.mi, mdt.mo, mdt.type)
+	}
+
+	// /processing/beam_control_array/*
+	_routeBeamControl(line) {
+		const bcErrorCode = this._parseBeamControlErrorCode(line)
+		if (bcErrorCode) {
+			this._applyBeamControlErrorCode(bcErrorCode.arrayIndex, bcErrorCode.value)
 			return
 		}
 
-		// names
+		const bcErrorString = this._parseBeamControlErrorString(line)
+		if (bcErrorString) this._applyBeamControlErrorString(bcErrorString.arrayIndex, bcErrorString.value)
+	}
+
+	// /status/meter/* (dBFS)
+	_routeMeter(line) {
+		const imtr = this._parseInputMeter(line)
+		if (imtr) {
+			this._applyInputMeter(imtr.ch, imtr.value)
+			return
+		}
+
+		const mxm = this._parseMatrixInputMeter(line)
+		if (mxm) {
+			this._applyMatrixInputMeter(mxm.idx, mxm.value)
+			return
+		}
+
+		// Feedback check happens in the batched meter flush
+		const omtr = this._parseOutputMeter(line)
+		if (omtr) this._applyOutputMeter(omtr.ch, omtr.value)
+	}
+
+	// /device/input/* and /device/output/* (names, input mode, link group assignment)
+	_routeDeviceChannel(line) {
 		const nm = this._parseNameValue(line)
 		if (nm) {
 			if (nm.kind === 'input') this._applyInputName(nm.ch, nm.value)
@@ -1049,54 +2260,48 @@ class ModuleInstance extends InstanceBase {
 			return
 		}
 
-		// input mode
 		const im = this._parseInputMode(line)
 		if (im) {
 			this._applyInputMode(im.ch, im.value)
 			return
 		}
 
-		// entity & clocks
-		const entity = this._parseEntityValue(line)
-		if (entity) {
-			this._applyEntityValue(entity.key, entity.value)
+		const inputLinkAssign = this._parseInputLinkGroupAssign(line)
+		if (inputLinkAssign) {
+			this._applyInputLinkGroupAssign(inputLinkAssign.ch, inputLinkAssign.group)
 			return
 		}
 
-		// input link group bypass
+		const outputLinkAssign = this._parseOutputLinkGroupAssign(line)
+		if (outputLinkAssign) this._applyOutputLinkGroupAssign(outputLinkAssign.ch, outputLinkAssign.group)
+	}
+
+	// /device/input_link_group/* and /device/output_link_group/*
+	_routeLinkGroup(line) {
 		const linkGroup = this._parseInputLinkGroupBypass(line)
 		if (linkGroup) {
 			this._applyInputLinkGroupBypass(linkGroup.group, linkGroup.value)
 			return
 		}
 
-		// output link group bypass
 		const outputLinkGroup = this._parseOutputLinkGroupBypass(line)
-		if (outputLinkGroup) {
-			this._applyOutputLinkGroupBypass(outputLinkGroup.group, outputLinkGroup.value)
-			return
-		}
-
-		// input link group assignment
-		const inputLinkAssign = this._parseInputLinkGroupAssign(line)
-		if (inputLinkAssign) {
-			this._applyInputLinkGroupAssign(inputLinkAssign.ch, inputLinkAssign.group)
-			return
-		}
+		if (outputLinkGroup) this._applyOutputLinkGroupBypass(outputLinkGroup.group, outputLinkGroup.value)
+	}
 
-		// output link group assignment
-		const outputLinkAssign = this._parseOutputLinkGroupAssign(line)
-		if (outputLinkAssign) {
-			this._applyOutputLinkGroupAssign(outputLinkAssign.ch, outputLinkAssign.group)
-			return
-		}
+	// /device/preferences/*
+	_routeDisplayPreference(line) {
+		const dispPref = this._parseDisplayPreference(line)
+		if (dispPref) this._applyDisplayPreference(dispPref.key, dispPref.value)
+	}
 
-		const matrixCrosspoints = this._parseMatrixCrosspointsUsed(line)
-		if (matrixCrosspoints !== undefined) {
-			this._applyMatrixCrosspointsUsed(matrixCrosspoints)
-			return
-		}
+	// /entity/*
+	_routeEntity(line) {
+		const entity = this._parseEntityValue(line)
+		if (entity) this._applyEntityValue(entity.key, entity.value)
+	}
 
+	// /status/clock/*
+	_routeClock(line) {
 		const aes = this._parseClockAesValue(line)
 		if (aes) {
 			this._applyClockAesValue(aes.varId, aes.value)
@@ -1119,34 +2324,27 @@ class ModuleInstance extends InstanceBase {
 		}
 
 		const rtc = this._parseRtcValue(line)
-		if (rtc) {
-			this._applyMiscValue(RTC_VAR, rtc.value)
-			return
-		}
+		if (rtc) this._applyMiscValue(RTC_VAR, rtc.value)
+	}
 
-		// status network + model string
+	// /status/* leaves outside meters and clocks
+	_routeStatus(line) {
 		const net = this._parseStatusNetworkValue(line)
 		if (net) {
 			this._applyStatusNetworkValue(net.varId, net.value)
 			return
 		}
+
 		const model = this._parseModelString(line)
 		if (model) {
 			this._applyMiscValue('status_model_string', model.value)
+			this._applyModelString(model.value)
 			return
 		}
 
-		const dispPref = this._parseDisplayPreference(line)
-		if (dispPref) {
-			this._applyDisplayPreference(dispPref.key, dispPref.value)
-			return
-		}
-
-		// front panel lockout
-		const fpl = this._parseFrontPanelLockout(line)
-		if (fpl) {
-			this._applyMiscValue('front_panel_lockout', String(fpl.value))
-			this.checkFeedbacks('front_panel_lockout')
+		const matrixCrosspoints = this._parseMatrixCrosspointsUsed(line)
+		if (matrixCrosspoints !== undefined) {
+			this._applyMatrixCrosspointsUsed(matrixCrosspoints)
 			return
 		}
 
@@ -1158,16 +2356,6 @@ class ModuleInstance extends InstanceBase {
 			return
 		}
 
-		// access privilege
-		const priv = this._parseAccessPrivilege(line)
-		if (priv !== undefined) {
-			this.accessPrivilege = BigInt(priv)
-			this.setVariableValues({ access_privilege: String(priv) })
-			this.checkFeedbacks('access_priv_equals')
-			this.checkFeedbacks('access_priv_has')
-			return
-		}
-
 		const logm = this._parseLogMessage(line)
 		if (logm) {
 			this.log?.('info', `Galaxy log: ${logm}`)
@@ -1196,118 +2384,657 @@ class ModuleInstance extends InstanceBase {
 					this.setVariableValues(vars)
 				} catch {}
 			}
+		}
+	}
+
+	// /system/* (front panel lockout, access privilege)
+	_routeSystem(line) {
+		const fpl = this._parseFrontPanelLockout(line)
+		if (fpl) {
+			this._applyMiscValue('front_panel_lockout', String(fpl.value))
+			this.checkFeedbacks('front_panel_lockout')
 			return
 		}
 
+		const priv = this._parseAccessPrivilege(line)
+		if (priv !== undefined) {
+			this.accessPrivilege = BigInt(priv)
+			this.setVariableValues({ access_privilege: String(priv) })
+			this.checkFeedbacks('access_priv_equals')
+			this.checkFeedbacks('access_priv_has')
+		}
+	}
+
+	// /project/* (snapshots, boot snapshot)
+	_routeProject(line) {
 		const bootId = this._parseBootSnapshotId(line)
 		if (bootId !== undefined) {
 			this._applySnapshotBootId(bootId)
 			return
 		}
 
-		// snapshots
-		const snap = this._parseSnapshotValue(line)
-		if (snap) {
-			this._applySnapshotValue(snap.varId, snap.value)
-			return
+		const snap = this._parseSnapshotValue(line)
+		if (snap) this._applySnapshotValue(snap.varId, snap.value)
+	}
+
+	// -------- Command socket (persistent, acknowledged) --------
+	_ensureCmdSocket() {
+		if (this.cmdSock || this.cmdConnecting) return
+		// Replies and retries would otherwise run in the context of the action that happened to open the socket
+		if (actionRuns.getStore()) return actionRuns.exit(() => this._ensureCmdSocket())
+		const { host, port } = this._resolveHostPortFromConfig()
+		if (!host || !port) return
+
+		this.cmdConnecting = true
+		const sock = new net.Socket()
+		this.cmdSock = sock
+		this.cmdBuf = ''
+
+		const retry = () => {
+			if (this.cmdSock !== sock) return
+			this.cmdConnecting = false
+			this.cmdSock = null
+			clearTimeout(this.cmdTimer)
+			this.cmdTimer = null
+			// Reconnect right away only if something is still waiting to go out or be confirmed
+			if (this.cmdQueue.length > 0 || this._cmdPending.size > 0) {
+				this.cmdTimer = setTimeout(() => this._cmdFlush(), CMD_SOCKET_RETRY_MS)
+			}
+		}
+
+		sock.on('error', retry)
+		sock.on('end', retry)
+		sock.on('close', retry)
+
+		sock.on('data', (chunk) => {
+			this.cmdBuf += chunk.toString('utf8')
+			const parts = this.cmdBuf.split(EOL_SPLIT)
+			this.cmdBuf = parts.pop() ?? ''
+			for (const raw of parts) {
+				const line = raw.trim()
+				if (line) this._onCmdReply(line)
+			}
+		})
+
+		sock.connect(port, host, () => {
+			this.cmdConnecting = false
+			this._cmdFlush()
+		})
+	}
+
+	// Returns false when the line was dropped (monitor-only mode) or captured by a dry run
+	_cmdSendLine(line) {
+		if (this._dryRunFilter(this._readOnlyFilter([line])).length === 0) return false
+		this._cmdNoteWrites([line])
+		this._cmdNoteSource([line])
+		const bulk = currentRun()?.bulk
+		if (bulk) {
+			bulk.push({ dev: this, line })
+			return true
+		}
+		this._cmdDeliver([line])
+		return true
+	}
+	_cmdSendBatch(lines) {
+		lines = this._dryRunFilter(this._readOnlyFilter(lines ?? []))
+		if (lines.length) {
+			this._cmdNoteWrites(lines)
+			this._cmdNoteSource(lines)
+			const bulk = currentRun()?.bulk
+			if (bulk) {
+				for (const line of lines) bulk.push({ dev: this, line })
+				return
+			}
+			this._cmdDeliver(lines)
+		}
+	}
+
+	// Last stage of the pipeline: write now, or follow the offline policy while the Galaxy is offline
+	_cmdDeliver(lines) {
+		if (!this._subConnected) {
+			for (const line of lines) this._offlineHold(line)
+			return
+		}
+		this.cmdQueue.push(...lines)
+		this._cmdFlush()
+	}
+
+	// Lines that may be sent; in monitor-only mode writes are logged and dropped
+	_readOnlyFilter(lines) {
+		if (!this.config?.read_only) return lines
+		const refused = lines.filter(isWriteCommand)
+		if (refused.length === 0) return lines
+		const action = currentRun()?.action
+		const source = action ? ` by "${action}"` : ''
+		this.log?.('warn', `Monitor-only mode, not sent${source}: ${refused.join(', ')}`)
+		return lines.filter((line) => !isWriteCommand(line))
+	}
+
+	// ---- Action runs ----
+	/**
+	 * Run an action callback as its own action run. Everything the callback sends, across awaits and on any device, is
+	 * attributed to the run (device errors name the action, dry runs capture it), while commands sent meanwhile by
+	 * other actions, fades, bulk ticks or resends are not.
+	 * @param {string} action - Action name
+	 * @param {Function} fn - The callback
+	 * @returns {Promise<*>} What the callback returns
+	 */
+	_runAction(action, fn) {
+		const run = { action, dryRun: null, bulk: null, undo: null, done: false }
+		return actionRuns.run(run, async () => {
+			try {
+				return await fn()
+			} finally {
+				run.done = true
+			}
+		})
+	}
+
+	// ---- Dry run ----
+	// Writes are captured instead of sent: into the dry run of the action run sending them, or logged one by one when
+	// the global dry_run setting catches something outside an action (timers, resends)
+	_dryRunFilter(lines) {
+		const run = currentRun()?.dryRun
+		if (!run && !this.config?.dry_run) return lines
+		const writes = lines.filter(isWriteCommand)
+		if (writes.length === 0) return lines
+		if (run) {
+			for (const line of writes) run.entries.push({ dev: this, line })
+		} else {
+			this.log?.('info', `Dry run, not sent: ${writes.join(', ')}`)
+		}
+		return lines.filter((line) => !isWriteCommand(line))
+	}
+
+	// Capture the writes of the calling action run; other actions, fades and bulk ticks running meanwhile still send
+	_dryRunBegin(action) {
+		const run = currentRun()
+		if (!run) return null
+		run.dryRun = { action, entries: [] }
+		return run.dryRun
+	}
+
+	// Report the captured command list, then re-read the paths it touched: actions update the local caches as if
+	// the commands had been sent, the device's answers put the real values back
+	_dryRunEnd(run) {
+		if (!run) return
+		const current = currentRun()
+		if (current?.dryRun === run) current.dryRun = null
+		const multi = this._devices?.length > 0
+		const lines = run.entries.map(({ dev, line }) => (multi ? `[${dev._aliasOf()}] ${line}` : line))
+
+		this._dryRunLast = { action: run.action, count: lines.length }
+		this.setVariableValues({ dry_run_action: run.action, dry_run_count: lines.length })
+		const summary = `Dry run "${run.action}": ${lines.length} command(s) not sent`
+		this.log?.('info', lines.length > 0 ? `${summary}\n${lines.join('\n')}` : summary)
+
+		const file = String(this.config?.dry_run_file ?? '').trim()
+		if (file && lines.length > 0) {
+			const text = `# ${new Date().toISOString()} ${run.action} (${lines.length} commands)\n${lines.join('\n')}\n\n`
+			fs.promises
+				.appendFile(file, text)
+				.catch((err) => this.log?.('error', `Cannot write dry run to ${file}: ${err?.message || err}`))
+		}
+
+		this._rereadPaths(run.entries)
+	}
+
+	// Read back the paths of commands that were not sent, per device: plain GETs on the subscription socket, whose
+	// answers update the caches like any echo (no sync progress, the connection status stays as it is)
+	_rereadPaths(entries) {
+		const touched = new Map() // device -> paths
+		for (const { dev, line } of entries) {
+			const key = this._cmdKey(line)
+			if (!key || key.startsWith(':')) continue
+			if (!touched.has(dev)) touched.set(dev, new Set())
+			touched.get(dev).add(key)
+		}
+		for (const [dev, paths] of touched) {
+			for (const path of paths) dev._subWrite(path)
 		}
+	}
 
-		// beam control array error code
-		const bcErrorCode = this._parseBeamControlErrorCode(line)
-		if (bcErrorCode) {
-			this._applyBeamControlErrorCode(bcErrorCode.arrayIndex, bcErrorCode.value)
+	// ---- Bulk sender ----
+	// Design actions run with their commands collected into their action run (actions/index.js); anything larger than
+	// one chunk is then sent bulk_chunk_lines at a time at bulk_lines_per_s instead of in one burst.
+	_bulkCaptureBegin() {
+		const run = currentRun()
+		if (!run || run.bulk) return null
+		run.bulk = []
+		return run.bulk
+	}
+
+	_bulkCaptureEnd(entries, label) {
+		if (!entries) return
+		const run = currentRun()
+		if (run?.bulk === entries) run.bulk = null
+		if (entries.length === 0) return
+		if (!this._bulk && entries.length <= this._bulkChunkLines()) {
+			this._bulkWrite(entries)
 			return
 		}
+		if (this._bulk) {
+			// Queued behind the running job so commands to the same paths keep their order
+			this._bulk.entries.push(...entries)
+			this._bulk.total += entries.length
+			this._bulk.label = `${this._bulk.label} + ${label}`
+		} else {
+			this._bulk = { label, entries: [...entries], total: entries.length, sent: 0, timer: null }
+		}
+		this.log?.('info', `Bulk write "${label}": ${entries.length} commands queued`)
+		if (!this._bulk.timer) this._bulkTick()
+	}
+
+	_bulkChunkLines() {
+		return Math.max(1, Math.round(Number(this.config?.bulk_chunk_lines) || DEFAULT_BULK_CHUNK_LINES))
+	}
+
+	_bulkTick() {
+		const job = this._bulk
+		if (!job) return
+		job.timer = null
+		// Lines for a Galaxy that is offline wait (in order) instead of ending up in its offline queue; those of a
+		// device removed from the config are dropped
+		const size = this._bulkChunkLines()
+		const chunk = []
+		const waiting = []
+		let i = 0
+		for (; i < job.entries.length && chunk.length < size; i++) {
+			const entry = job.entries[i]
+			if (entry.dev !== this && !this._devices.includes(entry.dev)) job.total--
+			else if (entry.dev._subConnected) chunk.push(entry)
+			else waiting.push(entry)
+		}
+		job.entries = [...waiting, ...job.entries.slice(i)]
+		this._bulkWrite(chunk)
+		job.sent += chunk.length
+		if (job.entries.length === 0) {
+			this.log?.('info', `Bulk write "${job.label}" finished: ${job.sent} commands`)
+			this._bulk = null
+		} else {
+			const linesPerS = Math.max(1, Number(this.config?.bulk_lines_per_s) || DEFAULT_BULK_LINES_PER_S)
+			const delayMs = (this._bulkChunkLines() / linesPerS) * 1000
+			job.timer = actionRuns.exit(() => setTimeout(() => this._bulkTick(), delayMs))
+		}
+		this._bulkPublish(job)
+	}
 
-		// beam control array error string
-		const bcErrorString = this._parseBeamControlErrorString(line)
-		if (bcErrorString) {
-			this._applyBeamControlErrorString(bcErrorString.arrayIndex, bcErrorString.value)
-			return
+	// Send captured entries, each run of lines for the same device as one batch. They went through the pipeline when
+	// captured; only monitor-only mode, which may have been switched on since, is checked again.
+	_bulkWrite(entries) {
+		let i = 0
+		while (i < entries.length) {
+			const dev = entries[i].dev
+			const lines = []
+			for (; i < entries.length && entries[i].dev === dev; i++) lines.push(entries[i].line)
+			const allowed = dev._readOnlyFilter(lines)
+			if (allowed.length > 0) dev._cmdDeliver(allowed)
 		}
 	}
 
-	// -------- Command socket with queue (quiet) --------
-	_ensureCmdSocket() {
-		if (this.cmdSock || this.cmdConnecting) return
-		const { host, port } = this._resolveHostPortFromConfig()
-		if (!host || !port) return
+	_bulkCancel() {
+		const job = this._bulk
+		if (!job) return
+		clearTimeout(job.timer)
+		this._bulk = null
+		this.log?.('warn', `Bulk write "${job.label}" cancelled: ${job.entries.length} of ${job.total} commands not sent`)
+		this._rereadPaths(job.entries)
+		this._bulkPublish(job)
+	}
 
-		this.cmdConnecting = true
-		const sock = new net.Socket()
-		this.cmdSock = sock
+	_bulkPublish(job) {
+		const done = this._bulk !== job
+		this.setVariableValues({
+			bulk_job: done ? '' : job.label,
+			bulk_progress: done ? 100 : Math.floor((job.sent / job.total) * 100),
+			bulk_remaining: done ? 0 : job.entries.length,
+		})
+		this.checkFeedbacks('bulk_write_running')
+	}
 
-		const retry = () => {
-			this.cmdConnecting = false
-			if (this.cmdSock === sock) this.cmdSock = null
-			clearTimeout(this.cmdTimer)
-			this.cmdTimer = setTimeout(() => this._ensureCmdSocket(), CMD_SOCKET_RETRY_MS)
+	// ---- Offline queue ----
+	_offlineHold(line) {
+		const cls = offlineClass(line)
+		const policy = this.config?.[`offline_policy_${cls}`] || OFFLINE_CLASSES[cls].policy
+		if (policy === 'drop') {
+			this.log?.('info', `Galaxy offline, dropped: ${line}`)
+			return
 		}
 
-		sock.on('error', retry)
-		sock.on('end', retry)
-		sock.on('close', retry)
+		const key = this._cmdKey(line) ?? line
+		if (policy === 'latest') {
+			this._offlineQueue = this._offlineQueue.filter((entry) => entry.key !== key)
+		}
+		const expiryS = Number(this.config?.offline_queue_expiry_s) || DEFAULT_OFFLINE_EXPIRY_S
+		this._offlineQueue.push({ key, line, expiresAt: policy === 'queue' ? Date.now() + expiryS * 1000 : 0 })
+		if (!this._offlineTimer) this._offlineTimer = setInterval(() => this._offlinePrune(), OFFLINE_CHECK_MS)
+		this._offlinePublish()
+	}
 
-		sock.connect(port, host, () => {
-			this.cmdConnecting = false
-			this._cmdFlush()
+	_offlinePrune() {
+		const now = Date.now()
+		const expired = this._offlineQueue.filter((entry) => entry.expiresAt > 0 && entry.expiresAt <= now)
+		if (expired.length > 0) {
+			this._offlineQueue = this._offlineQueue.filter((entry) => !expired.includes(entry))
+			const lines = expired.map((entry) => entry.line).join(', ')
+			this.log?.('info', `Galaxy offline, ${expired.length} queued change(s) expired: ${lines}`)
+			this._offlinePublish()
+		}
+		if (this._offlineQueue.length === 0) {
+			clearInterval(this._offlineTimer)
+			this._offlineTimer = null
+		}
+	}
+
+	// Back online: send what is still queued, in the order it was sent
+	_offlineFlush() {
+		this._offlinePrune()
+		if (this._offlineQueue.length === 0) return
+		const lines = this._offlineQueue.map((entry) => entry.line)
+		this._offlineReset()
+		this.log?.('info', `Galaxy back online, sending ${lines.length} queued change(s)`)
+		this.cmdQueue.push(...lines)
+		this._cmdFlush()
+	}
+
+	_offlineReset() {
+		clearInterval(this._offlineTimer)
+		this._offlineTimer = null
+		if (this._offlineQueue.length === 0) return
+		this._offlineQueue = []
+		this._offlinePublish()
+	}
+
+	_offlinePublish() {
+		this.setVariableValues({
+			offline_pending_count: this._offlineQueue.length,
+			offline_pending: this._offlineQueue.map((entry) => entry.line).join(', '),
 		})
+		this.checkFeedbacks('offline_pending_changes')
 	}
 
-	_cmdSendLine(line) {
-		this.cmdQueue.push(line)
-		this._cmdFlush()
+	// Parameters written: noted in the undo step of the action run sending them (with the value before), then kept as
+	// the value Companion last wrote
+	_cmdNoteWrites(lines) {
+		const undo = currentRun()?.undo
+		for (const line of lines) {
+			const key = this._cmdKey(line)
+			if (!key || key.startsWith(':') || !line.includes('=')) continue
+			const value = this._cmdReplyValue(line)
+			if (undo) this._undoNote(undo, key, value)
+			this._writtenValues.set(key, value)
+		}
 	}
-	_cmdSendBatch(lines) {
-		if (lines?.length) {
-			this.cmdQueue.push(...lines)
-			this._cmdFlush()
+
+	// Remember which action wrote each path, so a later device error can name it
+	_cmdNoteSource(lines) {
+		const action = currentRun()?.action
+		if (!action) return
+		for (const line of lines) {
+			const key = this._cmdKey(line)
+			if (key) this._cmdSources.set(key, action)
 		}
 	}
 
 	_cmdFlush() {
 		this._ensureCmdSocket()
 		const s = this.cmdSock
-		if (!s) return
-		if (this.cmdQueue.length === 0) {
-			clearTimeout(this.cmdTimer)
-			this.cmdTimer = setTimeout(() => {
-				try {
-					s.end()
-				} catch {}
-				try {
-					s.destroy()
-				} catch {}
-				this.cmdSock = null
-			}, CMD_SOCKET_TIMEOUT_MS)
+		if (!s || this.cmdQueue.length === 0) {
+			this._scheduleCmdStats()
 			return
 		}
-		clearTimeout(this.cmdTimer)
 
 		const lines = this.cmdQueue.splice(0, this.cmdQueue.length)
 		try {
 			s.write(Buffer.from(lines.join(TX_EOL) + TX_EOL, 'utf8'))
 		} catch {
 			this.cmdQueue.unshift(...lines)
-			try {
-				s.end()
-			} catch {}
 			try {
 				s.destroy()
 			} catch {}
 			this.cmdSock = null
+			this.cmdConnecting = false
 			this._ensureCmdSocket()
 			return
 		}
-		this.cmdTimer = setTimeout(() => {
-			try {
-				s.end()
-			} catch {}
-			try {
-				s.destroy()
-			} catch {}
-			this.cmdSock = null
-		}, CMD_SOCKET_TIMEOUT_MS)
+		const now = Date.now()
+		for (const line of lines) {
+			this._trace?.record(this.deviceId, TRACE_TX_CMD, line)
+			this._cmdTrack(line)
+			if (line.startsWith(':')) {
+				this._lastColonSentAt = now
+			} else if (line.includes('=')) {
+				for (const path of this._linkedPaths(this._cmdKey(line))) this._recentWrites.set(path, now)
+			}
+		}
+		this._scheduleCmdStats()
+	}
+
+	// Key a command or reply by the path (or ':command') it concerns; subscriptions are not tracked
+	_cmdKey(line) {
+		const text = String(line ?? '').trim()
+		if (!text || text.startsWith('+') || text.startsWith('-')) return null
+		if (text.startsWith(':')) return text.split(/\s+/)[0]
+		const eq = text.indexOf('=')
+		return (eq >= 0 ? text.slice(0, eq) : text).trim() || null
+	}
+
+	_cmdTrack(line) {
+		const key = this._cmdKey(line)
+		if (!key) return
+		const now = Date.now()
+		const existing = this._cmdPending.get(key)
+		if (existing && (existing.line === line || !line.includes('='))) {
+			// Resend of the same command, or a GET that the pending set will answer anyway
+			existing.sentAt = now
+		} else {
+			// A newer value for the same path supersedes the unconfirmed one
+			this._cmdPending.set(key, {
+				line,
+				sentAt: now,
+				attempts: 0,
+				retryable: !key.startsWith(':'),
+				source: this._cmdSources.get(key) ?? null,
+			})
+		}
+		if (!this._cmdAckTimer) {
+			this._cmdAckTimer = actionRuns.exit(() => setInterval(() => this._cmdCheckPending(), CMD_ACK_CHECK_MS))
+		}
+	}
+
+	_onCmdReply(line) {
+		this._trace?.record(this.deviceId, TRACE_RX_CMD, line)
+		const err = this._parseDeviceError(line)
+		if (this._cmdWaiters.size > 0) this._cmdReplyWaiters(line, err, true)
+		if (err) this._applyDeviceError(err, line, true)
+		else this._cmdConfirm(line)
+	}
+
+	/**
+	 * Send one command and wait for the line that answers it (the value of a path, or the echo of a colon command).
+	 * @param {string} line - Path (GET), `path=value` (SET) or colon command
+	 * @param {number} [timeoutMs] - How long to wait for the reply
+	 * @returns {Promise<string|null>} The reply line, null when the command was not sent (monitor-only mode, dry run);
+	 *   rejects on a device error, timeout or connection reset
+	 */
+	_cmdRequest(line, timeoutMs = CMD_REPLY_TIMEOUT_MS) {
+		const key = this._cmdKey(line)
+		if (!key) return Promise.reject(new Error(`not a command: ${line}`))
+		if (!this._cmdSendLine(line)) return Promise.resolve(null)
+		return new Promise((resolve, reject) => {
+			const waiter = { resolve, reject, timer: null }
+			waiter.timer = setTimeout(() => {
+				const list = this._cmdWaiters.get(key) ?? []
+				const idx = list.indexOf(waiter)
+				if (idx >= 0) list.splice(idx, 1)
+				if (list.length === 0) this._cmdWaiters.delete(key)
+				reject(new Error(`no reply within ${timeoutMs} ms`))
+			}, timeoutMs)
+			if (!this._cmdWaiters.has(key)) this._cmdWaiters.set(key, [])
+			this._cmdWaiters.get(key).push(waiter)
+		})
+	}
+
+	// Hand a reply (or error) to the _cmdRequest callers waiting on its path
+	_cmdReplyWaiters(line, err, fromCmdSocket) {
+		let key = err ? err.path : this._cmdKey(line)
+		if (!key && err && fromCmdSocket) key = this._cmdWaiters.keys().next().value // errors without a path: oldest
+		if (key && this._cmdWaiters.has(key)) this._cmdSettleWaiters(key, err ? null : line, err?.message)
+	}
+
+	_cmdSettleWaiters(key, line, error) {
+		const list = this._cmdWaiters.get(key) ?? []
+		this._cmdWaiters.delete(key)
+		for (const waiter of list) {
+			clearTimeout(waiter.timer)
+			if (line != null) waiter.resolve(line)
+			else waiter.reject(new Error(error || 'error'))
+		}
+	}
+
+	// Value part of a reply line: what follows `path=` (unquoted, backslash escapes of double quoted text resolved) or
+	// the arguments of a colon command
+	_cmdReplyValue(line) {
+		const text = String(line ?? '').trim()
+		const key = this._cmdKey(text)
+		if (!key) return text
+		let value = text.slice(key.length).replace(/^\s*=?\s*/, '')
+		if (value.startsWith('"') && value.endsWith('"')) {
+			value = value.slice(1, -1).replace(/\\(.)/g, '$1')
+		} else if (value.startsWith("'") && value.endsWith("'")) {
+			value = value.slice(1, -1)
+		}
+		return value
+	}
+
+	// Called for every reply line (subscription echo or command socket response)
+	_cmdConfirm(line) {
+		if (this._cmdPending.size === 0) return
+		const key = this._cmdKey(line)
+		const pending = key ? this._cmdPending.get(key) : null
+		if (!pending) return
+		this._cmdPending.delete(key)
+		this._cmdStats.latencyMs = Date.now() - pending.sentAt
+		this._scheduleCmdStats()
+	}
+
+	_cmdCheckPending() {
+		const now = Date.now()
+		const resend = []
+		for (const [key, pending] of this._cmdPending) {
+			if (now - pending.sentAt < CMD_ACK_TIMEOUT_MS) continue
+
+			if (!pending.retryable) {
+				// Colon commands are not idempotent (snapshot recall, log message): never resend them
+				this._cmdPending.delete(key)
+				this.log?.('debug', `No response to ${pending.line}`)
+			} else if (pending.attempts < CMD_MAX_RETRIES) {
+				pending.attempts++
+				pending.sentAt = now
+				this.log?.('debug', `Resending unconfirmed command (attempt ${pending.attempts + 1}): ${pending.line}`)
+				resend.push(pending.line)
+			} else {
+				this._cmdPending.delete(key)
+				this._cmdFailed(pending.line)
+			}
+		}
+		// Resends go through the same filters as any command (monitor-only, dry run) and follow the offline policy
+		const lines = this._dryRunFilter(this._readOnlyFilter(resend))
+		if (lines.length > 0) this._cmdDeliver(lines)
+		if (this._cmdPending.size === 0) {
+			clearInterval(this._cmdAckTimer)
+			this._cmdAckTimer = null
+		}
+		this._scheduleCmdStats()
+	}
+
+	// The Galaxy went offline: stop waiting for confirmations that cannot come
+	_cmdDropPending() {
+		const count = this._cmdPending.size
+		if (count > 0) this.log?.('debug', `Galaxy offline, ${count} unconfirmed command(s) dropped`)
+		this._cmdPending.clear()
+		clearInterval(this._cmdAckTimer)
+		this._cmdAckTimer = null
+		this._scheduleCmdStats()
+	}
+
+	_cmdFailed(line) {
+		const stats = this._cmdStats
+		stats.failed++
+		stats.lastFailed = line
+		stats.lastFailedAt = Date.now()
+		this.log?.('warn', `Command not confirmed after ${CMD_MAX_RETRIES + 1} attempts: ${line}`)
+		this.checkFeedbacks('command_failed')
+		// Re-evaluate once the hold time has passed so the feedback turns off again
+		clearTimeout(this._cmdFailedTimer)
+		this._cmdFailedTimer = setTimeout(() => this.checkFeedbacks('command_failed'), CMD_FAILED_HOLD_MS)
+	}
+
+	// Link a device error to the command (and action) it answers. Errors for paths we never sent
+	// (e.g. subscriptions to channels the model does not have) are only logged at debug level.
+	_applyDeviceError(err, line, fromCmdSocket) {
+		let key = err.path
+		let pending = key ? this._cmdPending.get(key) : null
+		if (!key && fromCmdSocket && this._cmdPending.size > 0) {
+			// Replies on the command socket come back in order: blame the oldest unconfirmed command
+			;[key, pending] = this._cmdPending.entries().next().value
+		}
+		const action = pending?.source ?? (key ? this._cmdSources.get(key) : null) ?? null
+		if (!pending && !action) {
+			this.log?.('debug', `Galaxy error: ${line}`)
+			return
+		}
+		if (pending) this._cmdPending.delete(key)
+		// Rejected: the device keeps the value it reported
+		if (key) this._writtenValues.delete(key)
+
+		const stats = this._errorStats
+		stats.count++
+		stats.last = `${action ?? 'Unknown action'}: ${err.message}${key ? ` (${key})` : ''}`
+		stats.lastAt = Date.now()
+		this.log?.('warn', `Galaxy rejected ${pending?.line ?? key} from "${action ?? 'unknown action'}": ${err.message}`)
+		this.setVariableValues({ last_error: stats.last, error_count: stats.count })
+		this.checkFeedbacks('device_error')
+		clearTimeout(this._errorHoldTimer)
+		this._errorHoldTimer = setTimeout(() => this.checkFeedbacks('device_error'), DEVICE_ERROR_HOLD_MS)
+		this._scheduleCmdStats()
+	}
+
+	_recentDeviceError() {
+		return this._errorStats.lastAt > 0 && Date.now() - this._errorStats.lastAt < DEVICE_ERROR_HOLD_MS
+	}
+
+	_cmdRecentlyFailed() {
+		return this._cmdStats.lastFailedAt > 0 && Date.now() - this._cmdStats.lastFailedAt < CMD_FAILED_HOLD_MS
+	}
+
+	// Drop everything queued or awaiting confirmation (config change / teardown)
+	_cmdReset() {
+		clearInterval(this._cmdAckTimer)
+		this._cmdAckTimer = null
+		clearTimeout(this._cmdFailedTimer)
+		this._cmdFailedTimer = null
+		clearTimeout(this._cmdStatsTimer)
+		this._cmdStatsTimer = null
+		clearTimeout(this._errorHoldTimer)
+		this._errorHoldTimer = null
+		this.cmdQueue = []
+		this._cmdPending.clear()
+		for (const key of [...this._cmdWaiters.keys()]) this._cmdSettleWaiters(key, null, 'connection reset')
+	}
+
+	_scheduleCmdStats() {
+		if (this._cmdStatsTimer) return
+		this._cmdStatsTimer = setTimeout(() => {
+			this._cmdStatsTimer = null
+			const stats = this._cmdStats
+			this.setVariableValues({
+				cmd_queue_depth: this.cmdQueue.length + this._cmdPending.size,
+				cmd_failed_count: stats.failed,
+				cmd_last_failed: stats.lastFailed,
+				cmd_latency_ms: stats.latencyMs ?? '',
+			})
+		}, CMD_STATS_INTERVAL_MS)
 	}
 
 	// ====== Generic fade helpers ======
@@ -1323,11 +3050,15 @@ class ModuleInstance extends InstanceBase {
 			this._fades.delete(key)
 		}
 	}
-	_startFade(key, { start, end, durationMs, curve = 'linear', stepMs = 50, onStep, onDone }) {
+	_startFade(key, { start, end, durationMs, curve = 'linear', stepMs = 50, paths, onStep, onDone }) {
 		const startDb = roundTenth(clampDb(Number(start)))
 		const endDb = roundTenth(clampDb(Number(end)))
 		if (!Number.isFinite(startDb) || !Number.isFinite(endDb)) return
-		if (Math.abs(endDb - startDb) < 1e-6 || durationMs <= 0) {
+		// The steps are sent after the action has returned: its undo step records where the fade ends
+		const run = currentRun()
+		if (run?.undo && !run.dryRun) for (const path of paths ?? []) this._undoNote(run.undo, path, endDb)
+		// In a dry run the steps would be sent for real after the action returned: the run gets the final value instead
+		if (Math.abs(endDb - startDb) < 1e-6 || durationMs <= 0 || run?.dryRun) {
 			onStep?.(endDb)
 			onDone?.()
 			return
@@ -1362,7 +3093,7 @@ class ModuleInstance extends InstanceBase {
 			f.step = i
 			f.timer = setTimeout(tick, f.stepMs)
 		}
-		fade.timer = setTimeout(tick, stepMs)
+		fade.timer = actionRuns.exit(() => setTimeout(tick, stepMs))
 	}
 
 	// ✅ NEW: Batched meter updates for performance
@@ -1540,7 +3271,7 @@ class ModuleInstance extends InstanceBase {
 	// ====== Mutes ======
 	_setMute(kind, ch, state) {
 		const k = kind === 'input' ? 'input' : 'output'
-		const max = k === 'input' ? NUM_INPUTS : NUM_OUTPUTS
+		const max = k === 'input' ? this.numInputs : this.numOutputs
 		const c = Math.max(1, Math.min(max, Number(ch)))
 		this._cmdSendLine(`/processing/${k}/${c}/mute=${state ? 'true' : 'false'}`)
 	}
@@ -1551,7 +3282,7 @@ class ModuleInstance extends InstanceBase {
 	}
 	_setAll(kind, state) {
 		const k = kind === 'input' ? 'input' : 'output'
-		const max = k === 'input' ? NUM_INPUTS : NUM_OUTPUTS
+		const max = k === 'input' ? this.numInputs : this.numOutputs
 		const lines = []
 		for (let ch = 1; ch <= max; ch++) lines.push(`/processing/${k}/${ch}/mute=${state ? 'true' : 'false'}`)
 		this._cmdSendBatch(lines)
@@ -1570,14 +3301,14 @@ class ModuleInstance extends InstanceBase {
 	}
 
 	_setOutputPolarity(ch, state) {
-		const c = Math.max(1, Math.min(NUM_OUTPUTS, Number(ch)))
+		const c = Math.max(1, Math.min(this.numOutputs, Number(ch)))
 		const val = !!state
 		this._cmdSendLine(`/processing/output/${c}/polarity_reversal=${val ? 'true' : 'false'}`)
 		this._applyOutputPolarity(c, val)
 	}
 
 	_toggleOutputPolarity(ch) {
-		const c = Math.max(1, Math.min(NUM_OUTPUTS, Number(ch)))
+		const c = Math.max(1, Math.min(this.numOutputs, Number(ch)))
 		const cur = !!this.outputPolarity?.[c]
 		this._setOutputPolarity(c, !cur)
 	}
@@ -1592,7 +3323,7 @@ class ModuleInstance extends InstanceBase {
 		this._setOutputFilter('highpass', ch, 'type', type)
 	}
 	_toggleOutputHighpassBypass(ch) {
-		const c = Math.max(1, Math.min(NUM_OUTPUTS, Number(ch)))
+		const c = Math.max(1, Math.min(this.numOutputs, Number(ch)))
 		const current = !!this.outputHighpass?.[c]?.bypass
 		this._setOutputHighpassBypass(c, !current)
 	}
@@ -1606,7 +3337,7 @@ class ModuleInstance extends InstanceBase {
 		this._setOutputFilter('lowpass', ch, 'type', type)
 	}
 	_toggleOutputLowpassBypass(ch) {
-		const c = Math.max(1, Math.min(NUM_OUTPUTS, Number(ch)))
+		const c = Math.max(1, Math.min(this.numOutputs, Number(ch)))
 		const current = !!this.outputLowpass?.[c]?.bypass
 		this._setOutputLowpassBypass(c, !current)
 	}
@@ -1621,14 +3352,14 @@ class ModuleInstance extends InstanceBase {
 		this._setOutputAllpass(ch, band, 'q', q)
 	}
 	_toggleOutputAllpassBypass(ch, band) {
-		const c = Math.max(1, Math.min(NUM_OUTPUTS, Number(ch)))
+		const c = Math.max(1, Math.min(this.numOutputs, Number(ch)))
 		const b = Math.max(1, Math.min(3, Number(band)))
 		const current = !!this.outputAllpass?.[c]?.[b]?.band_bypass
 		this._setOutputAllpassBypass(c, b, !current)
 	}
 
 	_setOutputAllpass(ch, band, param, rawValue) {
-		const c = Math.max(1, Math.min(NUM_OUTPUTS, Number(ch)))
+		const c = Math.max(1, Math.min(this.numOutputs, Number(ch)))
 		const b = Math.max(1, Math.min(3, Number(band)))
 		if (!Number.isFinite(c) || !Number.isFinite(b)) return
 
@@ -1664,7 +3395,7 @@ class ModuleInstance extends InstanceBase {
 
 	_setOutputFilter(filter, ch, param, rawValue) {
 		const kind = filter === 'lowpass' ? 'lowpass' : 'highpass'
-		const c = Math.max(1, Math.min(NUM_OUTPUTS, Number(ch)))
+		const c = Math.max(1, Math.min(this.numOutputs, Number(ch)))
 
 		if (!Number.isFinite(c)) return
 
@@ -1696,7 +3427,7 @@ class ModuleInstance extends InstanceBase {
 
 	// ===== Input Mode (device) =====
 	_setInputMode(ch, mode) {
-		const c = Math.max(1, Math.min(32, Number(ch))) // allow 1..32
+		const c = Math.max(1, Math.min(this.matrixInputs, Number(ch))) // allow 1..matrixInputs
 		const m = Math.max(0, Math.min(4, Number(mode)))
 		this._cmdSendLine(`/device/input/${c}/mode=${m}`)
 	}
@@ -1713,7 +3444,7 @@ class ModuleInstance extends InstanceBase {
 
 	// ===== Output delay (accept ms; device expects samples @ 96 samples/ms) =====
 	_setOutputDelayMs(ch, ms) {
-		const c = Math.max(1, Math.min(NUM_OUTPUTS, Number(ch)))
+		const c = Math.max(1, Math.min(this.numOutputs, Number(ch)))
 		const msNum = Number(ms)
 		if (!Number.isFinite(msNum)) return
 		const samples = Math.round(msNum * SAMPLES_PER_MS) // integer samples for device
@@ -1723,13 +3454,13 @@ class ModuleInstance extends InstanceBase {
 
 	// ====== Gains (Input) ======
 	_setInputGain(ch, gainDb) {
-		const c = Math.max(1, Math.min(NUM_INPUTS, Number(ch)))
+		const c = Math.max(1, Math.min(this.numInputs, Number(ch)))
 		const g = roundTenth(clampDb(gainDb))
 		this._cmdSendLine(`/processing/input/${c}/gain=${g}`)
 		this._applyInputGain(c, g)
 	}
 	_nudgeInputGain(ch, deltaDb) {
-		const c = Math.max(1, Math.min(NUM_INPUTS, Number(ch)))
+		const c = Math.max(1, Math.min(this.numInputs, Number(ch)))
 		const cur = Number(this.inputGain[c])
 		const base = Number.isFinite(cur) ? cur : 0
 		const next = roundTenth(clampDb(base + Number(deltaDb || 0)))
@@ -1747,12 +3478,13 @@ class ModuleInstance extends InstanceBase {
 		for (const k of Object.keys(this._gainFadesIn)) this._stopInputFade(Number(k))
 	}
 	_startInputGainFade(ch, targetDb, durationMs, curve) {
-		const c = Math.max(1, Math.min(NUM_INPUTS, Number(ch)))
+		const c = Math.max(1, Math.min(this.numInputs, Number(ch)))
 		const cur = Number(this.inputGain[c])
 		const startDb = Number.isFinite(cur) ? roundTenth(clampDb(cur)) : 0.0
 		const endDb = roundTenth(clampDb(Number(targetDb)))
 		const key = `in-${c}`
 		this._startFade(key, {
+			paths: [`/processing/input/${c}/gain`],
 			start: startDb,
 			end: endDb,
 			durationMs: Number(durationMs),
@@ -1766,13 +3498,13 @@ class ModuleInstance extends InstanceBase {
 
 	// ====== Gains (Output) ======
 	_setOutputGain(ch, gainDb) {
-		const c = Math.max(1, Math.min(NUM_OUTPUTS, Number(ch)))
+		const c = Math.max(1, Math.min(this.numOutputs, Number(ch)))
 		const g = roundTenth(clampDb(gainDb))
 		this._cmdSendLine(`/processing/output/${c}/gain=${g}`)
 		this._applyOutputGain(c, g)
 	}
 	_nudgeOutputGain(ch, deltaDb) {
-		const c = Math.max(1, Math.min(NUM_OUTPUTS, Number(ch)))
+		const c = Math.max(1, Math.min(this.numOutputs, Number(ch)))
 		const cur = Number(this.outputGain[c])
 		const base = Number.isFinite(cur) ? cur : 0
 		const next = roundTenth(clampDb(base + Number(deltaDb || 0)))
@@ -1790,12 +3522,13 @@ class ModuleInstance extends InstanceBase {
 		for (const k of Object.keys(this._gainFadesOut)) this._stopOutputFade(Number(k))
 	}
 	_startOutputGainFade(ch, targetDb, durationMs, curve) {
-		const c = Math.max(1, Math.min(NUM_OUTPUTS, Number(ch)))
+		const c = Math.max(1, Math.min(this.numOutputs, Number(ch)))
 		const cur = Number(this.outputGain[c])
 		const startDb = Number.isFinite(cur) ? roundTenth(clampDb(cur)) : 0.0
 		const endDb = roundTenth(clampDb(Number(targetDb)))
 		const key = `out-${c}`
 		this._startFade(key, {
+			paths: [`/processing/output/${c}/gain`],
 			start: startDb,
 			end: endDb,
 			durationMs: Number(durationMs),
@@ -1827,8 +3560,8 @@ class ModuleInstance extends InstanceBase {
 		this.checkFeedbacks('matrix_gain_level', 'matrix_gain_color')
 	}
 	_setMatrixGain(mi, mo, gainDb) {
-		const i = Math.max(1, Math.min(MATRIX_INPUTS, Number(mi)))
-		const o = Math.max(1, Math.min(NUM_OUTPUTS, Number(mo)))
+		const i = Math.max(1, Math.min(this.matrixInputs, Number(mi)))
+		const o = Math.max(1, Math.min(this.numOutputs, Number(mo)))
 		const g = roundTenth(clampDb(gainDb))
 		this._cmdSendLine(`/processing/matrix/${i}/${o}/gain=${g}`)
 		this._applyMatrixGain(i, o, g)
@@ -1872,7 +3605,7 @@ class ModuleInstance extends InstanceBase {
 
 		// Per output: list active inputs feeding this output
 		const inputs = []
-		for (let src = 1; src <= MATRIX_INPUTS; src++) {
+		for (let src = 1; src <= this.matrixInputs; src++) {
 			const gain = Number(this.matrixGain[this._mxKey(src, mo)])
 			if (!Number.isFinite(gain) || gain <= MATRIX_ROUTE_THRESHOLD_DB) continue
 			inputs.push(this._formatMatrixRouteLabel('input', src, gain))
@@ -1883,7 +3616,7 @@ class ModuleInstance extends InstanceBase {
 
 		// Per input: list outputs fed by this input
 		const outs = []
-		for (let dest = 1; dest <= NUM_OUTPUTS; dest++) {
+		for (let dest = 1; dest <= this.numOutputs; dest++) {
 			const gain = Number(this.matrixGain[this._mxKey(mi, dest)])
 			if (!Number.isFinite(gain) || gain <= MATRIX_ROUTE_THRESHOLD_DB) continue
 			outs.push(this._formatMatrixRouteLabel('output', dest, gain))
@@ -1905,8 +3638,8 @@ class ModuleInstance extends InstanceBase {
 		return `${base} @ ${gainDb} dB`
 	}
 	_nudgeMatrixGain(mi, mo, deltaDb) {
-		const i = Math.max(1, Math.min(MATRIX_INPUTS, Number(mi)))
-		const o = Math.max(1, Math.min(NUM_OUTPUTS, Number(mo)))
+		const i = Math.max(1, Math.min(this.matrixInputs, Number(mi)))
+		const o = Math.max(1, Math.min(this.numOutputs, Number(mo)))
 		const cur = this._getMatrixGain(i, o)
 		const base = Number.isFinite(cur) ? cur : 0
 		const next = roundTenth(clampDb(base + Number(deltaDb || 0)))
@@ -1914,9 +3647,9 @@ class ModuleInstance extends InstanceBase {
 		this._applyMatrixGain(i, o, next)
 	}
 	_setMatrixGainMulti(mi, outs, gainDb) {
-		const i = Math.max(1, Math.min(MATRIX_INPUTS, Number(mi)))
+		const i = Math.max(1, Math.min(this.matrixInputs, Number(mi)))
 		const targets = (Array.isArray(outs) ? outs : [outs])
-			.map((o) => Math.max(1, Math.min(NUM_OUTPUTS, Number(o))))
+			.map((o) => Math.max(1, Math.min(this.numOutputs, Number(o))))
 			.filter((o, idx, arr) => Number.isFinite(o) && arr.indexOf(o) === idx)
 		if (!targets.length) return
 		const g = roundTenth(clampDb(Number(gainDb)))
@@ -1928,9 +3661,9 @@ class ModuleInstance extends InstanceBase {
 		this._cmdSendBatch(lines)
 	}
 	_nudgeMatrixGainMulti(mi, outs, deltaDb) {
-		const i = Math.max(1, Math.min(MATRIX_INPUTS, Number(mi)))
+		const i = Math.max(1, Math.min(this.matrixInputs, Number(mi)))
 		const targets = (Array.isArray(outs) ? outs : [outs])
-			.map((o) => Math.max(1, Math.min(NUM_OUTPUTS, Number(o))))
+			.map((o) => Math.max(1, Math.min(this.numOutputs, Number(o))))
 			.filter((o, idx, arr) => Number.isFinite(o) && arr.indexOf(o) === idx)
 		if (!targets.length) return
 		const lines = []
@@ -1944,13 +3677,14 @@ class ModuleInstance extends InstanceBase {
 		this._cmdSendBatch(lines)
 	}
 	_startMatrixGainFade(mi, mo, targetDb, durationMs, curve) {
-		const i = Math.max(1, Math.min(MATRIX_INPUTS, Number(mi)))
-		const o = Math.max(1, Math.min(NUM_OUTPUTS, Number(mo)))
+		const i = Math.max(1, Math.min(this.matrixInputs, Number(mi)))
+		const o = Math.max(1, Math.min(this.numOutputs, Number(mo)))
 		const cur = this._getMatrixGain(i, o)
 		const startDb = Number.isFinite(cur) ? roundTenth(clampDb(cur)) : 0.0
 		const endDb = roundTenth(clampDb(Number(targetDb)))
 		const key = `mx-${i}-${o}`
 		this._startFade(key, {
+			paths: [`/processing/matrix/${i}/${o}/gain`],
 			start: startDb,
 			end: endDb,
 			durationMs: Number(durationMs),
@@ -1962,9 +3696,9 @@ class ModuleInstance extends InstanceBase {
 		})
 	}
 	_startMatrixGainFadeMulti(mi, outs, targetDb, durationMs, curve) {
-		const i = Math.max(1, Math.min(MATRIX_INPUTS, Number(mi)))
+		const i = Math.max(1, Math.min(this.matrixInputs, Number(mi)))
 		const targets = (Array.isArray(outs) ? outs : [outs])
-			.map((o) => Math.max(1, Math.min(NUM_OUTPUTS, Number(o))))
+			.map((o) => Math.max(1, Math.min(this.numOutputs, Number(o))))
 			.filter((o, idx, arr) => Number.isFinite(o) && arr.indexOf(o) === idx)
 		if (!targets.length) return
 
@@ -1975,6 +3709,7 @@ class ModuleInstance extends InstanceBase {
 		const key = `mx-${i}-[${targets.join(',')}]`
 
 		this._startFade(key, {
+			paths: targets.map((o) => `/processing/matrix/${i}/${o}/gain`),
 			start: startDb,
 			end: endDb,
 			durationMs: Number(durationMs),
@@ -2073,8 +3808,8 @@ class ModuleInstance extends InstanceBase {
 	}
 
 	_startOutputChase(startCh, endCh, delayMs, windowSize, loop, invokerId) {
-		let s = Math.max(1, Math.min(NUM_OUTPUTS, Number(startCh) || 1))
-		let e = Math.max(1, Math.min(NUM_OUTPUTS, Number(endCh) || NUM_OUTPUTS))
+		let s = Math.max(1, Math.min(this.numOutputs, Number(startCh) || 1))
+		let e = Math.max(1, Math.min(this.numOutputs, Number(endCh) || this.numOutputs))
 		if (s > e) [s, e] = [e, s]
 		const d = Math.max(50, Number(delayMs) || 1000)
 		const w = Number(windowSize) === 2 ? 2 : 1
@@ -2201,7 +3936,7 @@ class ModuleInstance extends InstanceBase {
 	}
 
 	_announceCompanionConnected() {
-		if (this._connectLogSent) return
+		if (this._connectLogSent || this.config?.read_only) return
 		const msg = 'Bitfocus Companion is connected'
 		this._connectLogSent = true
 		try {
@@ -2301,22 +4036,51 @@ class ModuleInstance extends InstanceBase {
 
 	// -------- Actions / Feedbacks / Variables --------
 	updateActions() {
-		UpdateActions(this, NUM_INPUTS, NUM_OUTPUTS)
+		UpdateActions(this, this.numInputs, this.numOutputs, this.matrixInputs)
 	}
 	updateFeedbacks() {
-		UpdateFeedbacks(this, NUM_INPUTS, NUM_OUTPUTS)
+		UpdateFeedbacks(this, this.numInputs, this.numOutputs, this.matrixInputs)
 	}
 	updateVariableDefinitions() {
-		UpdateVariableDefinitions(this, NUM_INPUTS, NUM_OUTPUTS)
+		UpdateVariableDefinitions(this, this.numInputs, this.numOutputs, this.matrixInputs)
 	}
 	updatePresets() {
-		UpdatePresets(this, NUM_INPUTS, NUM_OUTPUTS)
+		UpdatePresets(this, this.numInputs, this.numOutputs)
+	}
+
+	// -------- Model detection --------
+	_applyModelString(value) {
+		const model = findGalaxyModel(value)
+		if (!model) {
+			this.log?.('warn', `Unknown Galaxy model "${value}", keeping ${this.galaxyModel.label} channel counts`)
+		} else if (model.id !== this.galaxyModel.id) {
+			const resized =
+				model.inputs !== this.numInputs || model.outputs !== this.numOutputs || model.matrixInputs !== this.matrixInputs
+			this.galaxyModel = model
+			this.numInputs = model.inputs
+			this.numOutputs = model.outputs
+			this.matrixInputs = model.matrixInputs
+			this.log?.(
+				'info',
+				`Detected ${model.label}: ${model.inputs} inputs, ${model.outputs} outputs, ${model.matrixInputs} matrix inputs`,
+			)
+			this._publishDeviceInfo()
+			if (resized) {
+				this.updateActions()
+				this.updateFeedbacks()
+				this.updateVariableDefinitions()
+				this.updatePresets()
+				// Already subscribed with the previous layout: pick up any channels that were missing
+				if (this._subscribedAll) this._subscribeAll()
+			}
+		}
+		if (!this._subscribedAll) this._subscribeAll()
 	}
 
 	// -------- Vars + state --------
 	_seedVariables() {
 		const vals = {}
-		for (let ch = 1; ch <= NUM_INPUTS; ch++) {
+		for (let ch = 1; ch <= this.numInputs; ch++) {
 			vals[`input_${ch}_mute`] = ''
 			vals[`input_${ch}_gain_db`] = ''
 			vals[`input_${ch}_name`] = ''
@@ -2343,7 +4107,7 @@ class ModuleInstance extends InstanceBase {
 				vals[`input_${ch}_eq_band${band}_bypass`] = ''
 			}
 		}
-		for (let ch = 1; ch <= NUM_OUTPUTS; ch++) {
+		for (let ch = 1; ch <= this.numOutputs; ch++) {
 			vals[`output_${ch}_mute`] = ''
 			vals[`output_${ch}_gain_db`] = ''
 			vals[`output_${ch}_name`] = ''
@@ -2362,15 +4126,15 @@ class ModuleInstance extends InstanceBase {
 				vals[`output_${ch}_allpass${band}_q`] = '---'
 			}
 		}
-		for (let mi = 1; mi <= MATRIX_INPUTS; mi++) {
-			for (let mo = 1; mo <= NUM_OUTPUTS; mo++) {
+		for (let mi = 1; mi <= this.matrixInputs; mi++) {
+			for (let mo = 1; mo <= this.numOutputs; mo++) {
 				vals[`matrix_${mi}_${mo}_gain_db`] = ''
 				vals[`matrix_${mi}_${mo}_delay_ms`] = ''
 				vals[`matrix_${mi}_${mo}_delay_bypass`] = ''
 				vals[`matrix_${mi}_${mo}_delay_type`] = ''
 			}
 		}
-		for (let i = 1; i <= 32; i++) {
+		for (let i = 1; i <= this.matrixInputs; i++) {
 			vals[`matrix_input_${i}_meter_dbfs`] = ''
 		}
 		for (let id = 0; id <= SNAPSHOT_MAX; id++) {
@@ -2943,7 +4707,7 @@ class ModuleInstance extends InstanceBase {
 		if (!Number.isFinite(v)) return
 		if (this.inputMode[ch] === v) return
 		this.inputMode[ch] = v
-		if (ch >= 1 && ch <= NUM_INPUTS) {
+		if (ch >= 1 && ch <= this.numInputs) {
 			this.setVariableValues({ [`input_${ch}_mode`]: String(v) })
 		}
 		this.checkFeedbacks && this.checkFeedbacks('input_mode')
@@ -3338,8 +5102,8 @@ class ModuleInstance extends InstanceBase {
 		if (!m) return undefined
 		const kind = m[1].toLowerCase()
 		const ch = Number(m[2])
-		if (kind === 'input' && (ch < 1 || ch > NUM_INPUTS)) return undefined
-		if (kind === 'output' && (ch < 1 || ch > NUM_OUTPUTS)) return undefined
+		if (kind === 'input' && (ch < 1 || ch > this.numInputs)) return undefined
+		if (kind === 'output' && (ch < 1 || ch > this.numOutputs)) return undefined
 		const start = (m.index ?? 0) + m[0].length
 		const tail = text.slice(start)
 		let b = tail.match(/\b(true|false)\b/i)
@@ -3357,7 +5121,7 @@ class ModuleInstance extends InstanceBase {
 		const m = text.match(/\/device\/input\/(\d+)\/mode\b/i)
 		if (!m) return undefined
 		const ch = Number(m[1])
-		if (!Number.isInteger(ch) || ch < 1 || ch > 32) return undefined
+		if (!Number.isInteger(ch) || ch < 1 || ch > this.matrixInputs) return undefined
 		const rhs = this._extractRightHandValue(text)
 		if (rhs == null) return undefined
 		const val = Number(rhs)
@@ -3369,7 +5133,7 @@ class ModuleInstance extends InstanceBase {
 		const m = text.match(/\/processing\/input\/(\d+)\/gain\b/i)
 		if (!m) return undefined
 		const ch = Number(m[1])
-		if (ch < 1 || ch > NUM_INPUTS) return undefined
+		if (ch < 1 || ch > this.numInputs) return undefined
 		const rhs = this._extractRightHandValue(text)
 		if (rhs == null) return undefined
 		const val = Number(rhs)
@@ -3380,7 +5144,7 @@ class ModuleInstance extends InstanceBase {
 		const m = text.match(/\/processing\/output\/(\d+)\/gain\b/i)
 		if (!m) return undefined
 		const ch = Number(m[1])
-		if (ch < 1 || ch > NUM_OUTPUTS) return undefined
+		if (ch < 1 || ch > this.numOutputs) return undefined
 		const rhs = this._extractRightHandValue(text)
 		if (rhs == null) return undefined
 		const val = Number(rhs)
@@ -3391,7 +5155,7 @@ class ModuleInstance extends InstanceBase {
 		const m = text.match(/\/status\/meter\/input\/(\d+)\b/i)
 		if (!m) return undefined
 		const ch = Number(m[1])
-		if (ch < 1 || ch > NUM_INPUTS) return undefined
+		if (ch < 1 || ch > this.numInputs) return undefined
 		const rhs = this._extractRightHandValue(text)
 		if (rhs == null) return undefined
 		const val = Number(rhs)
@@ -3403,7 +5167,7 @@ class ModuleInstance extends InstanceBase {
 		const m = text.match(/\/status\/meter\/output\/(\d+)\b/i)
 		if (!m) return undefined
 		const ch = Number(m[1])
-		if (ch < 1 || ch > NUM_OUTPUTS) return undefined
+		if (ch < 1 || ch > this.numOutputs) return undefined
 		const rhs = this._extractRightHandValue(text)
 		if (rhs == null) return undefined
 		const val = Number(rhs)
@@ -3414,7 +5178,7 @@ class ModuleInstance extends InstanceBase {
 		const m = text.match(/\/status\/meter\/matrix_input\/(\d+)\b/i)
 		if (!m) return undefined
 		const idx = Number(m[1])
-		if (idx < 1 || idx > 32) return undefined
+		if (idx < 1 || idx > this.matrixInputs) return undefined
 		const rhs = this._extractRightHandValue(text)
 		if (rhs == null) return undefined
 		const val = Number(rhs)
@@ -3426,7 +5190,7 @@ class ModuleInstance extends InstanceBase {
 		const m = text.match(/\/processing\/output\/(\d+)\/delay\b/i)
 		if (!m) return undefined
 		const ch = Number(m[1])
-		if (ch < 1 || ch > NUM_OUTPUTS) return undefined
+		if (ch < 1 || ch > this.numOutputs) return undefined
 		const rhs = this._extractRightHandValue(text)
 		if (rhs == null) return undefined
 		const samples = Number(rhs)
@@ -3437,7 +5201,7 @@ class ModuleInstance extends InstanceBase {
 		const m = text.match(/\/processing\/input\/(\d+)\/delay\b/i)
 		if (!m) return undefined
 		const ch = Number(m[1])
-		if (ch < 1 || ch > NUM_INPUTS) return undefined
+		if (ch < 1 || ch > this.numInputs) return undefined
 		const rhs = this._extractRightHandValue(text)
 		if (rhs == null) return undefined
 		const samples = Number(rhs)
@@ -3448,7 +5212,7 @@ class ModuleInstance extends InstanceBase {
 		const m = text.match(/\/processing\/output\/(\d+)\/polarity_reversal\b/i)
 		if (!m) return undefined
 		const ch = Number(m[1])
-		if (ch < 1 || ch > NUM_OUTPUTS) return undefined
+		if (ch < 1 || ch > this.numOutputs) return undefined
 		const rhs = this._extractRightHandValue(text)
 		if (rhs == null) return undefined
 		const lowered = String(rhs).trim().toLowerCase()
@@ -3462,7 +5226,7 @@ class ModuleInstance extends InstanceBase {
 		const base = text.match(/\/processing\/output\/(\d+)\/highpass\/(bypass|frequency|type)\b/i)
 		if (!base) return undefined
 		const ch = Number(base[1])
-		if (ch < 1 || ch > NUM_OUTPUTS) return undefined
+		if (ch < 1 || ch > this.numOutputs) return undefined
 		const field = base[2].toLowerCase()
 		if (field === 'bypass') {
 			const rhs = this._extractRightHandBool(text)
@@ -3489,7 +5253,7 @@ class ModuleInstance extends InstanceBase {
 		const base = text.match(/\/processing\/output\/(\d+)\/lowpass\/(bypass|frequency|type)\b/i)
 		if (!base) return undefined
 		const ch = Number(base[1])
-		if (ch < 1 || ch > NUM_OUTPUTS) return undefined
+		if (ch < 1 || ch > this.numOutputs) return undefined
 		const field = base[2].toLowerCase()
 		if (field === 'bypass') {
 			const rhs = this._extractRightHandBool(text)
@@ -3517,7 +5281,7 @@ class ModuleInstance extends InstanceBase {
 		if (!base) return undefined
 		const ch = Number(base[1])
 		const band = Number(base[2])
-		if (ch < 1 || ch > NUM_OUTPUTS) return undefined
+		if (ch < 1 || ch > this.numOutputs) return undefined
 		if (band < 1 || band > 3) return undefined
 		const field = base[3].toLowerCase()
 		if (field === 'band_bypass') {
@@ -3545,7 +5309,7 @@ class ModuleInstance extends InstanceBase {
 		const base = text.match(/\/processing\/output\/(\d+)\/atmospheric\/(bypass|distance|gain)\b/i)
 		if (!base) return undefined
 		const ch = Number(base[1])
-		if (ch < 1 || ch > NUM_OUTPUTS) return undefined
+		if (ch < 1 || ch > this.numOutputs) return undefined
 		const field = base[2].toLowerCase()
 		if (field === 'bypass') {
 			const rhs = this._extractRightHandBool(text)
@@ -3563,8 +5327,8 @@ class ModuleInstance extends InstanceBase {
 		if (!m) return undefined
 		const mi = Number(m[1])
 		const mo = Number(m[2])
-		if (mi < 1 || mi > MATRIX_INPUTS) return undefined
-		if (mo < 1 || mo > NUM_OUTPUTS) return undefined
+		if (mi < 1 || mi > this.matrixInputs) return undefined
+		if (mo < 1 || mo > this.numOutputs) return undefined
 		const rhs = this._extractRightHandValue(text)
 		if (rhs == null) return undefined
 		const val = Number(rhs)
@@ -3577,8 +5341,8 @@ class ModuleInstance extends InstanceBase {
 		if (!m) return undefined
 		const mi = Number(m[1])
 		const mo = Number(m[2])
-		if (mi < 1 || mi > MATRIX_INPUTS) return undefined
-		if (mo < 1 || mo > NUM_OUTPUTS) return undefined
+		if (mi < 1 || mi > this.matrixInputs) return undefined
+		if (mo < 1 || mo > this.numOutputs) return undefined
 		const rhs = this._extractRightHandValue(text)
 		if (rhs == null) return undefined
 		const samples = Number(rhs)
@@ -3591,8 +5355,8 @@ class ModuleInstance extends InstanceBase {
 		if (!m) return undefined
 		const mi = Number(m[1])
 		const mo = Number(m[2])
-		if (mi < 1 || mi > MATRIX_INPUTS) return undefined
-		if (mo < 1 || mo > NUM_OUTPUTS) return undefined
+		if (mi < 1 || mi > this.matrixInputs) return undefined
+		if (mo < 1 || mo > this.numOutputs) return undefined
 		const rhs = this._extractRightHandValue(text)
 		if (rhs == null) return undefined
 		const lowered = String(rhs).trim().toLowerCase()
@@ -3608,8 +5372,8 @@ class ModuleInstance extends InstanceBase {
 		if (!m) return undefined
 		const mi = Number(m[1])
 		const mo = Number(m[2])
-		if (mi < 1 || mi > MATRIX_INPUTS) return undefined
-		if (mo < 1 || mo > NUM_OUTPUTS) return undefined
+		if (mi < 1 || mi > this.matrixInputs) return undefined
+		if (mo < 1 || mo > this.numOutputs) return undefined
 		const rhs = this._extractRightHandValue(text)
 		if (rhs == null) return undefined
 		const typeId = Number(rhs)
@@ -3653,7 +5417,7 @@ class ModuleInstance extends InstanceBase {
 		const m = text.match(/\/device\/input\/(\d+)\/input_link_group\b/i)
 		if (!m) return undefined
 		const ch = Number(m[1])
-		if (ch < 1 || ch > NUM_INPUTS) return undefined
+		if (ch < 1 || ch > this.numInputs) return undefined
 		const val = this._extractRightHandValue(text)
 		if (val == null) return undefined
 		const group = Number(val)
@@ -3665,7 +5429,7 @@ class ModuleInstance extends InstanceBase {
 		const m = text.match(/\/device\/output\/(\d+)\/output_link_group\b/i)
 		if (!m) return undefined
 		const ch = Number(m[1])
-		if (ch < 1 || ch > NUM_OUTPUTS) return undefined
+		if (ch < 1 || ch > this.numOutputs) return undefined
 		const val = this._extractRightHandValue(text)
 		if (val == null) return undefined
 		// Remove quotes if present (e.g., '0' becomes 0)
@@ -3746,8 +5510,8 @@ class ModuleInstance extends InstanceBase {
 		if (!m) return undefined
 		const kind = m[1].toLowerCase()
 		const ch = Number(m[2])
-		if (kind === 'input' && (ch < 1 || ch > 32)) return undefined
-		if (kind === 'output' && (ch < 1 || ch > NUM_OUTPUTS)) return undefined
+		if (kind === 'input' && (ch < 1 || ch > this.matrixInputs)) return undefined
+		if (kind === 'output' && (ch < 1 || ch > this.numOutputs)) return undefined
 		const val = this._extractRightHandValue(text)
 		if (val == null) return undefined
 		return { kind, ch, value: val }
@@ -3856,7 +5620,7 @@ class ModuleInstance extends InstanceBase {
 		const m = text.match(/\/processing\/input\/(\d+)\/ushaping\/bypass\b/i)
 		if (!m) return undefined
 		const ch = Number(m[1])
-		if (ch < 1 || ch > NUM_INPUTS) return undefined
+		if (ch < 1 || ch > this.numInputs) return undefined
 		const rhs = this._extractRightHandBool(text)
 		if (rhs == null) return undefined
 		return { ch, value: rhs }
@@ -3868,7 +5632,7 @@ class ModuleInstance extends InstanceBase {
 		const ch = Number(m[1])
 		const band = Number(m[2])
 		const param = m[3].toLowerCase()
-		if (ch < 1 || ch > NUM_INPUTS) return undefined
+		if (ch < 1 || ch > this.numInputs) return undefined
 		if (band < 1 || band > 5) return undefined
 		// Band 5 has no frequency parameter
 		if (band === 5 && param === 'frequency') return undefined
@@ -3891,7 +5655,7 @@ class ModuleInstance extends InstanceBase {
 		const m = text.match(/\/processing\/input\/(\d+)\/eq\/bypass\b/i)
 		if (!m) return undefined
 		const ch = Number(m[1])
-		if (ch < 1 || ch > NUM_INPUTS) return undefined
+		if (ch < 1 || ch > this.numInputs) return undefined
 		const rhs = this._extractRightHandBool(text)
 		if (rhs == null) return undefined
 		return { ch, value: rhs }
@@ -3903,7 +5667,7 @@ class ModuleInstance extends InstanceBase {
 		const ch = Number(m[1])
 		const band = Number(m[2])
 		const param = m[3].toLowerCase()
-		if (ch < 1 || ch > NUM_INPUTS) return undefined
+		if (ch < 1 || ch > this.numInputs) return undefined
 		if (band < 1 || band > 5) return undefined
 
 		// band_bypass is a boolean
@@ -3925,7 +5689,7 @@ class ModuleInstance extends InstanceBase {
 		const m = text.match(/\/processing\/output\/(\d+)\/ushaping\/bypass\b/i)
 		if (!m) return undefined
 		const ch = Number(m[1])
-		if (ch < 1 || ch > NUM_OUTPUTS) return undefined
+		if (ch < 1 || ch > this.numOutputs) return undefined
 		const rhs = this._extractRightHandBool(text)
 		if (rhs == null) return undefined
 		return { ch, value: rhs }
@@ -3937,7 +5701,7 @@ class ModuleInstance extends InstanceBase {
 		const ch = Number(m[1])
 		const band = Number(m[2])
 		const param = m[3].toLowerCase()
-		if (ch < 1 || ch > NUM_OUTPUTS) return undefined
+		if (ch < 1 || ch > this.numOutputs) return undefined
 		if (band < 1 || band > 5) return undefined
 		// Band 5 has no frequency parameter
 		if (band === 5 && param === 'frequency') return undefined
@@ -3960,7 +5724,7 @@ class ModuleInstance extends InstanceBase {
 		const m = text.match(/\/processing\/output\/(\d+)\/eq\/bypass\b/i)
 		if (!m) return undefined
 		const ch = Number(m[1])
-		if (ch < 1 || ch > NUM_OUTPUTS) return undefined
+		if (ch < 1 || ch > this.numOutputs) return undefined
 		const rhs = this._extractRightHandBool(text)
 		if (rhs == null) return undefined
 		return { ch, value: rhs }
@@ -3972,7 +5736,7 @@ class ModuleInstance extends InstanceBase {
 		const ch = Number(m[1])
 		const band = Number(m[2])
 		const param = m[3].toLowerCase()
-		if (ch < 1 || ch > NUM_OUTPUTS) return undefined
+		if (ch < 1 || ch > this.numOutputs) return undefined
 		if (band < 1 || band > 10) return undefined // Outputs have 10 bands
 
 		// band_bypass is a boolean
@@ -4010,6 +5774,26 @@ class ModuleInstance extends InstanceBase {
 		return { arrayIndex, value: String(rhs) }
 	}
 
+	// Device error replies: "#error ...", optionally naming the rejected path or :command before or after the tag
+	_parseDeviceError(text) {
+		const line = String(text ?? '')
+		const idx = line.toLowerCase().indexOf('#error')
+		if (idx < 0) return null
+		const before = line.slice(0, idx).trim()
+		const after = line
+			.slice(idx + '#error'.length)
+			.replace(/^\s*:?\s+/, '')
+			.trim()
+
+		const target = /(?:^|[\s'"])(\/[^\s='"]+|:[a-z_]+)/i
+		const m = before.match(target) || after.match(target)
+		const path = m ? m[1] : null
+		let message = after
+		if (path && message.includes(path)) message = message.replace(path, '').replace(/^[\s:=-]+/, '')
+		message = message.replace(/^['"]|['"]$/g, '').trim()
+		return { path, message: message || 'error' }
+	}
+
 	_extractRightHandValue(text) {
 		const m = text.match(/[=\s:]+(.+)$/)
 		if (!m || !m[1]) return null
@@ -4292,6 +6076,361 @@ class ModuleInstance extends InstanceBase {
 		})
 	}
 
+	// -------- Physical discovery (mDNS) --------
+	_startPhysicalDiscovery() {
+		if (this._bonjour) return
+		try {
+			this._bonjour = new Bonjour({}, (err) => {
+				this.log?.('debug', `mDNS discovery error: ${err?.message || err}`)
+			})
+		} catch (err) {
+			this._bonjour = null
+			this.log?.('debug', `mDNS discovery unavailable: ${err?.message || err}`)
+			return
+		}
+		this._browseGalaxies()
+		this._discoveryInterval = setInterval(() => this._browseGalaxies(), DISCOVERY_SCAN_INTERVAL_MS)
+	}
+
+	_stopPhysicalDiscovery() {
+		clearInterval(this._discoveryInterval)
+		this._discoveryInterval = null
+		try {
+			this._bonjourBrowser?.stop()
+		} catch {}
+		this._bonjourBrowser = null
+		try {
+			this._bonjour?.destroy()
+		} catch {}
+		this._bonjour = null
+	}
+
+	// A new browser re-announces every unit with its current address
+	_browseGalaxies() {
+		if (!this._bonjour) return
+		try {
+			this._bonjourBrowser?.stop()
+		} catch {}
+		this._bonjourBrowser = this._bonjour.find(DISCOVERY_SERVICE, (service) => {
+			this._onGalaxyServiceUp(service).catch((err) => {
+				this.log?.('debug', `Galaxy discovery probe failed: ${err?.message || err}`)
+			})
+		})
+	}
+
+	async _onGalaxyServiceUp(service) {
+		const addresses = Array.isArray(service?.addresses) ? service.addresses : []
+		const host = addresses.find((a) => net.isIPv4(a)) || addresses[0] || service?.referer?.address
+		const port = Number(service?.port) || DEFAULT_PHYSICAL_PORT
+		if (!host) return
+
+		const key = `${host}:${port}`
+		if (this._discoveryProbes.has(key)) return
+		this._discoveryProbes.add(key)
+		try {
+			const identity = await this._probeGalaxyIdentity(host, port)
+			// Units that do not answer are still listed, keyed by their advertised name
+			const serial = identity.serial || service?.txt?.serial || `${service?.name || host}`
+			this._upsertDiscoveredDevice({
+				serial: String(serial),
+				name: identity.name || service?.name || null,
+				model: identity.model || null,
+				host,
+				port,
+			})
+		} finally {
+			this._discoveryProbes.delete(key)
+		}
+	}
+
+	// GET entity name, model string and serial number over a throwaway connection
+	_probeGalaxyIdentity(host, port) {
+		return new Promise((resolve) => {
+			const sock = new net.Socket()
+			const result = { name: null, model: null, serial: null }
+			let buf = ''
+			let done = false
+
+			const finish = () => {
+				if (done) return
+				done = true
+				try {
+					sock.destroy()
+				} catch {}
+				resolve(result)
+			}
+
+			sock.setTimeout(DISCOVERY_PROBE_TIMEOUT_MS, finish)
+			sock.on('error', finish)
+			sock.on('close', finish)
+
+			sock.on('data', (chunk) => {
+				buf += chunk.toString('utf8')
+				const parts = buf.split(EOL_SPLIT)
+				buf = parts.pop() ?? ''
+				for (const raw of parts) {
+					const line = raw.trim()
+					if (!line || line.includes('#error')) continue
+					if (line.startsWith(ENTITY_NAME_PATH)) result.name = this._extractRightHandValue(line) || null
+					else if (line.startsWith(MODEL_STRING_PATH)) result.model = this._extractRightHandValue(line) || null
+					else if (line.startsWith(SERIAL_NUMBER_PATH)) result.serial = this._extractRightHandValue(line) || null
+				}
+				if (result.name !== null && result.model !== null && result.serial !== null) finish()
+			})
+
+			sock.connect(port, host, () => {
+				try {
+					sock.write(
+						Buffer.from([ENTITY_NAME_PATH, MODEL_STRING_PATH, SERIAL_NUMBER_PATH].join(TX_EOL) + TX_EOL, 'utf8'),
+					)
+				} catch {
+					finish()
+				}
+			})
+		})
+	}
+
+	_upsertDiscoveredDevice(info) {
+		const existing = this._discoveredDevices.find((d) => d.serial === info.serial)
+		const moved = !!existing && (existing.host !== info.host || existing.port !== info.port)
+		if (existing) {
+			Object.assign(existing, info, { lastSeen: Date.now() })
+		} else {
+			this._discoveredDevices = [...this._discoveredDevices, { ...info, lastSeen: Date.now() }]
+			this.log?.(
+				'info',
+				`Discovered ${info.name || 'Galaxy'} (${info.model || 'unknown model'}, SN ${info.serial}) at ${info.host}`,
+			)
+		}
+		if (moved) this.log?.('info', `Galaxy SN ${info.serial} moved to ${info.host}:${info.port}`)
+
+		// Follow the configured unit to its current address
+		if (this.config?.connection_type !== 'discovered' || this.config?.discovered_serial !== info.serial) return
+		const address = `${info.host}:${info.port}`
+		if (this.config.discovered_host === address) return
+		this.config = { ...this.config, discovered_host: address }
+		this.saveConfig(this.config)
+		this._reconnectPrimary()
+	}
+
+	// Drop the primary sockets and reconnect to whatever _resolveHostPortFromConfig now returns
+	_reconnectPrimary() {
+		clearTimeout(this._modelDetectTimer)
+		this._modelDetectTimer = null
+		clearTimeout(this._reconnectTimer)
+		this._reconnectTimer = null
+		this._syncReset()
+		this._stopHeartbeat()
+		try {
+			this.subSock?.destroy()
+		} catch {}
+		this.subSock = null
+		this._subConnected = false
+		clearTimeout(this.cmdTimer)
+		this.cmdTimer = null
+		this._cmdReset()
+		try {
+			this.cmdSock?.destroy()
+		} catch {}
+		this.cmdSock = null
+		this.cmdConnecting = false
+		this._reconnectAttempts = 0
+		this._reconnectDelay = RECONNECT_DELAY_MS
+		this._startSubscribe()
+	}
+
+	// -------- Redundant network path (failover / failback) --------
+	_secondaryHostPort() {
+		if ((this.config?.connection_type || 'physical') !== 'physical') return null
+		const raw = String(this.config?.secondary_host ?? '').trim()
+		if (!raw) return null
+		const { host, port } = splitHostPort(raw, this.config?.port)
+		return host ? { host, port } : null
+	}
+
+	_failoverDue() {
+		// Additional device contexts have no secondary path
+		if (this._root || !this._secondaryHostPort()) return false
+		const limit = Number(this.config?.failover_attempts ?? DEFAULT_FAILOVER_ATTEMPTS)
+		return Number.isFinite(limit) && limit > 0 && this._reconnectAttempts >= limit
+	}
+
+	_setNetworkPath(path, reason) {
+		if (this._activePath === path) return
+		this._activePath = path
+		const { host, port } = this._resolveHostPortFromConfig()
+		this.log?.('warn', `Switching to ${path} network path ${host}:${port} (${reason})`)
+		this.setVariableValues({ network_path_active: path })
+		this.checkFeedbacks('network_path_active')
+		if (path === 'secondary') this._startFailbackProbe()
+		else this._stopFailbackProbe()
+	}
+
+	_startFailbackProbe() {
+		this._stopFailbackProbe()
+		const intervalS = Number(this.config?.failback_interval_s ?? DEFAULT_FAILBACK_INTERVAL_S)
+		if (!Number.isFinite(intervalS) || intervalS <= 0) return
+		this._failbackTimer = setInterval(() => this._probeFailback(), intervalS * 1000)
+	}
+
+	_stopFailbackProbe() {
+		clearInterval(this._failbackTimer)
+		this._failbackTimer = null
+	}
+
+	async _probeFailback() {
+		if (this._activePath !== 'secondary' || this._failbackProbeInFlight) return
+		const { host, port } = splitHostPort(this.config?.host, this.config?.port)
+		if (!host) return
+		this._failbackProbeInFlight = true
+		try {
+			const reachable = await this._probeTcp(host, port, FAILBACK_PROBE_TIMEOUT_MS)
+			if (reachable && this._activePath === 'secondary') {
+				this._setNetworkPath('primary', 'primary address reachable again')
+				this._reconnectPrimary()
+			}
+		} finally {
+			this._failbackProbeInFlight = false
+		}
+	}
+
+	_probeTcp(host, port, timeoutMs) {
+		return new Promise((resolve) => {
+			const sock = new net.Socket()
+			const finish = (ok) => {
+				try {
+					sock.destroy()
+				} catch {}
+				resolve(ok)
+			}
+			sock.setTimeout(timeoutMs, () => finish(false))
+			sock.once('error', () => finish(false))
+			sock.connect(port, host, () => finish(true))
+		})
+	}
+
+	// -------- Additional devices --------
+	// Each extra Galaxy is its own ModuleInstance object (not a registered Companion connection): it runs the same
+	// parse/apply/send methods on its own sockets and caches (_initDeviceState), reads the instance-wide state in
+	// DEVICE_SHARED_STATE from the primary, and goes through the primary for Companion's API. Its variables are
+	// published as device_<id>_<variable>; feedbacks and actions pick the device with their "Device" option.
+	_startExtraDevices() {
+		this._stopExtraDevices()
+		for (const entry of parseDeviceList(this.config?.extra_devices)) {
+			const dev = this._createDeviceContext(entry)
+			this._devices.push(dev)
+			dev._startSubscribe()
+		}
+		if (this._devices.length > 0) {
+			this.log?.('info', `Controlling ${this._devices.length + 1} Galaxies`)
+			this.updateActions()
+			this.updateFeedbacks()
+			this.updateVariableDefinitions()
+		}
+	}
+
+	_stopExtraDevices() {
+		for (const dev of this._devices) {
+			dev._stopAllFades()
+			dev._stopAllInputFades()
+			dev._stopAllOutputFades()
+			dev._stopOutputChase()
+			dev._stopSpeakerFlashTimer()
+			clearTimeout(dev._modelDetectTimer)
+			clearTimeout(dev._reconnectTimer)
+			clearTimeout(dev._meterFlushTimer)
+			clearTimeout(dev.cmdTimer)
+			dev._syncReset()
+			dev._stopHeartbeat()
+			dev._cmdReset()
+			dev._offlineReset()
+			const { subSock, cmdSock } = dev
+			dev.subSock = null
+			dev.cmdSock = null
+			try {
+				subSock?.destroy()
+			} catch {}
+			try {
+				cmdSock?.destroy()
+			} catch {}
+		}
+		this._devices = []
+	}
+
+	_createDeviceContext(entry) {
+		const root = this
+		const dev = Object.create(ModuleInstance.prototype)
+		dev._initDeviceState()
+		dev.deviceId = entry.id
+		dev.deviceAlias = entry.alias
+		dev._deviceStatus = 'Idle'
+		dev._root = root
+		dev._devices = []
+		dev._activePath = 'primary'
+		for (const name of DEVICE_SHARED_STATE) {
+			Object.defineProperty(dev, name, {
+				get: () => root[name],
+				set: (value) => {
+					root[name] = value
+				},
+			})
+		}
+
+		// InstanceBase keeps its IPC state in private fields, so its API runs against the registered instance
+		for (const name of Object.getOwnPropertyNames(InstanceBase.prototype)) {
+			if (name === 'constructor' || Object.hasOwn(ModuleInstance.prototype, name)) continue
+			const desc = Object.getOwnPropertyDescriptor(InstanceBase.prototype, name)
+			if (typeof desc.value === 'function') {
+				dev[name] = desc.value.bind(root)
+			} else if (desc.get) {
+				Object.defineProperty(dev, name, { get: () => root[name] })
+			}
+		}
+
+		const prefix = `device_${entry.id}_`
+		dev.log = (level, message) => root.log(level, `[${entry.alias}] ${message}`)
+		dev.updateStatus = (status, message) => {
+			dev._deviceStatus = message || status
+			dev._publishDeviceInfo()
+		}
+		dev.setVariableValues = (values) => {
+			const prefixed = {}
+			for (const [id, value] of Object.entries(values)) prefixed[prefix + id] = value
+			root.setVariableValues(prefixed)
+		}
+		dev._resolveHostPortFromConfig = () => ({ host: entry.host, port: entry.port })
+
+		// Definitions are built by the primary for every device (see actions/index.js, feedbacks.js, variables.js)
+		dev._scheduleActionsRefresh = () => root._scheduleActionsRefresh()
+		dev._scheduleFeedbacksRefresh = () => root._scheduleFeedbacksRefresh()
+		dev._scheduleVariablesRefresh = () => root._scheduleVariablesRefresh()
+		dev._schedulePresetsRefresh = () => root._schedulePresetsRefresh()
+		dev.updateActions = dev._scheduleActionsRefresh
+		dev.updateFeedbacks = dev._scheduleFeedbacksRefresh
+		dev.updateVariableDefinitions = dev._scheduleVariablesRefresh
+		dev.updatePresets = dev._schedulePresetsRefresh
+		return dev
+	}
+
+	_publishDeviceInfo() {
+		if (!this._root) return
+		this._root.setVariableValues({
+			[`device_${this.deviceId}_status`]: this._deviceStatus,
+			[`device_${this.deviceId}_model`]: this.miscValues?.status_model_string ?? '',
+		})
+	}
+
+	// Alias shown for this device: config device_alias for the primary, the extra_devices alias otherwise
+	_aliasOf() {
+		if (this._root) return this.deviceAlias
+		return String(this.config?.device_alias ?? '').trim() || DEFAULT_PRIMARY_ALIAS
+	}
+
+	_findDevice(id) {
+		if (id === PRIMARY_DEVICE_ID) return this
+		return this._devices.find((d) => d.deviceId === id) || null
+	}
+
 	// ---- Connection resolver (physical + virtual) ----
 	_resolveHostPortFromConfig() {
 		const connectionType = this.config?.connection_type || 'physical'
@@ -4311,46 +6450,28 @@ class ModuleInstance extends InstanceBase {
 			return { host, port }
 		}
 
-		const rawHost = this.config?.host
-		if (!rawHost || typeof rawHost !== 'string' || rawHost.trim() === '') {
-			return { host: null, port: null }
-		}
+		if (connectionType === 'replay') return { host: null, port: null }
 
-		let host = rawHost.trim()
-		let port = Number(this.config?.port)
-		if (!Number.isFinite(port)) {
-			port = DEFAULT_PHYSICAL_PORT
+		if (connectionType === 'discovered') {
+			const serial = this.config?.discovered_serial
+			const dev = serial ? this._discoveredDevices.find((d) => d.serial === serial) : null
+			if (dev) return { host: dev.host, port: dev.port }
+			const { host, port } = splitHostPort(this.config?.discovered_host, DEFAULT_PHYSICAL_PORT)
+			return host ? { host, port } : { host: null, port: null }
 		}
 
-		// Allow IPv6 literals with brackets and host fields that include a port
-		if (host.startsWith('[')) {
-			const match = host.match(/^\[([^\]]+)\]:(\d+)$/)
-			if (match) {
-				host = match[1].trim()
-				port = Number(match[2])
-			} else if (host.endsWith(']')) {
-				host = host.slice(1, -1).trim()
-			}
-		} else {
-			const firstColon = host.indexOf(':')
-			const lastColon = host.lastIndexOf(':')
-			// If there is exactly one colon, treat it as a host:port separator (IPv4/hostname)
-			if (firstColon === lastColon && firstColon > 0) {
-				const maybePort = Number(host.substring(lastColon + 1))
-				if (Number.isFinite(maybePort)) {
-					port = maybePort
-					host = host.substring(0, lastColon).trim()
-				}
-			}
+		if (this._activePath === 'secondary') {
+			const secondary = this._secondaryHostPort()
+			if (secondary) return secondary
 		}
 
-		if (!host) {
+		const rawHost = this.config?.host
+		if (!rawHost || typeof rawHost !== 'string' || rawHost.trim() === '') {
 			return { host: null, port: null }
 		}
-		if (!Number.isFinite(port) || port < 1 || port > 65535) {
-			port = DEFAULT_PHYSICAL_PORT
-		}
-		return { host, port }
+
+		const { host, port } = splitHostPort(rawHost, this.config?.port)
+		return host ? { host, port } : { host: null, port: null }
 	}
 }
 
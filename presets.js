@@ -1,3 +1,5 @@
+const { isMonitorSafeAction } = require('./helpers')
+
 const DISPLAY_NOCHANGE = 'nochange'
 const SNAPSHOT_MAX = 255
 const DISPLAY_BRIGHTNESS_CHOICES = [
@@ -2968,6 +2970,17 @@ function accessLockPresetAllUnlock() {
 	}
 }
 
+// Monitor-only mode: buttons keep their text and feedbacks but lose every action that would change the Galaxy
+function stripWriteActions(presets) {
+	for (const preset of presets) {
+		for (const step of preset.steps ?? []) {
+			for (const [key, actions] of Object.entries(step)) {
+				if (Array.isArray(actions)) step[key] = actions.filter((action) => isMonitorSafeAction(action.actionId))
+			}
+		}
+	}
+}
+
 module.exports = function UpdatePresets(self, NUM_INPUTS, NUM_OUTPUTS) {
 	const presets = []
 
@@ -3101,7 +3114,8 @@ module.exports = function UpdatePresets(self, NUM_INPUTS, NUM_OUTPUTS) {
 	}
 
 	addSection('System', 'Speaker Test', 'Automate speaker verification using the chase presets.')
-	if (NUM_OUTPUTS >= 8) pushPreset(speakerTestStartPreset(self, 1, Math.min(16, NUM_OUTPUTS), '1–16'), 'System')
+	const chaseEnd = Math.min(16, NUM_OUTPUTS)
+	if (NUM_OUTPUTS >= 8) pushPreset(speakerTestStartPreset(self, 1, chaseEnd, `1–${chaseEnd}`), 'System')
 	pushPreset(speakerTestStopPreset(self), 'System')
 
 	addSection('Snapshots', 'Snapshot Management', 'Recall, update, duplicate, and manage Galaxy snapshots.')
@@ -3122,27 +3136,35 @@ module.exports = function UpdatePresets(self, NUM_INPUTS, NUM_OUTPUTS) {
 	// ----- Matrix -----
 	const maxOutMatrix = Math.min(16, NUM_OUTPUTS)
 	if (NUM_INPUTS >= 1 && maxOutMatrix >= 1) {
-		addSection('Matrix', 'Matrix Gain (Input 1)', 'Crosspoint gain set for Input 1 to Outputs 1–16.')
+		addSection('Matrix', 'Matrix Gain (Input 1)', `Crosspoint gain set for Input 1 to Outputs 1–${maxOutMatrix}.`)
 		for (let o = 1; o <= maxOutMatrix; o++) {
 			pushPreset(matrixGainSetPreset(self, 1, o), 'Matrix')
 		}
 
-		addSection('Matrix', 'Matrix Gain Nudge (Input 1)', 'Crosspoint gain nudge for Input 1 to Outputs 1–16.')
+		addSection(
+			'Matrix',
+			'Matrix Gain Nudge (Input 1)',
+			`Crosspoint gain nudge for Input 1 to Outputs 1–${maxOutMatrix}.`,
+		)
 		for (let o = 1; o <= maxOutMatrix; o++) {
 			pushPreset(matrixGainNudgePreset(self, 1, o), 'Matrix')
 		}
 
-		addSection('Matrix', 'Matrix Gain -6dB (Input 1)', 'Quick set to -6 dB for Input 1 to Outputs 1–16.')
+		addSection('Matrix', 'Matrix Gain -6dB (Input 1)', `Quick set to -6 dB for Input 1 to Outputs 1–${maxOutMatrix}.`)
 		for (let o = 1; o <= maxOutMatrix; o++) {
 			pushPreset(matrixGainSetPreset(self, 1, o, -6, 'minus6'), 'Matrix')
 		}
 
-		addSection('Matrix', 'Matrix Delay (Input 1)', 'Delay controls for Input 1 to Outputs 1–16.')
+		addSection('Matrix', 'Matrix Delay (Input 1)', `Delay controls for Input 1 to Outputs 1–${maxOutMatrix}.`)
 		for (let o = 1; o <= maxOutMatrix; o++) {
 			pushPreset(matrixDelaySetPreset(self, 1, o), 'Matrix')
 		}
 
-		addSection('Matrix', 'Matrix Delay Bypass (Input 1)', 'Delay bypass toggles for Input 1 to Outputs 1–16.')
+		addSection(
+			'Matrix',
+			'Matrix Delay Bypass (Input 1)',
+			`Delay bypass toggles for Input 1 to Outputs 1–${maxOutMatrix}.`,
+		)
 		for (let o = 1; o <= maxOutMatrix; o++) {
 			pushPreset(matrixDelayBypassPreset(self, 1, o), 'Matrix')
 		}
@@ -3189,5 +3211,7 @@ module.exports = function UpdatePresets(self, NUM_INPUTS, NUM_OUTPUTS) {
 		pushPreset(accessPrivTogglePreset(label, value), 'Access')
 	}
 
+	if (self.config?.read_only) stripWriteActions(presets)
+
 	self.setPresetDefinitions(presets)
 }
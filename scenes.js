@@ -0,0 +1,113 @@
+// scenes.js
+// Module-side partial scenes: gains, mutes, matrix and delays captured from the caches and stored in the config
+
+const { sameStateValue } = require('./state')
+
+// What a scene can hold. `entries` lists [path, value] for every cached value of the scope,
+// `group` is the subscription group that keeps those caches filled.
+const SCENE_SCOPES = {
+	inputs: {
+		label: 'Input gains',
+		group: 'levels',
+		entries: (dev) => channelEntries(dev.numInputs, (ch) => [`/processing/input/${ch}/gain`, dev.inputGain?.[ch]]),
+	},
+	outputs: {
+		label: 'Output gains',
+		group: 'levels',
+		entries: (dev) => channelEntries(dev.numOutputs, (ch) => [`/processing/output/${ch}/gain`, dev.outputGain?.[ch]]),
+	},
+	matrix: {
+		label: 'Matrix gains',
+		group: 'matrix',
+		entries: (dev) =>
+			Object.entries(dev.matrixGain ?? {})
+				.map(([key, value]) => {
+					const [mi, mo] = key.split('-').map(Number)
+					return mi <= dev.matrixInputs && mo <= dev.numOutputs ? [`/processing/matrix/${mi}/${mo}/gain`, value] : null
+				})
+				.filter((entry) => entry && Number.isFinite(Number(entry[1]))),
+	},
+	mutes: {
+		label: 'Mutes',
+		group: 'levels',
+		entries: (dev) => [
+			...channelEntries(dev.numInputs, (ch) => [`/processing/input/${ch}/mute`, dev.inMute?.[ch]]),
+			...channelEntries(dev.numOutputs, (ch) => [`/processing/output/${ch}/mute`, dev.outMute?.[ch]]),
+		],
+	},
+	delays: {
+		label: 'Delays',
+		group: 'delay',
+		entries: (dev) => [
+			...channelEntries(dev.numInputs, (ch) => [`/processing/input/${ch}/delay`, dev.inputDelay?.[ch]?.samples]),
+			...channelEntries(dev.numOutputs, (ch) => [`/processing/output/${ch}/delay`, dev.outputDelay?.[ch]?.samples]),
+		],
+	},
+}
+const DEFAULT_SCENE_SCOPES = ['inputs', 'outputs', 'matrix', 'mutes']
+
+// Received values that can change whether a stored scene matches
+const SCENE_PATH_RE = /^\/processing\/((input|output)\/\d+\/(gain|mute|delay)|matrix\/\d+\/\d+\/gain)=/
+
+function channelEntries(count, entryFor) {
+	const entries = []
+	for (let ch = 1; ch <= count; ch++) {
+		const entry = entryFor(ch)
+		if (entry[1] !== undefined && entry[1] !== null) entries.push(entry)
+	}
+	return entries
+}
+
+// Current values of the given scopes as path -> value
+function currentValues(dev, scopes) {
+	const values = {}
+	for (const scope of scopes) {
+		for (const [path, value] of SCENE_SCOPES[scope]?.entries(dev) ?? []) values[path] = value
+	}
+	return values
+}
+
+/**
+ * Capture a scene from a device's caches
+ * @param {Object} dev - Module instance or device context
+ * @param {string[]} scopes - SCENE_SCOPES ids
+ * @returns {{scopes: string[], saved_at: string, values: Object}} Scene, values by path
+ */
+function captureScene(dev, scopes) {
+	const valid = scopes.filter((scope) => scope in SCENE_SCOPES)
+	return { scopes: valid, saved_at: new Date().toISOString(), values: currentValues(dev, valid) }
+}
+
+/**
+ * Scene values that differ from the device's caches (or are not cached yet)
+ * @param {Object} dev - Module instance or device context
+ * @param {Object} scene - From captureScene
+ * @returns {Array<[string, *]>} [path, value] in scene order
+ */
+function sceneChanges(dev, scene) {
+	const current = currentValues(dev, scene.scopes)
+	return Object.entries(scene.values).filter(([path, value]) => !sameStateValue(current[path], value))
+}
+
+/**
+ * Read the stored scenes (config "scenes")
+ * @param {string} text - JSON object of scenes by name
+ * @returns {Object} Scenes by name; empty when the text is missing or unreadable
+ */
+function parseScenes(text) {
+	try {
+		const scenes = JSON.parse(String(text ?? '') || '{}')
+		return scenes && typeof scenes === 'object' && !Array.isArray(scenes) ? scenes : {}
+	} catch {
+		return {}
+	}
+}
+
+module.exports = {
+	SCENE_SCOPES,
+	DEFAULT_SCENE_SCOPES,
+	SCENE_PATH_RE,
+	captureScene,
+	sceneChanges,
+	parseScenes,
+}
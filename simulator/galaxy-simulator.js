@@ -0,0 +1,503 @@
+// simulator/galaxy-simulator.js
+// A TCP server speaking the Galaxy line protocol, for development and tests without hardware.
+// Run with: yarn simulator [--model 408|816] [--port 25003] [--host 127.0.0.1] [--meters 100]
+//
+// Supported: `+path` / `-path` (un)subscribe, `path` GET, `path=value` SET (echoed to the sender and every
+// subscriber) and the colon commands the module sends. Parameters live in an in-memory tree seeded for the model.
+
+const net = require('net')
+const { EventEmitter } = require('events')
+
+const MODELS = {
+	408: { modelString: 'Galaxy 408', inputs: 4, outputs: 8, matrixInputs: 32 },
+	816: { modelString: 'Galaxy 816', inputs: 8, outputs: 16, matrixInputs: 32 },
+}
+const SNAPSHOT_MAX = 255
+const SNAPSHOT_FIELDS = ['comment', 'created', 'last_updated', 'locked', 'modified', 'name']
+const LOG_HISTORY_MAX = 100
+const DEFAULT_REBOOT_MS = 2000
+
+// ---- Wire format ----
+function formatValue(value) {
+	if (typeof value === 'boolean' || typeof value === 'number') return String(value)
+	const escaped = String(value ?? '')
+		.replace(/\\/g, '\\\\')
+		.replace(/"/g, '\\"')
+	return `"${escaped}"`
+}
+
+function parseValue(raw) {
+	const text = String(raw ?? '').trim()
+	if (/^(true|false)$/i.test(text)) return text.toLowerCase() === 'true'
+	if (text !== '' && Number.isFinite(Number(text))) return Number(text)
+	const quoted = text.match(/^"((?:[^"\\]|\\.)*)"$|^'([^']*)'$/)
+	if (quoted) return quoted[1] !== undefined ? quoted[1].replace(/\\(.)/g, '$1') : quoted[2]
+	return text
+}
+
+// Split colon command arguments, honouring "double quoted" strings with backslash escapes
+function splitArgs(text) {
+	const args = []
+	const re = /"((?:[^"\\]|\\.)*)"|(\S+)/g
+	let m
+	while ((m = re.exec(text))) args.push(m[1] !== undefined ? m[1].replace(/\\(.)/g, '$1') : m[2])
+	return args
+}
+
+// ---- Parameter tree ----
+function buildTree(model) {
+	const tree = new Map()
+	const set = (path, value) => tree.set(path, value)
+
+	for (let ch = 1; ch <= model.inputs; ch++) {
+		const base = `/processing/input/${ch}`
+		set(`${base}/mute`, false)
+		set(`${base}/gain`, 0)
+		set(`${base}/delay`, 0)
+		set(`${base}/ushaping/bypass`, false)
+		for (let band = 1; band <= 5; band++) {
+			set(`${base}/ushaping/${band}/gain`, 0)
+			set(`${base}/ushaping/${band}/slope`, 6)
+			set(`${base}/ushaping/${band}/band_bypass`, false)
+			if (band <= 4) set(`${base}/ushaping/${band}/frequency`, [63, 250, 1000, 4000][band - 1])
+		}
+		set(`${base}/eq/bypass`, false)
+		for (let band = 1; band <= 5; band++) {
+			set(`${base}/eq/${band}/gain`, 0)
+			set(`${base}/eq/${band}/frequency`, 1000)
+			set(`${base}/eq/${band}/bandwidth`, 1)
+			set(`${base}/eq/${band}/band_bypass`, false)
+		}
+		set(`/device/input/${ch}/input_link_group`, 0)
+	}
+
+	for (let ch = 1; ch <= model.outputs; ch++) {
+		const base = `/processing/output/${ch}`
+		set(`${base}/mute`, false)
+		set(`${base}/gain`, 0)
+		set(`${base}/delay`, 0)
+		set(`${base}/polarity_reversal`, false)
+		for (const filter of ['highpass', 'lowpass']) {
+			set(`${base}/${filter}/bypass`, true)
+			set(`${base}/${filter}/frequency`, filter === 'highpass' ? 20 : 20000)
+			set(`${base}/${filter}/type`, 0)
+		}
+		for (let band = 1; band <= 3; band++) {
+			set(`${base}/allpass/${band}/band_bypass`, true)
+			set(`${base}/allpass/${band}/frequency`, 1000)
+			set(`${base}/allpass/${band}/q`, 1)
+		}
+		set(`${base}/atmospheric/bypass`, true)
+		set(`${base}/atmospheric/distance`, 0)
+		set(`${base}/atmospheric/gain`, 100)
+		set(`${base}/ushaping/bypass`, false)
+		for (let band = 1; band <= 5; band++) {
+			set(`${base}/ushaping/${band}/gain`, 0)
+			set(`${base}/ushaping/${band}/slope`, 6)
+			set(`${base}/ushaping/${band}/band_bypass`, false)
+			if (band <= 4) set(`${base}/ushaping/${band}/frequency`, [63, 250, 1000, 4000][band - 1])
+		}
+		set(`${base}/eq/bypass`, false)
+		for (let band = 1; band <= 10; band++) {
+			set(`${base}/eq/${band}/gain`, 0)
+			set(`${base}/eq/${band}/frequency`, 1000)
+			set(`${base}/eq/${band}/bandwidth`, 1)
+			set(`${base}/eq/${band}/band_bypass`, false)
+		}
+		set(`/device/output/${ch}/name`, `Output ${ch}`)
+		set(`/device/output/${ch}/output_link_group`, 0)
+		set(`/status/meter/output/${ch}`, -90)
+	}
+
+	// Matrix: input N feeds output N, everything else is off
+	for (let mi = 1; mi <= model.matrixInputs; mi++) {
+		for (let mo = 1; mo <= model.outputs; mo++) {
+			const base = `/processing/matrix/${mi}/${mo}`
+			set(`${base}/gain`, mi === mo ? 0 : -90)
+			set(`${base}/delay`, 0)
+			set(`${base}/delay_bypass`, true)
+			set(`${base}/delay_type`, 0)
+		}
+		set(`/device/input/${mi}/name`, `Input ${mi}`)
+		set(`/device/input/${mi}/mode`, 0)
+		set(`/status/meter/matrix_input/${mi}`, -90)
+	}
+	set('/status/matrix_crosspoints_used', Math.min(model.matrixInputs, model.outputs))
+	for (let ch = 1; ch <= model.inputs; ch++) set(`/status/meter/input/${ch}`, -90)
+
+	for (let group = 1; group <= 4; group++) set(`/device/input_link_group/${group}/bypass`, false)
+	for (let group = 1; group <= 8; group++) set(`/device/output_link_group/${group}/bypass`, false)
+
+	// Entity + status
+	set('/entity/entity_id', '00:1c:ab:00:00:01')
+	set('/entity/entity_model_id', model.modelString)
+	set('/entity/entity_name', `${model.modelString} Simulator`)
+	set('/entity/firmware_version', '2.0.0-sim')
+	set('/entity/group_name', '')
+	set('/entity/input_channel_count', model.inputs)
+	set('/entity/input_stream_count', 4)
+	set('/entity/output_channel_count', model.outputs)
+	set('/entity/output_stream_count', 4)
+	set('/entity/serial_number', `SIM${model.outputs}${model.inputs}0001`)
+	set('/status/model_string', model.modelString)
+	set('/status/identify_active', false)
+	set('/status/log_message', '')
+	set('/system/hardware/front_panel_lockout', false)
+	set('/system/access/1/privilege', 0)
+	set('/device/preferences/brightness', 1)
+	set('/device/preferences/display_color', 0)
+	for (const iface of [1, 2]) {
+		const base = `/status/network/${iface}`
+		set(`${base}/carrier`, iface === 1)
+		set(`${base}/duplex`, 'full')
+		set(`${base}/gateway`, '0.0.0.0')
+		set(`${base}/ip_address`, `127.0.0.${iface}`)
+		set(`${base}/mac_address`, `00:1c:ab:00:00:0${iface}`)
+		set(`${base}/net_mask`, '255.255.255.0')
+		set(`${base}/speed`, 1000)
+	}
+	for (let idx = 1; idx <= 4; idx++) {
+		set(`/status/hardware/board/digital/fan/${idx}/stalled`, false)
+		set(`/status/hardware/board/digital/fan/${idx}/tach`, 3000)
+	}
+	for (let arrayIdx = 1; arrayIdx <= 4; arrayIdx++) {
+		set(`/processing/beam_control_array/${arrayIdx}/error_code`, 0)
+		set(`/processing/beam_control_array/${arrayIdx}/error_string`, '')
+	}
+
+	// Clocks
+	for (const key of ['input_number', 'sample_rate', 'source', 'sync']) {
+		set(`/status/clock/aes_output/${key}`, key === 'sample_rate' ? 96000 : key === 'sync' ? true : 0)
+		set(`/status/clock/system/${key}`, key === 'sample_rate' ? 96000 : key === 'sync' ? true : 0)
+	}
+	for (let idx = 1; idx <= 3; idx++) {
+		set(`/status/clock/input/${idx}/sample_rate`, 0)
+		set(`/status/clock/input/${idx}/sync`, false)
+	}
+	set('/status/clock/word_clock/sample_rate', 0)
+	set('/status/clock/word_clock/sync', false)
+	set('/status/clock/word_clock/termination', false)
+	set('/status/clock/rtc/date_and_time', new Date().toISOString())
+
+	// Snapshots: every id exists, unused ones have an empty name
+	for (let id = 0; id <= SNAPSHOT_MAX; id++) {
+		for (const field of SNAPSHOT_FIELDS) set(`/project/snapshot/${id}/${field}`, field === 'locked' ? false : '')
+	}
+	for (const field of [...SNAPSHOT_FIELDS, 'id']) set(`/project/snapshot/active/${field}`, '')
+	set('/project/boot_snapshot_id', -1)
+
+	return tree
+}
+
+/**
+ * In-memory Galaxy. Emits 'line' (line, client) for every line received and 'connection' (client) per socket.
+ */
+class GalaxySimulator extends EventEmitter {
+	/**
+	 * @param {Object} [opts]
+	 * @param {string} [opts.model='816'] - '408' or '816'
+	 * @param {number} [opts.meterIntervalMs=0] - Push random meter values to subscribers this often (0 = off)
+	 * @param {number} [opts.rebootMs=2000] - How long `:reboot` refuses connections
+	 */
+	constructor({ model = '816', meterIntervalMs = 0, rebootMs = DEFAULT_REBOOT_MS } = {}) {
+		super()
+		this.model = MODELS[String(model)]
+		if (!this.model) throw new Error(`Unknown model "${model}" (expected ${Object.keys(MODELS).join(' or ')})`)
+		this.tree = buildTree(this.model)
+		this.snapshots = new Map() // id => Map(path => value) of /processing parameters
+		this.logHistory = []
+		this.clients = new Set()
+		this.paused = false // when true, lines are read but never answered (half-open link)
+		this.meterIntervalMs = meterIntervalMs
+		this.rebootMs = rebootMs
+		this._rebootUntil = 0
+		this._meterTimer = null
+		this.server = net.createServer((sock) => this._onConnection(sock))
+
+		this._meterPaths = [...this.tree.keys()].filter((path) => path.startsWith('/status/meter/'))
+		this._storeSnapshot(0, 'Default', '')
+		this._recallSnapshot(0)
+	}
+
+	/**
+	 * Start listening
+	 * @param {number} [port=0] - TCP port (0 = any free port)
+	 * @param {string} [host='127.0.0.1']
+	 * @returns {Promise<number>} The port listened on
+	 */
+	listen(port = 0, host = '127.0.0.1') {
+		return new Promise((resolve, reject) => {
+			this.server.once('error', reject)
+			this.server.listen(port, host, () => {
+				this.server.off('error', reject)
+				if (this.meterIntervalMs > 0) {
+					this._meterTimer = setInterval(() => this._tickMeters(), this.meterIntervalMs)
+				}
+				resolve(this.server.address().port)
+			})
+		})
+	}
+
+	close() {
+		clearInterval(this._meterTimer)
+		this._meterTimer = null
+		for (const client of this.clients) client.sock.destroy()
+		this.clients.clear()
+		return new Promise((resolve) => this.server.close(() => resolve()))
+	}
+
+	get port() {
+		return this.server.address()?.port ?? null
+	}
+
+	get(path) {
+		return this.tree.get(path)
+	}
+
+	/**
+	 * Change a parameter as if it was changed on the device (front panel, Compass), notifying subscribers
+	 */
+	set(path, value) {
+		this.tree.set(path, value)
+		this._notify(path, null)
+	}
+
+	// Drop every connection, as a reboot or cable pull would
+	disconnectAll() {
+		for (const client of this.clients) client.sock.destroy()
+	}
+
+	_onConnection(sock) {
+		if (Date.now() < this._rebootUntil) {
+			sock.destroy()
+			return
+		}
+		const client = { sock, subs: new Set(), buf: '' }
+		this.clients.add(client)
+		sock.setNoDelay(true)
+		sock.on('error', () => {})
+		sock.on('close', () => this.clients.delete(client))
+		sock.on('data', (chunk) => {
+			client.buf += chunk.toString('utf8')
+			const parts = client.buf.split(/\r\n|\n|\r/)
+			client.buf = parts.pop() ?? ''
+			for (const raw of parts) {
+				const line = raw.trim()
+				if (!line) continue
+				this.emit('line', line, client)
+				if (!this.paused) this._handleLine(client, line)
+			}
+		})
+		this.emit('connection', client)
+	}
+
+	_send(client, line) {
+		if (!client.sock.destroyed) client.sock.write(line + '\n')
+	}
+
+	_reply(client, path) {
+		this._send(client, `${path}=${formatValue(this.tree.get(path))}`)
+	}
+
+	_error(client, subject, message) {
+		this._send(client, `#error ${subject} ${message}`)
+	}
+
+	_isSubscribed(client, path) {
+		if (client.subs.has(path)) return true
+		// A subscription to a branch covers everything below it
+		for (let i = path.lastIndexOf('/'); i > 0; i = path.lastIndexOf('/', i - 1)) {
+			if (client.subs.has(path.slice(0, i))) return true
+		}
+		return false
+	}
+
+	// Send the new value to every subscriber, and to the sender (as confirmation) whether subscribed or not
+	_notify(path, sender) {
+		for (const client of this.clients) {
+			if (client === sender || this._isSubscribed(client, path)) this._reply(client, path)
+		}
+	}
+
+	_handleLine(client, line) {
+		if (line.startsWith(':')) {
+			this._handleCommand(client, line)
+			return
+		}
+		if (line.startsWith('+') || line.startsWith('-')) {
+			const path = line.slice(1).trim()
+			if (line.startsWith('+')) client.subs.add(path)
+			else client.subs.delete(path)
+			return
+		}
+
+		const eq = line.indexOf('=')
+		if (eq < 0) {
+			if (this.tree.has(line)) this._reply(client, line)
+			else this._error(client, line, 'Path not found')
+			return
+		}
+
+		const path = line.slice(0, eq).trim()
+		if (!path.startsWith('/')) {
+			this._error(client, path, 'Invalid path')
+			return
+		}
+		if (path.startsWith('/status/') || (path.startsWith('/entity/') && path !== '/entity/group_name')) {
+			this._error(client, path, 'Read-only parameter')
+			return
+		}
+		this.tree.set(path, parseValue(line.slice(eq + 1)))
+		if (path.startsWith('/processing/')) this._markActiveModified()
+		this._notify(path, client)
+	}
+
+	_handleCommand(client, line) {
+		const [command, ...args] = splitArgs(line)
+		const id = Number(args[0])
+		const snapshotExists = (n) =>
+			Number.isInteger(n) && String(this.tree.get(`/project/snapshot/${n}/name`) ?? '') !== ''
+
+		switch (command) {
+			case ':recall_snapshot':
+				if (!snapshotExists(id)) return this._error(client, command, `Snapshot ${args[0]} does not exist`)
+				this._recallSnapshot(id)
+				break
+			case ':create_snapshot': {
+				const free = this._freeSnapshotId()
+				if (free === null) return this._error(client, command, 'No free snapshot')
+				this._storeSnapshot(free, args[0] ?? `Snapshot ${free}`, args[1] ?? '')
+				break
+			}
+			case ':update_snapshot':
+				if (!snapshotExists(id)) return this._error(client, command, `Snapshot ${args[0]} does not exist`)
+				if (this.tree.get(`/project/snapshot/${id}/locked`)) return this._error(client, command, 'Snapshot is locked')
+				this._storeSnapshot(id)
+				break
+			case ':duplicate_snapshot': {
+				if (!snapshotExists(id)) return this._error(client, command, `Snapshot ${args[0]} does not exist`)
+				const free = this._freeSnapshotId()
+				if (free === null) return this._error(client, command, 'No free snapshot')
+				const comment = this.tree.get(`/project/snapshot/${id}/comment`)
+				this._storeSnapshot(free, `${this.tree.get(`/project/snapshot/${id}/name`)} copy`, comment)
+				this.snapshots.set(free, new Map(this.snapshots.get(id)))
+				break
+			}
+			case ':delete_snapshot':
+				if (!snapshotExists(id) || id === 0) return this._error(client, command, `Cannot delete snapshot ${args[0]}`)
+				if (this.tree.get(`/project/snapshot/${id}/locked`)) return this._error(client, command, 'Snapshot is locked')
+				this.snapshots.delete(id)
+				for (const field of SNAPSHOT_FIELDS) {
+					this.set(`/project/snapshot/${id}/${field}`, field === 'locked' ? false : '')
+				}
+				break
+			case ':lock_snapshot':
+			case ':unlock_snapshot':
+				if (!snapshotExists(id)) return this._error(client, command, `Snapshot ${args[0]} does not exist`)
+				this.set(`/project/snapshot/${id}/locked`, command === ':lock_snapshot')
+				break
+			case ':set_boot_snapshot':
+				this.set('/project/boot_snapshot_id', Number.isInteger(id) ? id : -1)
+				break
+			case ':set_snapshot_name':
+			case ':set_snapshot_comment':
+				if (!snapshotExists(id)) return this._error(client, command, `Snapshot ${args[0]} does not exist`)
+				this.set(`/project/snapshot/${id}/${command === ':set_snapshot_name' ? 'name' : 'comment'}`, args[1] ?? '')
+				break
+			case ':add_log_message':
+				this._addLog(args.join(' '))
+				break
+			case ':clear_log_history':
+				this.logHistory = []
+				break
+			case ':get_log_history':
+				for (const entry of this.logHistory) this._send(client, `/status/log_message=${formatValue(entry)}`)
+				break
+			case ':reboot':
+				this._send(client, line)
+				this._rebootUntil = Date.now() + this.rebootMs
+				setImmediate(() => this.disconnectAll())
+				return
+			case ':set_clock_source':
+			case ':connect_avb_input':
+			case ':command':
+				break
+			default:
+				return this._error(client, command, 'Unknown command')
+		}
+		this._send(client, line)
+	}
+
+	_freeSnapshotId() {
+		for (let id = 1; id <= SNAPSHOT_MAX; id++) {
+			if (String(this.tree.get(`/project/snapshot/${id}/name`) ?? '') === '') return id
+		}
+		return null
+	}
+
+	// Save the current /processing parameters into a snapshot, optionally (re)naming it
+	_storeSnapshot(id, name, comment) {
+		const params = new Map()
+		for (const [path, value] of this.tree) {
+			if (path.startsWith('/processing/')) params.set(path, value)
+		}
+		this.snapshots.set(id, params)
+		const now = new Date().toISOString()
+		const base = `/project/snapshot/${id}`
+		if (name !== undefined) {
+			this.set(`${base}/name`, name)
+			this.set(`${base}/comment`, comment ?? '')
+			this.set(`${base}/created`, now)
+		}
+		this.set(`${base}/last_updated`, now)
+		this.set(`${base}/modified`, false)
+	}
+
+	_recallSnapshot(id) {
+		for (const [path, value] of this.snapshots.get(id) ?? []) {
+			if (this.tree.get(path) !== value) this.set(path, value)
+		}
+		for (const field of SNAPSHOT_FIELDS) {
+			this.set(`/project/snapshot/active/${field}`, this.tree.get(`/project/snapshot/${id}/${field}`))
+		}
+		this.set('/project/snapshot/active/modified', false)
+		this.set('/project/snapshot/active/id', id)
+	}
+
+	_markActiveModified() {
+		const active = this.tree.get('/project/snapshot/active/id')
+		if (active === '' || this.tree.get('/project/snapshot/active/modified')) return
+		this.set('/project/snapshot/active/modified', true)
+	}
+
+	_addLog(message) {
+		this.logHistory.push(message)
+		while (this.logHistory.length > LOG_HISTORY_MAX) this.logHistory.shift()
+		this.set('/status/log_message', message)
+	}
+
+	_tickMeters() {
+		for (const path of this._meterPaths) {
+			this.set(path, Math.round((-60 + Math.random() * 50) * 10) / 10)
+		}
+	}
+}
+
+module.exports = { GalaxySimulator, MODELS, formatValue, parseValue }
+
+// ---- CLI ----
+if (require.main === module) {
+	const argv = process.argv.slice(2)
+	const arg = (name, fallback) => {
+		const i = argv.indexOf(`--${name}`)
+		return i >= 0 && argv[i + 1] !== undefined ? argv[i + 1] : fallback
+	}
+	const sim = new GalaxySimulator({ model: arg('model', '816'), meterIntervalMs: Number(arg('meters', 0)) })
+	sim
+		.listen(Number(arg('port', 25003)), arg('host', '127.0.0.1'))
+		.then((port) => console.log(`${sim.model.modelString} simulator listening on ${arg('host', '127.0.0.1')}:${port}`))
+		.catch((err) => {
+			console.error(`Simulator failed to start: ${err.message}`)
+			process.exit(1)
+		})
+}
@@ -0,0 +1,255 @@
+// state.js
+// Versioned JSON document of a Galaxy's live state, built from the module's caches
+
+const STATE_FORMAT = 'meyersound-galaxy-state'
+const STATE_VERSION = 1
+
+// Cache properties of the module instance (or device context) written to the document's "caches"
+const STATE_CACHES = [
+	'inputMode',
+	'inputName',
+	'outputName',
+	'inMute',
+	'outMute',
+	'inputGain',
+	'outputGain',
+	'inputDelay',
+	'outputDelay',
+	'outputPolarity',
+	'outputHighpass',
+	'outputLowpass',
+	'outputAllpass',
+	'outputAtmospheric',
+	'inputUShaping',
+	'inputEQ',
+	'outputUShaping',
+	'outputEQ',
+	'matrixGain',
+	'matrixDelay',
+	'inputLinkGroupBypass',
+	'outputLinkGroupBypass',
+	'inputLinkGroupAssign',
+	'outputLinkGroupAssign',
+	'snapshotValues',
+	'entityValues',
+	'clockAesValues',
+	'clockInputValues',
+	'clockSystemValues',
+	'wordClockValues',
+	'displayPrefs',
+	'miscValues',
+	'beamControlStatus',
+	'accessPrivilege',
+]
+
+// Parameters an import can apply, by section
+const STATE_SECTIONS = [
+	{ id: 'gains', label: 'Gains', match: /^\/processing\/(input|output)\/(\d+)\/gain$/ },
+	{ id: 'eq', label: 'EQ and U-Shaping', match: /^\/processing\/(input|output)\/(\d+)\/(eq|ushaping)\// },
+	{
+		id: 'filters',
+		label: 'Filters and polarity',
+		match: /^\/processing\/(output)\/(\d+)\/(highpass|lowpass|allpass|atmospheric|polarity_reversal)\b/,
+	},
+	{ id: 'delays', label: 'Delays', match: /^\/processing\/(input|output)\/(\d+)\/delay$/ },
+	{
+		id: 'matrix',
+		label: 'Matrix',
+		match: /^\/processing\/matrix\/(\d+)\/(\d+)\/(gain|delay|delay_bypass|delay_type)$/,
+	},
+	{ id: 'names', label: 'Channel names', match: /^\/device\/(input|output)\/(\d+)\/name$/ },
+]
+
+// Pseudo-section of a diff for every parameter outside STATE_SECTIONS (mutes, link groups, snapshots...)
+const OTHER_SECTION = { id: 'other', label: 'Everything else (mutes, link groups, snapshots...)' }
+
+/**
+ * Section of a parameter path
+ * @param {string} path - Galaxy path
+ * @returns {string} STATE_SECTIONS id, or 'other'
+ */
+function stateSectionOf(path) {
+	return STATE_SECTIONS.find((section) => section.match.test(path))?.id ?? OTHER_SECTION.id
+}
+
+// Values as text from the device; numbers compare by value ('0' and '0.0' are equal)
+function sameStateValue(a, b) {
+	if (a === b) return true
+	const x = Number(a)
+	const y = Number(b)
+	return a !== '' && b !== '' && Number.isFinite(x) && Number.isFinite(y) && x === y
+}
+
+/**
+ * Build the state document of one device from its caches
+ * @param {Object} dev - Module instance or device context
+ * @param {Object} info
+ * @param {string} info.alias - Device alias (config device_alias / extra_devices)
+ * @param {string} info.moduleVersion - Version of this module
+ * @param {Date} [info.now] - Export time
+ * @returns {Object} State document
+ */
+function buildStateDocument(dev, { alias, moduleVersion, now = new Date() }) {
+	const entity = dev.entityValues || {}
+	const parameters = [...(dev._knownValues ?? new Map())].sort(([a], [b]) => a.localeCompare(b))
+	return {
+		format: STATE_FORMAT,
+		version: STATE_VERSION,
+		exported_at: now.toISOString(),
+		module_version: moduleVersion,
+		device: {
+			alias,
+			entity_name: entity.entity_name ?? '',
+			group_name: entity.group_name ?? '',
+			model: dev.miscValues?.status_model_string || dev.galaxyModel?.label || '',
+			firmware: entity.firmware_version ?? '',
+			serial: entity.serial_number ?? '',
+		},
+		layout: { inputs: dev.numInputs, outputs: dev.numOutputs, matrix_inputs: dev.matrixInputs },
+		caches: Object.fromEntries(STATE_CACHES.map((name) => [name, dev[name] ?? null])),
+		// Every value received from the device, quotes removed (status and meters excluded)
+		parameters: Object.fromEntries(parameters),
+	}
+}
+
+// JSON has no BigInt, Set or Map (access privileges, solo state)
+function jsonReplacer(_key, value) {
+	if (typeof value === 'bigint') return value.toString()
+	if (value instanceof Set) return [...value]
+	if (value instanceof Map) return Object.fromEntries(value)
+	return value
+}
+
+/**
+ * Serialize a state document
+ * @param {Object} doc - From buildStateDocument
+ * @returns {string} Indented JSON
+ */
+function serializeState(doc) {
+	return JSON.stringify(doc, jsonReplacer, '\t') + '\n'
+}
+
+/**
+ * Parse and check an exported state document
+ * @param {string} text - JSON text
+ * @returns {Object} State document
+ * @throws {Error} When the text is not a state document this module can read
+ */
+function parseStateDocument(text) {
+	let doc
+	try {
+		doc = JSON.parse(String(text ?? ''))
+	} catch (err) {
+		throw new Error(`not valid JSON (${err.message})`)
+	}
+	if (doc?.format !== STATE_FORMAT) throw new Error('not a Galaxy state document')
+	if (!(doc.version <= STATE_VERSION)) throw new Error(`document version ${doc.version} is newer than this module`)
+	if (!doc.parameters || typeof doc.parameters !== 'object') throw new Error('document has no parameters')
+	return doc
+}
+
+// Where a document came from, for logs: `alias (model, export time)`
+function describeStateDocument(doc) {
+	return `${doc.device?.alias || doc.device?.entity_name || 'unknown'} (${doc.device?.model || '?'}, ${doc.exported_at})`
+}
+
+// Whether a parameter's channel numbers exist on the connected model (input names cover every matrix input)
+function inLayout(section, m, layout) {
+	if (section.id === 'matrix') return Number(m[1]) <= layout.matrix_inputs && Number(m[2]) <= layout.outputs
+	if (m[1] === 'output') return Number(m[2]) <= layout.outputs
+	return Number(m[2]) <= (section.id === 'names' ? layout.matrix_inputs : layout.inputs)
+}
+
+// Write a value back the way the device sends it: numbers and booleans bare, text in double quotes with backslash
+// escapes
+function formatStateValue(path, value) {
+	const text = String(value)
+	if (!path.endsWith('/name') && (/^-?\d+(\.\d+)?$/.test(text) || text === 'true' || text === 'false')) return text
+	return `"${text.replace(/[\\"]/g, '\\$&')}"`
+}
+
+/**
+ * Work out the commands that bring a device to a document's values
+ * @param {Object} doc - From parseStateDocument
+ * @param {Object} opts
+ * @param {string[]} opts.sections - STATE_SECTIONS ids to apply
+ * @param {Object} opts.layout - Connected model, like a document's layout: { inputs, outputs, matrix_inputs }
+ * @param {Map<string, string>} opts.current - Current values by path (a device's _knownValues)
+ * @returns {{lines: string[], changed: Object, unchanged: number, outOfRange: number}} Commands in path order,
+ *   changed parameters per section id
+ */
+function planStateImport(doc, { sections, layout, current }) {
+	const wanted = STATE_SECTIONS.filter((section) => sections.includes(section.id))
+	const plan = { lines: [], changed: {}, unchanged: 0, outOfRange: 0 }
+	for (const section of wanted) plan.changed[section.id] = 0
+
+	for (const path of Object.keys(doc.parameters).sort()) {
+		for (const section of wanted) {
+			const m = path.match(section.match)
+			if (!m) continue
+			const value = String(doc.parameters[path])
+			if (!inLayout(section, m, layout)) plan.outOfRange++
+			else if (sameStateValue(current.get(path), value)) plan.unchanged++
+			else {
+				plan.changed[section.id]++
+				plan.lines.push(`${path}=${formatStateValue(path, value)}`)
+			}
+			break
+		}
+	}
+	return plan
+}
+
+/**
+ * Compare a device's current values with a document
+ * @param {Object} doc - From parseStateDocument
+ * @param {Object} opts
+ * @param {string[]} opts.sections - Section ids to compare (STATE_SECTIONS ids and/or 'other')
+ * @param {Map<string, string>} opts.current - Current values by path (a device's _knownValues)
+ * @returns {{expected: Map<string, string>, diffs: Array<{path, expected, actual}>, unavailable: number}}
+ *   Compared values, the differing ones in path order, and how many document parameters the device has not reported
+ */
+function diffState(doc, { sections, current }) {
+	const result = { expected: new Map(), diffs: [], unavailable: 0 }
+	for (const path of Object.keys(doc.parameters).sort()) {
+		if (!sections.includes(stateSectionOf(path))) continue
+		// Not subscribed or a channel this model lacks: nothing to compare with
+		if (!current.has(path)) {
+			result.unavailable++
+			continue
+		}
+		const expected = String(doc.parameters[path])
+		result.expected.set(path, expected)
+		if (!sameStateValue(current.get(path), expected)) result.diffs.push({ path, expected, actual: current.get(path) })
+	}
+	return result
+}
+
+/**
+ * File name for an export: one file per device and show day
+ * @param {Object} doc - From buildStateDocument
+ * @returns {string} e.g. `Main-2025-03-14.json`
+ */
+function stateFileName(doc) {
+	const name = String(doc.device.alias || doc.device.entity_name || 'galaxy').replace(/[^\w.-]+/g, '_')
+	const at = new Date(doc.exported_at)
+	const day = [at.getFullYear(), at.getMonth() + 1, at.getDate()].map((n) => String(n).padStart(2, '0')).join('-')
+	return `${name}-${day}.json`
+}
+
+module.exports = {
+	STATE_FORMAT,
+	STATE_VERSION,
+	STATE_CACHES,
+	STATE_SECTIONS,
+	OTHER_SECTION,
+	buildStateDocument,
+	parseStateDocument,
+	describeStateDocument,
+	planStateImport,
+	diffState,
+	sameStateValue,
+	formatStateValue,
+	serializeState,
+	stateFileName,
+}
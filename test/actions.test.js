@@ -0,0 +1,296 @@
+// test/actions.test.js
+// Exact command lines produced by action callbacks
+
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { createInstance, runAction, receive, dispose } = require('./fake-instance')
+
+// Let an action that is still running get as far as sending its command
+const settle = () => new Promise((resolve) => setImmediate(resolve))
+
+describe('subassist_combined', () => {
+	let inst
+	before(() => {
+		inst = createInstance()
+	})
+	after(() => dispose(inst))
+
+	it('end-fire delays each tap by a quarter wavelength in samples', async () => {
+		const sent = await runAction(inst, 'subassist_combined', { mode: 'endfire', depth: '2', t0: ['1'], t1: ['2'] })
+		// 80 Hz -> 3.125 ms per tap, rounded to 3.13 ms = 300 samples at 96 kHz
+		assert.deepEqual(sent, ['/processing/output/1/delay=0', '/processing/output/2/delay=300'])
+		assert.equal(inst.variableValues.subassist_spacing_m, '1.073')
+		assert.equal(inst.variableValues.subassist_spacing_ft, '3.52')
+	})
+
+	it('end-fire assigns and enables a link group', async () => {
+		const sent = await runAction(inst, 'subassist_combined', {
+			mode: 'endfire',
+			depth: '3',
+			freq: 60,
+			t0: ['3'],
+			t1: ['4'],
+			t2: ['5'],
+			endfire_link_group: '4',
+			endfire_link_group_enable: true,
+		})
+		assert.deepEqual(sent, [
+			'/processing/output/3/delay=0',
+			"/device/output/3/output_link_group='4'",
+			'/processing/output/4/delay=400',
+			"/device/output/4/output_link_group='4'",
+			'/processing/output/5/delay=800',
+			"/device/output/5/output_link_group='4'",
+			"/device/output_link_group/4/bypass='false'",
+		])
+	})
+})
+
+describe('line_array_design', () => {
+	let inst
+	before(() => {
+		inst = createInstance()
+	})
+	after(() => dispose(inst))
+
+	it('sets the integration type and link group per output', async () => {
+		const sent = await runAction(inst, 'line_array_design', {
+			primary_speaker: 'LEO',
+			primary_elements: 4,
+			elements_per_output: 2,
+			start_output: '3',
+			link_group: '2',
+		})
+		assert.deepEqual(sent, [
+			'/processing/output/3/delay_integration/type=3',
+			"/device/output/3/output_link_group='2'",
+			'/processing/output/4/delay_integration/type=3',
+			"/device/output/4/output_link_group='2'",
+			"/device/output_link_group/2/bypass='false'",
+		])
+	})
+
+	it('delays the primary outputs of a mixed array', async () => {
+		const sent = await runAction(inst, 'line_array_design', {
+			primary_speaker: 'LEO',
+			primary_elements: 2,
+			mixed_array: true,
+			secondary_for_LEO: 'LYON',
+			secondary_elements: 1,
+			start_output: '1',
+		})
+		// LEO + LYON: primary delayed 8.05 ms = 773 samples
+		assert.deepEqual(sent, [
+			'/processing/output/1/delay_integration/type=3',
+			'/processing/output/1/delay=773',
+			'/processing/output/2/delay_integration/type=3',
+			'/processing/output/2/delay=773',
+			'/processing/output/3/delay_integration/type=5',
+		])
+	})
+
+	it('sends the starting point with {} replaced by the output', async () => {
+		const sent = await runAction(inst, 'line_array_design', {
+			primary_speaker: 'LEO',
+			primary_elements: 1,
+			start_output: '9',
+			primary_sp_for_LEO: '1',
+		})
+		assert.equal(sent[0], '/processing/output/9/delay_integration/type=3')
+		assert.ok(sent.length > 1)
+		assert.ok(sent.slice(1).every((line) => line.startsWith('/processing/output/9/')))
+	})
+
+	it('sends nothing when the array does not fit', async () => {
+		const sent = await runAction(inst, 'line_array_design', { primary_speaker: 'LEO', primary_elements: 20 })
+		assert.deepEqual(sent, [])
+		assert.match(inst.logs.at(-1)[1], /Not enough outputs/)
+	})
+})
+
+describe('output_hf_attenuation', () => {
+	it('shades band 5 from +1/3 to -2/3 of the span', async () => {
+		const inst = createInstance()
+		const sent = await runAction(inst, 'output_hf_attenuation', { start_output: '1', total: 4, ratio: 8 })
+		const expected = []
+		for (const [ch, db] of [
+			[1, 2.7],
+			[2, 0],
+			[3, 0],
+			[4, -5.3],
+		]) {
+			expected.push(
+				`/processing/output/${ch}/ushaping/4/frequency=8000`,
+				`/processing/output/${ch}/ushaping/4/slope=1`,
+				`/processing/output/${ch}/ushaping/5/gain=${db}`,
+			)
+		}
+		assert.deepEqual(sent, expected)
+		assert.equal(inst.variableValues.output_4_ushaping_band5_gain, '-5.3')
+		await dispose(inst)
+	})
+
+	it('clamps the array to the outputs of a 408', async () => {
+		const inst = createInstance({ model: 'Galaxy 408' })
+		const sent = await runAction(inst, 'output_hf_attenuation', { start_output: '7', total: 8 })
+		// Only outputs 7-8 remain, a span of 1 box has no curve
+		assert.deepEqual(sent, [])
+		assert.match(inst.logs.at(-1)[1], /invalid span/)
+		await dispose(inst)
+	})
+})
+
+describe('snapshot_combined', () => {
+	let inst
+	before(() => {
+		inst = createInstance()
+		inst.snapshotValues.snapshot_active_id = '2'
+		inst.snapshotValues.snapshot_5_locked = 'true'
+	})
+	after(() => dispose(inst))
+
+	it('recall sums the exclusion codes', async () => {
+		assert.deepEqual(await runAction(inst, 'snapshot_combined', { operation: 'recall', snapshot_id: '3' }), [
+			':recall_snapshot 3 1',
+		])
+		const sent = await runAction(inst, 'snapshot_combined', {
+			operation: 'recall',
+			snapshot_id: '3',
+			exclude_mute: true,
+			exclude_avb: true,
+		})
+		assert.deepEqual(sent, [':recall_snapshot 3 264'])
+	})
+
+	it('create quotes name and comment', async () => {
+		const sent = await runAction(inst, 'snapshot_combined', {
+			operation: 'create',
+			snapshot_name: 'Show A',
+			snapshot_comment: 'with space',
+		})
+		assert.deepEqual(sent, [':create_snapshot "Show A" "with space"'])
+	})
+
+	it('update resolves the active snapshot and skips locked ones', async () => {
+		assert.deepEqual(
+			await runAction(inst, 'snapshot_combined', { operation: 'update', snapshot_id_update: 'active' }),
+			[':update_snapshot 2'],
+		)
+		assert.deepEqual(await runAction(inst, 'snapshot_combined', { operation: 'update', snapshot_id_update: '5' }), [])
+		assert.match(inst.logs.at(-1)[1], /locked/)
+	})
+
+	it('set_boot accepts -1 to clear the boot snapshot', async () => {
+		assert.deepEqual(await runAction(inst, 'snapshot_combined', { operation: 'set_boot', snapshot_id_boot: '-1' }), [
+			':set_boot_snapshot -1',
+		])
+	})
+
+	it('recall rejects an invalid id', async () => {
+		assert.deepEqual(await runAction(inst, 'snapshot_combined', { operation: 'recall', snapshot_id: 'abc' }), [])
+	})
+})
+
+describe('system_raw_command', () => {
+	let inst
+	before(() => {
+		inst = createInstance()
+		inst.variableValues.target = '3'
+	})
+	after(() => dispose(inst))
+
+	it('sends the command with variables substituted', async () => {
+		const sent = await runAction(inst, 'system_raw_command', {
+			command: '/processing/output/$(galaxy:target)/delay_integration/type=2',
+			wait_reply: false,
+		})
+		assert.deepEqual(sent, ['/processing/output/3/delay_integration/type=2'])
+	})
+
+	it('stores the reply in the custom variable', async () => {
+		const running = runAction(inst, 'system_raw_command', {
+			command: '/processing/output/1/beam_control_allpass/q',
+			variable: 'q_out1',
+		})
+		await settle()
+		inst._onCmdReply("/processing/output/1/beam_control_allpass/q='1.5'")
+		assert.deepEqual(await running, ['/processing/output/1/beam_control_allpass/q'])
+		assert.equal(inst.customVariables.q_out1, '1.5')
+		assert.equal(inst.variableValues.raw_last_reply, '1.5')
+	})
+
+	it('leaves the variable alone when the device rejects the command', async () => {
+		const running = runAction(inst, 'system_raw_command', { command: '/processing/nope', variable: 'q_out1' })
+		await settle()
+		inst._onCmdReply('/processing/nope #error Path not found')
+		await running
+		assert.equal(inst.customVariables.q_out1, '1.5')
+		assert.match(inst.logs.find(([, msg]) => msg.startsWith('Raw command /processing/nope'))[1], /Path not found/)
+	})
+
+	it('gives up after the timeout', async () => {
+		await runAction(inst, 'system_raw_command', { command: ':get_log_history', timeout_ms: 100 })
+		assert.equal(inst._cmdWaiters.size, 0)
+		assert.match(inst.logs.at(-1)[1], /no reply within 100 ms/)
+	})
+})
+
+describe('dry run', () => {
+	let inst
+	before(() => {
+		inst = createInstance({ realPipeline: true })
+	})
+	after(() => dispose(inst))
+
+	it('logs and counts the commands instead of sending them', async () => {
+		await inst.actionDefinitions.output_hf_attenuation.callback({
+			options: { start_output: '1', total: 4, ratio: 8, dry_run: true },
+		})
+		assert.deepEqual(inst.sent, [])
+		assert.equal(inst.variableValues.dry_run_count, 12)
+		assert.equal(inst.variableValues.dry_run_action, inst.actionDefinitions.output_hf_attenuation.name)
+		const [, message] = inst.logs.find(([, msg]) => msg.startsWith('Dry run'))
+		assert.match(message, /12 command\(s\) not sent\n\/processing\/output\/1\/ushaping\/4\/frequency=8000\n/)
+	})
+
+	it('reads the touched parameters back from the device without a sync', () => {
+		assert.ok(inst.subWrites.includes('/processing/output/4/ushaping/5/gain'))
+		assert.equal(inst._syncTotal, 0)
+		assert.equal(inst.status, null)
+	})
+
+	it('sends normally without the option', async () => {
+		await inst.actionDefinitions.output_hf_attenuation.callback({
+			options: { start_output: '1', total: 4, ratio: 8, dry_run: false },
+		})
+		assert.equal(inst.sent.length, 12)
+	})
+
+	it('captures only what the dry-run action sends while a fade and a bulk write go on', async () => {
+		const busy = createInstance({ config: { bulk_chunk_lines: 1, bulk_lines_per_s: 200 }, realPipeline: true })
+		try {
+			receive(busy, ['/processing/output/1/mute=true', '/processing/output/2/gain=0'])
+			await runAction(busy, 'scene_store', { name: 'A', scopes: ['mutes'] })
+			receive(busy, ['/processing/output/1/mute=false'])
+
+			// 3 outputs x 3 lines, one every 5 ms
+			await runAction(busy, 'output_hf_attenuation', { start_output: '1', total: 3, ratio: 8 })
+			busy._startOutputGainFade(2, -10, 100, 'linear')
+			// The recall waits on its variables while the fade steps fire
+			busy.parseVariablesInString = async (text) => {
+				await new Promise((resolve) => setTimeout(resolve, 200))
+				return text
+			}
+			await runAction(busy, 'scene_recall', { scene: 'A', dry_run: true })
+
+			assert.equal(busy.variableValues.dry_run_count, 1)
+			assert.ok(!busy.sent.includes('/processing/output/1/mute=true'))
+			assert.equal(busy.sent.filter((line) => line.startsWith('/processing/output/2/gain=')).length, 2)
+			assert.equal(busy.sent.at(-1), '/processing/output/2/gain=-10')
+			assert.equal(busy.sent.filter((line) => line.includes('/ushaping/')).length, 9)
+			assert.equal(busy._bulk, null)
+		} finally {
+			await dispose(busy)
+		}
+	})
+})
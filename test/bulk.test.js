@@ -0,0 +1,88 @@
+// test/bulk.test.js
+// Paced sending of design actions and cancelling a running job
+
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { createInstance, dispose } = require('./fake-instance')
+
+describe('bulk sender', () => {
+	let inst
+	let written
+	beforeEach(() => {
+		inst = createInstance({ config: { bulk_lines_per_s: 10, bulk_chunk_lines: 4 }, realPipeline: true })
+		written = inst.writes
+	})
+	afterEach(() => dispose(inst))
+
+	const runHfAttenuation = () =>
+		inst.actionDefinitions.output_hf_attenuation.callback({ options: { start_output: '1', total: 3, ratio: 8 } })
+
+	it('sends a design action in paced chunks with progress', async (t) => {
+		t.mock.timers.enable({ apis: ['setTimeout'] })
+		await runHfAttenuation()
+		// 3 outputs x 3 lines, 4 lines per write every 400 ms
+		assert.equal(written.length, 1)
+		assert.equal(inst.variableValues.bulk_remaining, 5)
+		assert.equal(inst.variableValues.bulk_progress, 44)
+		assert.equal(inst.feedbackDefinitions.bulk_write_running.callback({ options: {} }), true)
+
+		t.mock.timers.tick(400)
+		assert.equal(written.length, 2)
+		t.mock.timers.tick(400)
+		assert.deepEqual(written[2], ['/processing/output/3/ushaping/5/gain=0'])
+		assert.equal(inst.variableValues.bulk_progress, 100)
+		assert.equal(inst.variableValues.bulk_remaining, 0)
+		assert.equal(inst.feedbackDefinitions.bulk_write_running.callback({ options: {} }), false)
+	})
+
+	it('waits while the Galaxy is offline', async (t) => {
+		t.mock.timers.enable({ apis: ['setTimeout'] })
+		await runHfAttenuation()
+		inst._subConnected = false
+		t.mock.timers.tick(1000)
+		assert.equal(written.length, 1)
+		assert.equal(inst._offlineQueue.length, 0)
+		inst._subConnected = true
+		t.mock.timers.tick(400)
+		assert.equal(written.length, 2)
+	})
+
+	it('cancels and reads back what was not sent', async (t) => {
+		t.mock.timers.enable({ apis: ['setTimeout'] })
+		await runHfAttenuation()
+		await inst.actionDefinitions.system_bulk_cancel.callback({ options: {} })
+		t.mock.timers.tick(1000)
+		assert.equal(written.length, 1)
+		assert.equal(inst._bulk, null)
+		assert.match(inst.logs.at(-1)[1], /cancelled: 5 of 9 commands not sent/)
+		assert.ok(inst.subWrites.includes('/processing/output/3/ushaping/5/gain'))
+	})
+
+	it('holds back only the lines of an additional Galaxy that is offline', async (t) => {
+		t.mock.timers.enable({ apis: ['setTimeout'] })
+		const multi = createInstance({
+			config: { bulk_lines_per_s: 10, bulk_chunk_lines: 4 },
+			realPipeline: true,
+			devices: ['Subs'],
+		})
+		try {
+			const subs = multi._devices[0]
+			subs._subConnected = false
+			await multi.actionDefinitions.output_hf_attenuation.callback({
+				options: { devices: ['subs', 'primary'], start_output: '1', total: 3, ratio: 8 },
+			})
+			for (let ms = 0; ms < 2000; ms += 400) t.mock.timers.tick(400)
+			assert.equal(multi.writes.flat().length, 9)
+			assert.equal(subs.writes.length, 0)
+			assert.equal(subs._offlineQueue.length, 0)
+			assert.equal(multi.variableValues.bulk_remaining, 9)
+
+			subs._subConnected = true
+			for (let ms = 0; ms < 1200; ms += 400) t.mock.timers.tick(400)
+			assert.equal(subs.writes.flat().length, 9)
+			assert.equal(multi._bulk, null)
+		} finally {
+			await dispose(multi)
+		}
+	})
+})
@@ -0,0 +1,51 @@
+// test/commands.test.js
+// Acknowledged command channel: resends of unconfirmed commands
+
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { createInstance, receive, dispose } = require('./fake-instance')
+
+describe('command confirmation', () => {
+	let inst
+	beforeEach((t) => {
+		t.mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'] })
+		inst = createInstance({ config: { offline_policy_processing: 'queue' }, realPipeline: true })
+	})
+	afterEach(() => dispose(inst))
+
+	it('resends an unconfirmed command on its own', (t) => {
+		inst._cmdSendLine('/processing/output/1/gain=-6')
+		t.mock.timers.tick(1750)
+		assert.deepEqual(inst.writes, [['/processing/output/1/gain=-6'], ['/processing/output/1/gain=-6']])
+
+		receive(inst, ['/processing/output/1/gain=-6'])
+		t.mock.timers.tick(5000)
+		assert.equal(inst.writes.length, 2)
+		assert.equal(inst._cmdPending.size, 0)
+	})
+
+	it('sends resends through the monitor-only filter and the offline policy', (t) => {
+		inst._cmdSendBatch(['/processing/output/1/gain=-6', '/processing/output/2/gain=-6'])
+		inst._subConnected = false
+		t.mock.timers.tick(1750)
+		assert.equal(inst.writes.length, 1)
+		assert.deepEqual(
+			inst._offlineQueue.map((entry) => entry.line),
+			['/processing/output/1/gain=-6', '/processing/output/2/gain=-6'],
+		)
+
+		inst._subConnected = true
+		inst.config = { ...inst.config, read_only: true }
+		t.mock.timers.tick(1750)
+		assert.equal(inst.writes.length, 1)
+		assert.match(inst.logs.at(-1)[1], /^Monitor-only mode, not sent/)
+	})
+
+	it('stops waiting for confirmations once the Galaxy is offline', (t) => {
+		inst._cmdSendLine('/processing/output/1/gain=-6')
+		inst._cmdDropPending()
+		t.mock.timers.tick(5000)
+		assert.equal(inst.writes.length, 1)
+		assert.equal(inst.variableValues.cmd_failed_count ?? 0, 0)
+	})
+})
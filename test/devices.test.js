@@ -0,0 +1,68 @@
+// test/devices.test.js
+// Additional Galaxies (config "extra_devices"): own caches, prefixed variables and a "Device" option on feedbacks
+
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { createInstance, runAction, receive, dispose } = require('./fake-instance')
+
+describe('additional devices', () => {
+	let inst
+	let subs
+	beforeEach(() => {
+		inst = createInstance({ devices: ['Subs'] })
+		subs = inst._devices[0]
+	})
+	afterEach(() => dispose(inst))
+
+	it('publishes the variables of an additional device with its prefix', () => {
+		receive(subs, ['/processing/output/1/gain=-4', '/device/output/1/name="Sub L"'])
+		assert.equal(inst.variableValues.device_subs_output_1_gain_db, '-4.0')
+		assert.equal(inst.variableValues.device_subs_output_1_name, 'Sub L')
+		assert.equal(inst.variableValues.output_1_gain_db, undefined)
+
+		const defs = new Map(inst.variableDefinitions.map((def) => [def.variableId, def.name]))
+		assert.equal(defs.get('device_subs_output_1_gain_db'), 'Subs: Output 1 gain (dB)')
+		assert.ok(defs.has('device_subs_cmd_failed_count'))
+		assert.ok(!defs.has('device_subs_undo_depth'))
+		assert.ok(!defs.has('device_subs_scene_count'))
+	})
+
+	it('reports the connection status of an additional device without touching the instance status', () => {
+		subs.updateStatus('connecting', 'Syncing 50%')
+		assert.equal(inst.variableValues.device_subs_status, 'Syncing 50%')
+		assert.equal(inst.status, null)
+	})
+
+	it('answers feedbacks for the selected device', () => {
+		receive(subs, ['/processing/output/2/mute=true'])
+		const muted = inst.feedbackDefinitions.output_muted
+		assert.equal(muted.options[0].id, 'device')
+		assert.equal(muted.callback({ options: { device: 'subs', ch: '2' } }), true)
+		assert.equal(muted.callback({ options: { device: 'primary', ch: '2' } }), false)
+		assert.equal(inst.feedbackDefinitions.bulk_write_running.options.length, 0)
+	})
+
+	it('sends actions to the selected device only', async () => {
+		await runAction(inst, 'output_mute_control', { devices: ['subs'], chs: ['1'], operation: 'on' })
+		assert.deepEqual(inst.sent, [])
+		assert.ok(subs.sent.includes('/processing/output/1/mute=true'))
+	})
+
+	it('keeps device errors per device', async () => {
+		const real = createInstance({ devices: ['Subs'], realPipeline: true })
+		try {
+			const dev = real._devices[0]
+			await runAction(real, 'output_mute_control', { devices: ['subs'], chs: ['1'], operation: 'on' })
+			receive(dev, ['#error /processing/output/1/mute invalid value'])
+			assert.match(real.variableValues.device_subs_last_error, /^Outputs: Mute: invalid value/)
+			assert.equal(real.variableValues.device_subs_error_count, 1)
+			assert.ok(!real.variableValues.last_error)
+
+			const deviceError = real.feedbackDefinitions.device_error
+			assert.equal(deviceError.callback({ options: { device: 'subs' } }), true)
+			assert.equal(deviceError.callback({ options: { device: 'primary' } }), false)
+		} finally {
+			await dispose(real)
+		}
+	})
+})
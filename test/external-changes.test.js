@@ -0,0 +1,81 @@
+// test/external-changes.test.js
+// Values changed outside Companion (Compass, front panel) vs. echoes of Companion's own commands
+
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { createInstance, receive, dispose } = require('./fake-instance')
+
+describe('external change detection', () => {
+	let inst
+	beforeEach(() => {
+		inst = createInstance({ realPipeline: true })
+		receive(inst, ['/processing/input/1/gain=0', '/processing/output/2/gain=0', "/device/input/1/name='Vox'"])
+	})
+	afterEach(() => dispose(inst))
+
+	it('does not count the first value of a path', () => {
+		assert.equal(inst._externalChanges.count, 0)
+	})
+
+	it('flags a changed value Companion did not send', () => {
+		receive(inst, ["/device/input/1/name='Vocal'"])
+		assert.equal(inst._externalChanges.count, 1)
+		assert.equal(inst.variableValues.external_change_path, '/device/input/1/name')
+		assert.equal(inst.variableValues.external_change_old, 'Vox')
+		assert.equal(inst.variableValues.external_change_new, 'Vocal')
+		assert.equal(inst.feedbackDefinitions.external_change.callback({ options: {} }), true)
+	})
+
+	it('ignores echoes of Companion writes, including channels in the same link group', () => {
+		receive(inst, [
+			'/device/input/1/input_link_group=2',
+			'/device/input/2/input_link_group=2',
+			'/processing/input/2/gain=0',
+			'/processing/input/3/gain=0',
+		])
+		inst._cmdSendLine('/processing/input/1/gain=-6')
+		receive(inst, ['/processing/input/1/gain=-6', '/processing/input/2/gain=-6'])
+		assert.equal(inst._externalChanges.count, 0)
+		receive(inst, ['/processing/input/3/gain=-6'])
+		assert.equal(inst._externalChanges.count, 1)
+		assert.equal(inst.variableValues.external_change_path, '/processing/input/3/gain')
+	})
+
+	it('still flags the same parameter on other channels while Companion writes one', () => {
+		inst._cmdSendLine('/processing/output/1/gain=-6')
+		receive(inst, ['/processing/output/2/gain=-3'])
+		assert.equal(inst._externalChanges.count, 1)
+	})
+
+	it('does not treat channels of a bypassed link group as linked', () => {
+		receive(inst, [
+			'/device/input/1/input_link_group=2',
+			'/device/input/2/input_link_group=2',
+			'/device/input_link_group/2/bypass=true',
+			'/processing/input/2/gain=0',
+		])
+		inst._cmdSendLine('/processing/input/1/gain=-6')
+		receive(inst, ['/processing/input/2/gain=-6'])
+		assert.equal(inst._externalChanges.count, 1)
+	})
+
+	it('ignores what a snapshot recall from Companion changes', () => {
+		inst._cmdSendLine(':recall_snapshot 2 1')
+		receive(inst, ['/processing/output/2/gain=-10', "/device/input/1/name='Lead'"])
+		assert.equal(inst._externalChanges.count, 0)
+	})
+
+	it('ignores meters and other status values', () => {
+		receive(inst, ['/status/meter/input/1=-20', '/status/meter/input/1=-10'])
+		assert.equal(inst._externalChanges.count, 0)
+	})
+
+	it('counts again from the reference point', () => {
+		receive(inst, ['/processing/output/2/gain=-1'])
+		assert.equal(inst._externalChanges.count, 1)
+		inst._markExternalReference()
+		assert.equal(inst.variableValues.external_change_count, 0)
+		assert.equal(inst.feedbackDefinitions.external_change.callback({ options: {} }), false)
+		assert.equal(inst.variableValues.external_change_path, '/processing/output/2/gain')
+	})
+})
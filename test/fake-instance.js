@@ -0,0 +1,188 @@
+// test/fake-instance.js
+// Loads main.js against a recording InstanceBase so actions and parsers can be tested without Companion or a device.
+
+const path = require('path')
+
+const basePath = require.resolve('@companion-module/base')
+const realBase = require('@companion-module/base')
+let ModuleInstance = null
+
+class FakeInstanceBase {
+	constructor() {
+		this.logs = [] // [level, message]
+		this.status = null // [status, message]
+		this.variableValues = {} // latest value per variable id
+		this.variableCalls = [] // every object passed to setVariableValues
+		this.variableDefinitions = []
+		this.actionDefinitions = {}
+		this.feedbackDefinitions = {}
+		this.presetDefinitions = {}
+		this.checkedFeedbacks = []
+		this.customVariables = {} // set through the action context
+	}
+	log(level, message) {
+		this.logs.push([level, message])
+	}
+	updateStatus(status, message) {
+		this.status = [status, message]
+	}
+	setVariableValues(values) {
+		this.variableCalls.push(values)
+		Object.assign(this.variableValues, values)
+	}
+	setVariableDefinitions(defs) {
+		this.variableDefinitions = defs
+	}
+	setActionDefinitions(defs) {
+		this.actionDefinitions = defs
+	}
+	setFeedbackDefinitions(defs) {
+		this.feedbackDefinitions = defs
+	}
+	setPresetDefinitions(defs) {
+		this.presetDefinitions = defs
+	}
+	checkFeedbacks(...ids) {
+		this.checkedFeedbacks.push(...ids)
+	}
+	getVariableValue(id) {
+		return this.variableValues[id]
+	}
+	async parseVariablesInString(text) {
+		return String(text).replace(/\$\([^:)]+:([^)]+)\)/g, (_, id) => this.variableValues[id] ?? '')
+	}
+	saveConfig(config) {
+		this.config = config
+	}
+}
+
+require.cache[basePath] = {
+	id: basePath,
+	filename: basePath,
+	loaded: true,
+	exports: {
+		...realBase,
+		InstanceBase: FakeInstanceBase,
+		runEntrypoint: (cls) => {
+			ModuleInstance = cls
+		},
+	},
+}
+require(path.join(__dirname, '..', 'main.js'))
+
+/**
+ * Create a module instance with its definitions built and no sockets.
+ * By default lines written through _cmdSendLine/_cmdSendBatch are collected in `instance.sent` instead of being sent.
+ * With `realPipeline` they go through the real send path (monitor-only and dry-run filters, bulk sender, offline
+ * hold, command queue) into a fake command socket: `instance.sent` then holds every line written to it and
+ * `instance.writes` the lines of each write; `instance.subWrites` holds the lines written to the subscription socket.
+ * @param {Object} [opts]
+ * @param {string} [opts.model] - Model string applied before the definitions are built (e.g. 'Galaxy 408')
+ * @param {Object} [opts.config] - Instance config
+ * @param {boolean} [opts.realPipeline] - Send through the real pipeline into a fake socket
+ * @param {boolean} [opts.connected] - With realPipeline: whether the Galaxy counts as connected (default true)
+ * @param {string[]} [opts.devices] - Aliases of additional devices (ids are the lower-cased aliases), each with its
+ *   own `sent` / `writes` like the instance
+ * @returns {Object} Module instance
+ */
+function createInstance({ model, config = {}, realPipeline = false, connected = true, devices = [] } = {}) {
+	const instance = new ModuleInstance({})
+	instance.config = config
+	instance._loadWatchedPaths()
+	for (const alias of devices) {
+		const dev = instance._createDeviceContext({ id: alias.toLowerCase(), alias, host: '127.0.0.1', port: 25003 })
+		instance._devices.push(dev)
+	}
+	for (const ctx of [instance, ...instance._devices]) {
+		recordSends(ctx, realPipeline, connected)
+		// Pretend the model (and subscriptions) are already settled so no socket is opened
+		ctx._subscribedAll = true
+	}
+	if (model) instance._applyModelString(model)
+	instance.updateActions()
+	instance.updateFeedbacks()
+	instance.updateVariableDefinitions()
+	return instance
+}
+
+function recordSends(ctx, realPipeline, connected) {
+	ctx.sent = []
+	ctx.writes = []
+	ctx.subWrites = []
+	if (realPipeline) {
+		ctx._subConnected = connected
+		ctx.cmdSock = fakeSocket(ctx)
+		ctx.subSock = {
+			write: (data) => {
+				ctx.subWrites.push(...String(data).trim().split(/\r?\n/))
+			},
+			destroy() {},
+		}
+	} else {
+		ctx._cmdSendLine = (line) => {
+			ctx.sent.push(line)
+			return true
+		}
+		ctx._cmdSendBatch = (lines) => {
+			if (lines?.length) ctx.sent.push(...lines)
+		}
+	}
+}
+
+// Command socket that records what the module writes to it
+function fakeSocket(instance) {
+	return {
+		write: (data) => {
+			const lines = String(data).trim().split(/\r?\n/)
+			instance.writes.push(lines)
+			instance.sent.push(...lines)
+		},
+		destroy() {},
+	}
+}
+
+/**
+ * Run an action callback with its option defaults filled in, like Companion does for a new action.
+ * @param {Object} instance - From createInstance
+ * @param {string} actionId - Action definition id
+ * @param {Object} [options] - Option values overriding the defaults
+ * @returns {Promise<string[]>} Lines the action sent
+ */
+async function runAction(instance, actionId, options = {}) {
+	const def = instance.actionDefinitions[actionId]
+	if (!def) throw new Error(`Unknown action "${actionId}"`)
+	const defaults = {}
+	for (const opt of def.options ?? []) {
+		if (opt.id && 'default' in opt) defaults[opt.id] = opt.default
+	}
+	const before = instance.sent.length
+	const context = {
+		parseVariablesInString: (text) => instance.parseVariablesInString(text),
+		setCustomVariableValue: (name, value) => {
+			instance.customVariables[name] = value
+		},
+	}
+	await def.callback({ id: 'test', actionId, controlId: 'test', options: { ...defaults, ...options } }, context)
+	return instance.sent.slice(before)
+}
+
+/**
+ * Feed device lines through the subscription handler.
+ * @param {Object} instance - From createInstance
+ * @param {string[]} lines - Raw lines as received from the device
+ */
+function receive(instance, lines) {
+	for (const line of lines) instance._onSubLine(line)
+}
+
+/**
+ * Stop every timer the instance may have started.
+ * @param {Object} instance - From createInstance
+ */
+async function dispose(instance) {
+	await instance.destroy()
+	clearTimeout(instance._presetsRefreshTimer)
+	clearTimeout(instance._cmdStatsTimer)
+}
+
+module.exports = { createInstance, runAction, receive, dispose }
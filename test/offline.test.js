@@ -0,0 +1,87 @@
+// test/offline.test.js
+// Offline policy for commands sent while the Galaxy is disconnected
+
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const net = require('net')
+const { createInstance, dispose } = require('./fake-instance')
+
+describe('offline queue', () => {
+	let inst
+	beforeEach(() => {
+		inst = createInstance({
+			config: { offline_policy_processing: 'queue', offline_queue_expiry_s: 5 },
+			realPipeline: true,
+			connected: false,
+		})
+	})
+	afterEach(() => dispose(inst))
+
+	it('keeps only the latest value per path for levels', () => {
+		inst._cmdSendLine('/processing/input/1/gain=-10')
+		inst._cmdSendLine("/processing/input/2/mute='true'")
+		inst._cmdSendLine('/processing/input/1/gain=-3')
+		assert.deepEqual(
+			inst._offlineQueue.map((entry) => entry.line),
+			["/processing/input/2/mute='true'", '/processing/input/1/gain=-3'],
+		)
+		assert.equal(inst.variableValues.offline_pending_count, 2)
+		assert.equal(inst.feedbackDefinitions.offline_pending_changes.callback({ options: {} }), true)
+	})
+
+	it('drops snapshot commands by default', () => {
+		inst._cmdSendBatch([':recall_snapshot 3 1', ':set_boot_snapshot 2'])
+		assert.equal(inst._offlineQueue.length, 0)
+		assert.match(inst.logs.at(-1)[1], /dropped: :set_boot_snapshot 2/)
+	})
+
+	it('expires queued changes', (t) => {
+		t.mock.timers.enable({ apis: ['setInterval', 'Date'] })
+		inst._cmdSendLine('/processing/output/1/delay=96')
+		inst._cmdSendLine('/processing/output/1/delay=192')
+		assert.equal(inst._offlineQueue.length, 2)
+		t.mock.timers.tick(6000)
+		assert.equal(inst._offlineQueue.length, 0)
+		assert.equal(inst.variableValues.offline_pending, '')
+		assert.equal(inst._offlineTimer, null)
+	})
+
+	it('sends what is still queued once the Galaxy is back', () => {
+		inst._cmdSendLine('/processing/output/1/delay=96')
+		inst._cmdSendLine("/processing/output/2/mute='false'")
+		inst._subConnected = true
+		inst._offlineFlush()
+		assert.deepEqual(inst.sent, ['/processing/output/1/delay=96', "/processing/output/2/mute='false'"])
+		assert.equal(inst.variableValues.offline_pending_count, 0)
+
+		inst._cmdSendLine('/processing/output/3/delay=0')
+		assert.equal(inst._offlineQueue.length, 0)
+		assert.equal(inst.sent.at(-1), '/processing/output/3/delay=0')
+	})
+
+	it('keeps the queue across a reconnect to the primary and sends it once connected', async () => {
+		// Stands in for the Galaxy: records every line written on any connection
+		let received = ''
+		const server = net.createServer((sock) => sock.on('data', (data) => (received += data)))
+		await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+		const galaxy = createInstance({
+			config: { host: '127.0.0.1', port: server.address().port, offline_policy_processing: 'queue' },
+			realPipeline: true,
+			connected: false,
+		})
+		try {
+			galaxy._cmdSendLine('/processing/output/1/delay=96')
+			galaxy._reconnectPrimary()
+			assert.equal(galaxy._offlineQueue.length, 1)
+
+			for (let i = 0; i < 100 && !received.includes('/processing/output/1/delay=96'); i++) {
+				await new Promise((resolve) => setTimeout(resolve, 20))
+			}
+			assert.ok(received.includes('/processing/output/1/delay=96'))
+			assert.equal(galaxy._offlineQueue.length, 0)
+		} finally {
+			await dispose(galaxy)
+			server.close()
+		}
+	})
+})
@@ -0,0 +1,177 @@
+// test/parsers.test.js
+// _parse* methods and the variables produced by subscription lines
+
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { createInstance, receive, dispose } = require('./fake-instance')
+
+// Variables set while the given lines are received
+function variablesFor(instance, lines) {
+	const start = instance.variableCalls.length
+	receive(instance, lines)
+	return Object.assign({}, ...instance.variableCalls.slice(start))
+}
+
+describe('_parse* methods', () => {
+	let inst
+	before(() => {
+		inst = createInstance()
+	})
+	after(() => dispose(inst))
+
+	it('extracts right-hand values, stripping quotes', () => {
+		assert.equal(inst._extractRightHandValue("/device/input/1/name='Kick In'"), 'Kick In')
+		assert.equal(inst._extractRightHandValue('/processing/input/1/gain=-3.5'), '-3.5')
+		assert.equal(inst._extractRightHandValue('/processing/input/1/gain'), null)
+		assert.equal(inst._extractRightHandBool("/processing/input/1/mute='on'"), true)
+		assert.equal(inst._extractRightHandBool('/processing/input/1/mute=0'), false)
+		assert.equal(inst._extractRightHandBool("/processing/input/1/mute='maybe'"), null)
+	})
+
+	it('parses mutes in the formats the device uses', () => {
+		assert.deepEqual(inst._parseAnyMuteLoose("/processing/input/2/mute='true'"), { kind: 'input', ch: 2, value: true })
+		assert.deepEqual(inst._parseAnyMuteLoose('/processing/output/16/mute=0'), { kind: 'output', ch: 16, value: false })
+		assert.equal(inst._parseAnyMuteLoose("/processing/input/9/mute='true'"), undefined)
+		assert.equal(inst._parseAnyMuteLoose("/processing/output/17/mute='true'"), undefined)
+	})
+
+	it('parses gains and rejects out-of-range channels or non-numeric values', () => {
+		assert.deepEqual(inst._parseInputGain('/processing/input/3/gain=-6.5'), { ch: 3, value: -6.5 })
+		assert.deepEqual(inst._parseOutputGain('/processing/output/12/gain=4'), { ch: 12, value: 4 })
+		assert.equal(inst._parseInputGain('/processing/input/0/gain=1'), undefined)
+		assert.equal(inst._parseOutputGain("/processing/output/1/gain='loud'"), undefined)
+	})
+
+	it('parses matrix crosspoints', () => {
+		assert.deepEqual(inst._parseMatrixGain('/processing/matrix/2/5/gain=-3.5'), { mi: 2, mo: 5, value: -3.5 })
+		assert.equal(inst._parseMatrixGain('/processing/matrix/33/1/gain=0'), undefined)
+	})
+
+	it('parses snapshot fields for stored and active snapshots', () => {
+		assert.deepEqual(inst._parseSnapshotValue("/project/snapshot/4/name='Show'"), {
+			varId: 'snapshot_4_name',
+			value: 'Show',
+		})
+		assert.deepEqual(inst._parseSnapshotValue('/project/snapshot/active/id=4'), {
+			varId: 'snapshot_active_id',
+			value: '4',
+		})
+		assert.equal(inst._parseSnapshotValue("/project/snapshot/4/colour='red'"), undefined)
+		assert.equal(inst._parseBootSnapshotId('/project/boot_snapshot_id=2'), '2')
+	})
+
+	it('parses device errors on paths and colon commands', () => {
+		assert.deepEqual(inst._parseDeviceError('/processing/input/9/gain=3 #error Path not found'), {
+			path: '/processing/input/9/gain',
+			message: 'Path not found',
+		})
+		assert.deepEqual(inst._parseDeviceError(":recall_snapshot 99 1 #error 'Invalid snapshot'"), {
+			path: ':recall_snapshot',
+			message: 'Invalid snapshot',
+		})
+		assert.equal(inst._parseDeviceError('/processing/input/1/gain=3'), null)
+	})
+})
+
+describe('subscription lines -> variables', () => {
+	let inst
+	before(() => {
+		inst = createInstance()
+	})
+	after(() => dispose(inst))
+
+	const cases = [
+		["/processing/input/2/mute='true'", { input_2_mute: 'true' }],
+		['/processing/input/3/gain=-6.5', { input_3_gain_db: '-6.5' }],
+		["/processing/output/5/mute='false'", { output_5_mute: 'false' }],
+		['/processing/output/4/gain=-12', { output_4_gain_db: '-12.0' }],
+		['/processing/output/1/delay=960', { output_1_delay_ms: '10' }],
+		['/processing/output/6/polarity_reversal=true', { output_6_polarity: 'Reverse' }],
+		['/processing/output/2/highpass/frequency=80', { output_2_highpass_frequency: '80' }],
+		['/processing/output/3/eq/2/gain=4.5', { output_3_eq_band2_gain: '4.5' }],
+		[
+			'/processing/matrix/2/5/gain=-3.5',
+			{
+				matrix_2_5_gain_db: '-3.5',
+				matrix_output_5_routes: 'In 2 @ -3.5 dB',
+				matrix_input_2_routes: 'Out 5 @ -3.5 dB',
+			},
+		],
+		["/device/input/1/name='Vocal'", { input_1_name: 'Vocal' }],
+		["/device/output/7/output_link_group='3'", { output_7_link_group: 'Group 3' }],
+		["/project/snapshot/4/name='Show'", { snapshot_4_name: 'Show' }],
+		['/project/snapshot/active/id=4', { snapshot_active_id: '4' }],
+		['/project/boot_snapshot_id=2', { snapshot_boot_id: '2' }],
+		["/entity/entity_name='Mains'", { entity_name: 'Mains' }],
+		['/status/clock/system/source=1', { clock_system_source: '1' }],
+	]
+	for (const [line, expected] of cases) {
+		it(line, () => {
+			assert.deepEqual(variablesFor(inst, [line]), expected)
+		})
+	}
+
+	it('batches meter values into one update', async () => {
+		receive(inst, ['/status/meter/input/1=-20.5', '/status/meter/output/3=-40'])
+		await new Promise((resolve) => setTimeout(resolve, 150))
+		assert.equal(inst.variableValues.input_1_meter_dbfs, '-20.5')
+		assert.equal(inst.variableValues.output_3_meter_dbfs, '-40.0')
+	})
+
+	it('ignores error replies instead of applying them as values', () => {
+		assert.deepEqual(variablesFor(inst, ["/device/input/1/name='X' #error Read only"]), {})
+		assert.equal(inst.variableValues.input_1_name, 'Vocal')
+	})
+})
+
+describe('model detection', () => {
+	it('resizes the channel layout from the model string', async () => {
+		const inst = createInstance()
+		assert.equal(inst.numOutputs, 16)
+		receive(inst, ["/status/model_string='Galaxy 408'"])
+		assert.equal(inst.numInputs, 4)
+		assert.equal(inst.numOutputs, 8)
+		assert.equal(inst.variableValues.status_model_string, 'Galaxy 408')
+		assert.equal(inst._parseOutputGain('/processing/output/9/gain=0'), undefined)
+		await dispose(inst)
+	})
+})
+
+describe('watched paths', () => {
+	let inst
+	before(() => {
+		inst = createInstance({
+			config: { watched_paths: 'dist3=/processing/output/3/atmospheric/distance, /device/sim/probe/1/point; bad path' },
+		})
+	})
+	after(() => dispose(inst))
+
+	it('subscribes to each valid path and defines a variable for it', () => {
+		assert.deepEqual(inst._subscriptionPaths('watched'), [
+			'/processing/output/3/atmospheric/distance',
+			'/device/sim/probe/1/point',
+		])
+		const ids = inst.variableDefinitions.map((def) => def.variableId)
+		assert.ok(ids.includes('watch_dist3'))
+		assert.ok(ids.includes('watch_device_sim_probe_1_point'))
+	})
+
+	it('publishes received values', () => {
+		assert.deepEqual(variablesFor(inst, ["/device/sim/probe/1/point='Mains L'"]), {
+			watch_device_sim_probe_1_point: 'Mains L',
+		})
+		variablesFor(inst, ['/processing/output/3/atmospheric/distance=40'])
+		assert.equal(inst.variableValues.watch_dist3, '40')
+	})
+
+	it('compares values in the watched_path_compare feedback', () => {
+		const fb = inst.feedbackDefinitions.watched_path_compare
+		const check = (path, cmp, value) => fb.callback({ options: { path, cmp, value } })
+		assert.equal(check('/processing/output/3/atmospheric/distance', 'eq', '40.0'), true)
+		assert.equal(check('/processing/output/3/atmospheric/distance', 'gt', '30'), true)
+		assert.equal(check('/processing/output/3/atmospheric/distance', 'lt', '30'), false)
+		assert.equal(check('/device/sim/probe/1/point', 'contains', 'mains'), true)
+		assert.equal(check('/device/sim/probe/1/point', 'gt', '1'), false)
+		assert.equal(check('/device/sim/probe/2/point', 'eq', ''), false)
+	})
+})
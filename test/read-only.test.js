@@ -0,0 +1,83 @@
+// test/read-only.test.js
+// Monitor-only mode: writes are refused, GETs and UI-only actions still work
+
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { createInstance, runAction, receive, dispose } = require('./fake-instance')
+const { STATE_FORMAT, STATE_VERSION } = require('../state')
+
+describe('monitor-only mode', () => {
+	let inst
+	beforeEach(() => {
+		inst = createInstance({ config: { read_only: true } })
+	})
+	afterEach(() => dispose(inst))
+
+	it('refuses write actions without touching the caches', async () => {
+		inst.inMute[1] = false
+		const sent = await runAction(inst, 'input_mute_control', { chs: ['1'], operation: 'on' })
+		assert.deepEqual(sent, [])
+		assert.equal(inst.inMute[1], false)
+		assert.match(inst.logs.at(-1)[1], /^Monitor-only mode: ".+" not run$/)
+	})
+
+	it('still runs knob selection actions', async () => {
+		await runAction(inst, 'output_eq_select_output', { chs: ['3'] })
+		assert.equal(inst.variableValues.eq_selected_output_num, '3')
+	})
+
+	it('sends GETs but not writes from the command pipeline', async () => {
+		const real = createInstance({ config: { read_only: true }, realPipeline: true })
+		try {
+			real._cmdSendBatch(['/processing/output/1/delay', '/processing/output/1/delay=96', ':get_log_history', ':reboot'])
+			real._cmdSendLine(':recall_snapshot 2 1')
+			assert.deepEqual(real.sent, ['/processing/output/1/delay', ':get_log_history'])
+			assert.match(real.logs.at(-2)[1], /not sent: \/processing\/output\/1\/delay=96, :reboot$/)
+			assert.match(real.logs.at(-1)[1], /not sent: :recall_snapshot 2 1$/)
+		} finally {
+			await dispose(real)
+		}
+	})
+
+	it('does not wait for the reply to a raw write it refused', async () => {
+		const real = createInstance({ config: { read_only: true }, realPipeline: true })
+		try {
+			const started = Date.now()
+			await runAction(real, 'system_raw_command', { command: '/processing/output/1/delay=96', variable: 'reply' })
+			assert.ok(Date.now() - started < 1000)
+			assert.equal(real._cmdWaiters.size, 0)
+			assert.equal(real.customVariables.reply, undefined)
+			assert.match(real.logs.at(-1)[1], /^Monitor-only mode, not sent/)
+		} finally {
+			await dispose(real)
+		}
+	})
+
+	it('previews a state import but does not apply it', async () => {
+		const text = JSON.stringify({
+			format: STATE_FORMAT,
+			version: STATE_VERSION,
+			exported_at: '2025-03-14T18:00:00.000Z',
+			device: { alias: 'Rig A', model: 'Galaxy 816' },
+			parameters: { '/processing/input/1/gain': '-6.5', '/processing/input/2/gain': '0' },
+		})
+		receive(inst, ['/processing/input/2/gain=0'])
+		assert.deepEqual(await runAction(inst, 'system_state_import', { source: 'text', text }), [])
+		assert.equal(inst.variableValues.state_import_changes, 1)
+
+		const sent = await runAction(inst, 'system_state_import', { mode: 'apply', source: 'text', text })
+		assert.deepEqual(sent, [])
+		assert.match(inst.logs.at(-1)[1], /^Monitor-only mode: ".+" not applied$/)
+	})
+
+	it('generates presets without write actions', () => {
+		inst.updatePresets()
+		const actionIds = inst.presetDefinitions
+			.flatMap((preset) => preset.steps ?? [])
+			.flatMap((step) => Object.values(step).flat())
+			.map((action) => action.actionId)
+		assert.ok(actionIds.length > 0)
+		assert.ok(actionIds.every((id) => /_select_|_coarse_mode$|^system_log_history$/.test(id)))
+		assert.ok(inst.presetDefinitions.some((preset) => preset.feedbacks?.length > 0))
+	})
+})
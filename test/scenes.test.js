@@ -0,0 +1,86 @@
+// test/scenes.test.js
+// Module-side partial scenes: store from the caches, recall as command batches, persistence in the config
+
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { createInstance, runAction, receive, dispose } = require('./fake-instance')
+
+describe('scenes', () => {
+	let inst
+	beforeEach(() => {
+		inst = createInstance()
+		receive(inst, [
+			'/processing/input/1/gain=-6',
+			'/processing/output/2/gain=-3',
+			'/processing/output/2/mute=true',
+			'/processing/matrix/1/2/gain=0',
+			'/processing/output/1/delay=96',
+		])
+	})
+	afterEach(() => dispose(inst))
+
+	it('stores the chosen scopes in the config', async () => {
+		await runAction(inst, 'scene_store', { name: 'Speech', scopes: ['outputs', 'mutes'] })
+		const stored = JSON.parse(inst.config.scenes).Speech
+		assert.deepEqual(stored.scopes, ['outputs', 'mutes'])
+		assert.equal(stored.values['/processing/output/2/gain'], -3)
+		assert.equal(stored.values['/processing/output/2/mute'], true)
+		assert.equal(stored.values['/processing/input/1/gain'], undefined)
+		assert.equal(stored.values['/processing/output/1/delay'], undefined)
+		assert.equal(inst.variableValues.scene_count, 1)
+		assert.equal(inst.variableValues.scene_last_stored, 'Speech')
+	})
+
+	it('recalls only the values that differ', async () => {
+		await runAction(inst, 'scene_store', { name: 'Band', scopes: ['inputs', 'matrix', 'mutes', 'delays'] })
+		assert.equal(inst.feedbackDefinitions.scene_matches.callback({ options: { scene: 'Band' } }), true)
+		receive(inst, ['/processing/input/1/gain=-20', '/processing/output/2/mute=false', '/processing/matrix/1/2/gain=-3'])
+		assert.equal(inst._sceneMatches('Band'), false)
+
+		const sent = await runAction(inst, 'scene_recall', { scene: 'Band' })
+		assert.deepEqual(sent, [
+			'/processing/input/1/gain=-6',
+			'/processing/matrix/1/2/gain=0',
+			'/processing/output/2/mute=true',
+		])
+		assert.equal(inst.variableValues.scene_last_recalled, 'Band')
+		assert.equal(inst.feedbackDefinitions.scene_last_recalled.callback({ options: { scene: 'Band' } }), true)
+	})
+
+	it('fades gains and sends the rest at once', async (t) => {
+		t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] })
+		await runAction(inst, 'scene_store', { name: 'Band', scopes: ['outputs', 'mutes'] })
+		receive(inst, ['/processing/output/2/gain=-13', '/processing/output/2/mute=false'])
+
+		const sent = await runAction(inst, 'scene_recall', { scene: 'Band', fadeMs: 1000 })
+		assert.ok(sent.includes('/processing/output/2/mute=true'))
+		assert.ok(!sent.includes('/processing/output/2/gain=-3'))
+		for (let ms = 0; ms < 1500; ms += 50) t.mock.timers.tick(50)
+		assert.equal(inst.sent.at(-1), '/processing/output/2/gain=-3')
+	})
+
+	it('loads stored scenes from the config and deletes them', async () => {
+		await runAction(inst, 'scene_store', { name: 'Speech', scopes: ['outputs'] })
+		const other = createInstance({ config: { scenes: inst.config.scenes } })
+		try {
+			other._loadScenes()
+			assert.deepEqual(Object.keys(other._scenes), ['Speech'])
+			await runAction(other, 'scene_delete', { scene: 'Speech' })
+			assert.equal(other.config.scenes, '{}')
+			assert.equal(other.variableValues.scene_count, 0)
+		} finally {
+			await dispose(other)
+		}
+	})
+
+	it('does not store a scene with nothing received yet', async () => {
+		const fresh = createInstance()
+		try {
+			await runAction(fresh, 'scene_store', { name: 'Empty', scopes: ['delays'] })
+			assert.deepEqual(fresh._scenes, {})
+			assert.match(fresh.logs.at(-1)[1], /not stored/)
+		} finally {
+			await dispose(fresh)
+		}
+	})
+})
@@ -0,0 +1,230 @@
+// test/state.test.js
+// State export document, file and HTTP endpoint
+
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { createInstance, runAction, receive, dispose } = require('./fake-instance')
+const { STATE_FORMAT, STATE_VERSION } = require('../state')
+const { parseValue } = require('../simulator/galaxy-simulator')
+
+describe('state export', () => {
+	let inst
+	let dir
+	before(() => {
+		inst = createInstance({ config: { device_alias: 'FOH Left' } })
+		receive(inst, [
+			"/entity/entity_name='Galaxy A'",
+			"/entity/firmware_version='2.3.1'",
+			"/entity/serial_number='GX1234'",
+			'/processing/input/1/gain=-6.5',
+			"/processing/output/2/mute='true'",
+			'/processing/matrix/1/2/gain=-3',
+			"/device/input/1/name='Vox'",
+		])
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'galaxy-state-'))
+	})
+	after(async () => {
+		await dispose(inst)
+		fs.rmSync(dir, { recursive: true, force: true })
+	})
+
+	it('describes the device and serializes the caches and raw parameters', () => {
+		const doc = inst._exportState()
+		assert.equal(doc.format, STATE_FORMAT)
+		assert.equal(doc.version, STATE_VERSION)
+		assert.ok(!Number.isNaN(Date.parse(doc.exported_at)))
+		assert.deepEqual(doc.device, {
+			alias: 'FOH Left',
+			entity_name: 'Galaxy A',
+			group_name: '',
+			model: 'Galaxy 816',
+			firmware: '2.3.1',
+			serial: 'GX1234',
+		})
+		assert.deepEqual(doc.layout, { inputs: 8, outputs: 16, matrix_inputs: 32 })
+		assert.equal(doc.caches.inputGain[1], -6.5)
+		assert.equal(doc.caches.outMute[2], true)
+		assert.equal(doc.caches.matrixGain['1-2'], -3)
+		assert.equal(doc.caches.inputName[1], 'Vox')
+		assert.equal(doc.parameters['/processing/input/1/gain'], '-6.5')
+	})
+
+	it('writes one file per device and day', async () => {
+		await runAction(inst, 'system_state_export', { folder: dir })
+		const [file] = fs.readdirSync(dir)
+		assert.match(file, /^FOH_Left-\d{4}-\d{2}-\d{2}\.json$/)
+		const doc = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))
+		assert.equal(doc.caches.accessPrivilege, '0')
+		assert.equal(inst.variableValues.state_export_file, path.join(dir, file))
+	})
+
+	it('serves the document over HTTP', () => {
+		const res = inst.handleHttpRequest({ method: 'GET', path: '/state', query: {} })
+		assert.equal(res.status, 200)
+		assert.equal(JSON.parse(res.body).device.serial, 'GX1234')
+		assert.equal(inst.handleHttpRequest({ method: 'GET', path: '/state', query: { device: 'foh left' } }).status, 200)
+		assert.equal(inst.handleHttpRequest({ method: 'GET', path: '/state', query: { device: 'Subs' } }).status, 404)
+		assert.equal(inst.handleHttpRequest({ method: 'GET', path: '/nope', query: {} }).status, 404)
+	})
+})
+
+describe('state import', () => {
+	const doc = {
+		format: STATE_FORMAT,
+		version: STATE_VERSION,
+		exported_at: '2025-03-14T18:00:00.000Z',
+		device: { alias: 'Rig A', model: 'Galaxy 816' },
+		parameters: {
+			'/processing/input/1/gain': '-6.5',
+			'/processing/input/2/gain': '0',
+			'/processing/output/12/eq/1/gain': '3',
+			'/processing/output/3/highpass/frequency': '80',
+			'/processing/matrix/1/2/gain': '-3',
+			'/device/output/1/name': 'Mains L\'s "A"',
+			'/processing/output/1/mute': 'true',
+		},
+	}
+	const text = JSON.stringify(doc)
+
+	it('previews the changes per section without sending', async () => {
+		const inst = createInstance()
+		receive(inst, ['/processing/input/2/gain=0'])
+		const sent = await runAction(inst, 'system_state_import', { source: 'text', text })
+		assert.deepEqual(sent, [])
+		assert.equal(inst.variableValues.state_import_changes, 5)
+		assert.match(
+			inst.variableValues.state_import_summary,
+			/^5 to change \(Gains 1, EQ and U-Shaping 1, .*Matrix 1, Channel names 1\), 1 already equal$/,
+		)
+		await dispose(inst)
+	})
+
+	it('sends only the chosen sections that differ', async () => {
+		const inst = createInstance()
+		const sent = await runAction(inst, 'system_state_import', {
+			mode: 'apply',
+			source: 'text',
+			text,
+			sections: ['gains', 'names'],
+		})
+		assert.deepEqual(sent, [
+			'/device/output/1/name="Mains L\'s \\"A\\""',
+			'/processing/input/1/gain=-6.5',
+			'/processing/input/2/gain=0',
+		])
+		// Quoted the way the Galaxy echoes text, which it reads back unchanged
+		assert.equal(parseValue(sent[0].slice(sent[0].indexOf('=') + 1)), 'Mains L\'s "A"')
+		assert.equal(inst._cmdReplyValue(sent[0]), 'Mains L\'s "A"')
+		await dispose(inst)
+	})
+
+	it('skips channels the connected model lacks', async () => {
+		const inst = createInstance({ model: 'Galaxy 408' })
+		const sent = await runAction(inst, 'system_state_import', { mode: 'apply', source: 'text', text, sections: ['eq'] })
+		assert.deepEqual(sent, [])
+		assert.match(inst.variableValues.state_import_summary, /1 skipped \(channels this Galaxy 408 lacks\)/)
+		await dispose(inst)
+	})
+
+	it('imports the names of every matrix input', async () => {
+		const inst = createInstance()
+		const names = {
+			...doc,
+			parameters: { '/device/input/20/name': 'Playback', '/device/input/40/name': 'Nowhere' },
+		}
+		const sent = await runAction(inst, 'system_state_import', {
+			mode: 'apply',
+			source: 'text',
+			text: JSON.stringify(names),
+			sections: ['names'],
+		})
+		assert.deepEqual(sent, ['/device/input/20/name="Playback"'])
+		assert.match(inst.variableValues.state_import_summary, /1 skipped \(channels this Galaxy 816 lacks\)/)
+		await dispose(inst)
+	})
+
+	it('rejects documents it cannot read', async () => {
+		const inst = createInstance()
+		await runAction(inst, 'system_state_import', { source: 'text', text: '{"format":"other"}' })
+		assert.match(inst.logs.at(-1)[1], /^State import failed: not a Galaxy state document$/)
+		await dispose(inst)
+	})
+})
+
+describe('state diff', () => {
+	const doc = {
+		format: STATE_FORMAT,
+		version: STATE_VERSION,
+		exported_at: '2025-03-14T18:00:00.000Z',
+		device: { alias: 'Rig A', model: 'Galaxy 816' },
+		parameters: {
+			'/processing/input/1/gain': '-6.5',
+			'/processing/output/2/delay': '96',
+			'/processing/output/3/eq/1/gain': '0',
+			'/processing/output/1/mute': 'false',
+			'/processing/matrix/4/4/gain': '-3',
+		},
+	}
+	let inst
+	before(() => {
+		inst = createInstance()
+		receive(inst, [
+			'/processing/input/1/gain=-6.5',
+			'/processing/output/2/delay=192',
+			'/processing/output/3/eq/1/gain=0.0',
+			"/processing/output/1/mute='true'",
+		])
+	})
+	after(() => dispose(inst))
+
+	it('reports each differing parameter of the chosen sections', async () => {
+		await runAction(inst, 'system_state_diff', { source: 'text', text: JSON.stringify(doc) })
+		const [level, message] = inst.logs.at(-1)
+		assert.equal(level, 'warn')
+		assert.equal(
+			message,
+			'State diff against Rig A (Galaxy 816, 2025-03-14T18:00:00.000Z): 1 of 3 parameters differ, 1 not reported by this Galaxy\n' +
+				'/processing/output/2/delay: expected 96, actual 192',
+		)
+		assert.equal(inst.variableValues.state_diff_count, 1)
+		assert.equal(inst.feedbackDefinitions.state_matches_reference.callback({ options: {} }), false)
+	})
+
+	it('follows later changes on the device', () => {
+		receive(inst, ['/processing/output/2/delay=96'])
+		assert.equal(inst.variableValues.state_diff_count, 0)
+		assert.equal(inst.feedbackDefinitions.state_matches_reference.callback({ options: {} }), true)
+		receive(inst, ['/processing/input/1/gain=-7'])
+		assert.equal(inst.variableValues.state_diff_count, 1)
+	})
+
+	it('includes mutes and the rest only when asked', async () => {
+		await runAction(inst, 'system_state_diff', { source: 'text', text: JSON.stringify(doc), sections: ['other'] })
+		assert.match(
+			inst.logs.at(-1)[1],
+			/1 of 1 parameters differ\n\/processing\/output\/1\/mute: expected false, actual true$/,
+		)
+	})
+
+	it('keeps the comparison of an additional device on that device', async () => {
+		const multi = createInstance({ devices: ['Subs'] })
+		try {
+			receive(multi._devices[0], ['/processing/input/1/gain=-6.5', '/processing/output/2/delay=192'])
+			await runAction(multi, 'system_state_diff', { devices: ['subs'], source: 'text', text: JSON.stringify(doc) })
+			assert.equal(multi.variableValues.device_subs_state_diff_count, 1)
+			assert.equal(multi.variableValues.state_diff_count, undefined)
+
+			const matches = multi.feedbackDefinitions.state_matches_reference
+			assert.equal(matches.callback({ options: { device: 'subs' } }), false)
+			receive(multi._devices[0], ['/processing/output/2/delay=96'])
+			assert.equal(multi.variableValues.device_subs_state_diff_count, 0)
+			assert.equal(matches.callback({ options: { device: 'subs' } }), true)
+			assert.equal(matches.callback({ options: { device: 'primary' } }), false)
+		} finally {
+			await dispose(multi)
+		}
+	})
+})
@@ -0,0 +1,99 @@
+// test/undo.test.js
+// Undo/redo history of the parameters actions change
+
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { createInstance, runAction, receive, dispose } = require('./fake-instance')
+
+describe('undo history', () => {
+	let inst
+	let written
+	beforeEach(() => {
+		inst = createInstance({ realPipeline: true })
+		written = inst.sent
+		receive(inst, [
+			'/processing/output/3/gain=-2.5',
+			'/processing/matrix/1/2/gain=0',
+			'/processing/matrix/1/3/gain=0',
+			'/device/input/1/name="Bob\'s Vox"',
+		])
+	})
+	afterEach(() => dispose(inst))
+
+	// Lines written to the command socket while fn runs
+	const sent = (fn) => {
+		const before = written.length
+		fn()
+		return written.slice(before)
+	}
+
+	it('records one step per action with the previous values', async () => {
+		await runAction(inst, 'matrix_gain', { matrix_inputs: ['1'], matrix_outputs: ['2', '3'], gain: -6 })
+		assert.equal(inst.variableValues.undo_depth, 1)
+		assert.equal(inst.variableValues.undo_next, 'Matrix 1→2 gain 0.0 → −6.0 (+1 more)')
+
+		assert.deepEqual(
+			sent(() => inst._undo()),
+			['/processing/matrix/1/2/gain=0', '/processing/matrix/1/3/gain=0'],
+		)
+		assert.equal(inst.variableValues.undo_depth, 0)
+		assert.equal(inst.variableValues.redo_depth, 1)
+		assert.deepEqual(
+			sent(() => inst._redo()),
+			['/processing/matrix/1/2/gain=-6', '/processing/matrix/1/3/gain=-6'],
+		)
+	})
+
+	it('quotes names and clears redo when another action runs', async () => {
+		await runAction(inst, 'system_raw_command', { command: "/device/input/1/name='Lead'", wait_reply: false })
+		await runAction(inst, 'system_undo')
+		assert.equal(inst.variableValues.redo_next, "Input 1 name Bob's Vox → Lead")
+		assert.equal(written.at(-1), '/device/input/1/name="Bob\'s Vox"')
+
+		await runAction(inst, 'system_raw_command', { command: '/processing/output/3/gain=-4', wait_reply: false })
+		assert.equal(inst.variableValues.redo_depth, 0)
+		assert.equal(inst.variableValues.undo_next, 'Output 3 gain −2.5 → −4.0')
+	})
+
+	it('skips parameters the Galaxy never reported and colon commands', async () => {
+		await runAction(inst, 'system_raw_command', { command: '/processing/output/4/gain=-4', wait_reply: false })
+		await runAction(inst, 'system_raw_command', { command: ':recall_snapshot 3 1', wait_reply: false })
+		assert.equal(inst._undoStack.length, 0)
+		inst._undo()
+		assert.match(inst.logs.at(-1)[1], /nothing to undo/)
+	})
+
+	it('records where a fade ends', async () => {
+		await inst._runAction('Fade', () => {
+			const step = inst._undoBegin('Fade')
+			inst._startOutputGainFade(3, -10, 1000, 'linear')
+			inst._undoEnd(step)
+		})
+		inst._stopAllFades()
+		assert.equal(inst.variableValues.undo_next, 'Output 3 gain −2.5 → −10.0')
+	})
+
+	it('goes back to what the previous action wrote before the Galaxy echoed it', async () => {
+		await runAction(inst, 'system_raw_command', { command: '/processing/output/3/gain=-4', wait_reply: false })
+		await runAction(inst, 'system_raw_command', { command: '/processing/output/3/gain=-8', wait_reply: false })
+		assert.equal(inst.variableValues.undo_next, 'Output 3 gain −4.0 → −8.0')
+
+		receive(inst, ['/processing/output/3/gain=-8'])
+		await runAction(inst, 'system_raw_command', { command: '/processing/output/3/gain=-9', wait_reply: false })
+		assert.equal(inst.variableValues.undo_next, 'Output 3 gain −8.0 → −9.0')
+	})
+
+	it('keeps the steps of actions that run at the same time apart', async () => {
+		// The raw command waits on its variables while the matrix action runs from start to end
+		const raw = runAction(inst, 'system_raw_command', { command: '/processing/output/3/gain=-4', wait_reply: false })
+		await runAction(inst, 'matrix_gain', { matrix_inputs: ['1'], matrix_outputs: ['2'], gain: -6 })
+		await raw
+		assert.deepEqual(
+			inst._undoStack.map((step) => [step.label, step.changes.map((change) => change.path)]),
+			[
+				['Matrix: Gain', ['/processing/matrix/1/2/gain']],
+				['System: Send raw command', ['/processing/output/3/gain']],
+			],
+		)
+	})
+})
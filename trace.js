@@ -0,0 +1,105 @@
+// trace.js
+// Protocol trace recorder (rotating files) and the parser used to replay a trace
+
+const fs = require('fs')
+const path = require('path')
+
+const TRACE_FILE = 'galaxy-trace.log'
+
+// Direction column of a trace line
+const TRACE_TX_SUB = 'tx-sub' // written by _subWrite
+const TRACE_TX_CMD = 'tx-cmd' // written by _cmdFlush
+const TRACE_RX_SUB = 'rx-sub' // received on the subscription socket (_onSubLine)
+const TRACE_RX_CMD = 'rx-cmd' // received on the command socket
+
+/**
+ * Appends protocol lines to <dir>/galaxy-trace.log as `ISO time<TAB>device<TAB>direction<TAB>line`.
+ * When the file grows past maxBytes it is renamed to .1 (older files shift up to .keep) and a new one is started.
+ */
+class TraceRecorder {
+	/**
+	 * @param {Object} opts
+	 * @param {string} opts.dir - Directory for the trace files (created if missing)
+	 * @param {number} opts.maxBytes - Size at which the current file is rotated
+	 * @param {number} opts.keep - Number of rotated files kept
+	 * @param {Function} [opts.onError] - Called with the error when the trace can't be written
+	 */
+	constructor({ dir, maxBytes, keep, onError }) {
+		this.dir = dir
+		this.file = path.join(dir, TRACE_FILE)
+		this.maxBytes = maxBytes
+		this.keep = keep
+		this.onError = onError
+		this.stream = null
+		this.bytes = 0
+
+		fs.mkdirSync(dir, { recursive: true })
+		this._open()
+	}
+
+	_open() {
+		// Opened synchronously so the file exists (and can be rotated) before the first write is flushed
+		const fd = fs.openSync(this.file, 'a')
+		this.bytes = fs.fstatSync(fd).size
+		this.stream = fs.createWriteStream(this.file, { fd })
+		this.stream.on('error', (err) => {
+			this.close()
+			this.onError?.(err)
+		})
+	}
+
+	_rotate() {
+		this.stream?.end()
+		this.stream = null
+		try {
+			fs.rmSync(`${this.file}.${this.keep}`, { force: true })
+			for (let i = this.keep - 1; i >= 1; i--) {
+				if (fs.existsSync(`${this.file}.${i}`)) fs.renameSync(`${this.file}.${i}`, `${this.file}.${i + 1}`)
+			}
+			fs.renameSync(this.file, `${this.file}.1`)
+			this._open()
+		} catch (err) {
+			this.onError?.(err)
+		}
+	}
+
+	record(device, direction, line) {
+		if (!this.stream) return
+		const entry = `${new Date().toISOString()}\t${device}\t${direction}\t${line}\n`
+		this.bytes += Buffer.byteLength(entry)
+		this.stream.write(entry)
+		if (this.bytes >= this.maxBytes) this._rotate()
+	}
+
+	close() {
+		this.stream?.end()
+		this.stream = null
+	}
+}
+
+/**
+ * Parse the text of a trace file
+ * @param {string} text - File contents
+ * @returns {Array<{ts: number, device: string, direction: string, line: string}>} Entries in file order
+ */
+function parseTrace(text) {
+	const entries = []
+	for (const raw of String(text ?? '').split(/\r?\n/)) {
+		const parts = raw.split('\t')
+		if (parts.length < 4) continue
+		const ts = Date.parse(parts[0])
+		if (!Number.isFinite(ts)) continue
+		entries.push({ ts, device: parts[1], direction: parts[2], line: parts.slice(3).join('\t') })
+	}
+	return entries
+}
+
+module.exports = {
+	TRACE_FILE,
+	TRACE_TX_SUB,
+	TRACE_TX_CMD,
+	TRACE_RX_SUB,
+	TRACE_RX_CMD,
+	TraceRecorder,
+	parseTrace,
+}
@@ -1,17 +1,50 @@
 const { filterTypeLabel, displayBrightnessLabel, displayColorLabel } = require('./helpers')
 
-module.exports = function UpdateVariableDefinitions(self, NUM_INPUTS, NUM_OUTPUTS) {
+module.exports = function UpdateVariableDefinitions(self, NUM_INPUTS, NUM_OUTPUTS, MATRIX_INPUTS = 32) {
+	const { vars, vals } = buildVariables(self, NUM_INPUTS, NUM_OUTPUTS, MATRIX_INPUTS)
+
+	// Additional devices publish the same variables as device_<id>_<variable> (see main.js _createDeviceContext)
+	for (const dev of self?._devices || []) {
+		const prefix = `device_${dev.deviceId}_`
+		const own = buildVariables(dev, dev.numInputs, dev.numOutputs, dev.matrixInputs)
+		for (const v of own.vars) vars.push({ variableId: prefix + v.variableId, name: `${dev.deviceAlias}: ${v.name}` })
+		for (const [id, value] of Object.entries(own.vals)) vals[prefix + id] = value
+	}
+
+	// Apply defs, then push current values so UI shows them immediately
+	self.setVariableDefinitions(vars)
+	if (Object.keys(vals).length) self.setVariableValues(vals)
+}
+
+// Variable definitions and current values of one device. Sections about the whole instance (dry run, state
+// export/import, undo, scenes, bulk sender, network path, additional devices) are left out for additional devices.
+function buildVariables(self, NUM_INPUTS, NUM_OUTPUTS, MATRIX_INPUTS) {
 	const vars = []
 	const vals = {} // <-- we'll backfill live values here
+	const instanceWide = !self?._root
+
+	// Only define variables for parameter groups in the subscription profile (see main.js SUB_GROUPS)
+	const subscribed = (group) => self?._subscriptionActive?.(group) ?? true
+	const levels = subscribed('levels')
+	const delay = subscribed('delay')
+	const filters = subscribed('filters')
+	const ushaping = subscribed('ushaping')
+	const eq = subscribed('eq')
+	const matrix = subscribed('matrix')
+	const meters = subscribed('meters')
+	const snapshots = subscribed('snapshots')
+	const clocks = subscribed('clocks')
 
 	// ===== Per-input =====
 	for (let ch = 1; ch <= NUM_INPUTS; ch++) {
-		vars.push({ variableId: `input_${ch}_mute`, name: `Input ${ch} mute` })
-		vars.push({ variableId: `input_${ch}_gain_db`, name: `Input ${ch} gain (dB)` })
+		if (levels) {
+			vars.push({ variableId: `input_${ch}_mute`, name: `Input ${ch} mute` })
+			vars.push({ variableId: `input_${ch}_gain_db`, name: `Input ${ch} gain (dB)` })
+		}
 		vars.push({ variableId: `input_${ch}_name`, name: `Input ${ch} name` })
-		vars.push({ variableId: `input_${ch}_delay_ms`, name: `Input ${ch} delay (ms)` })
+		if (delay) vars.push({ variableId: `input_${ch}_delay_ms`, name: `Input ${ch} delay (ms)` })
 		vars.push({ variableId: `input_${ch}_mode`, name: `Input ${ch} mode` })
-		vars.push({ variableId: `input_${ch}_meter_dbfs`, name: `Input ${ch} meter (dBFS)` })
+		if (meters) vars.push({ variableId: `input_${ch}_meter_dbfs`, name: `Input ${ch} meter (dBFS)` })
 		vars.push({ variableId: `input_${ch}_link_group`, name: `Input ${ch} link group` })
 
 		// Backfill input link group assignment if available
@@ -21,109 +54,113 @@ module.exports = function UpdateVariableDefinitions(self, NUM_INPUTS, NUM_OUTPUT
 		}
 
 		// Backfill input delay if available
-		if (self?.inputDelay?.[ch]?.ms !== null && self?.inputDelay?.[ch]?.ms !== undefined) {
+		if (delay && self?.inputDelay?.[ch]?.ms !== null && self?.inputDelay?.[ch]?.ms !== undefined) {
 			vals[`input_${ch}_delay_ms`] = self.inputDelay[ch].ms.toFixed(2)
 		}
 
-		// U-Shaping EQ variables per input
-		vars.push({ variableId: `input_${ch}_ushaping_bypass`, name: `Input ${ch} U-Shaping bypass` })
+		if (ushaping) {
+			// U-Shaping EQ variables per input
+			vars.push({ variableId: `input_${ch}_ushaping_bypass`, name: `Input ${ch} U-Shaping bypass` })
 
-		// U-Shaping bands 1-5
-		for (let band = 1; band <= 5; band++) {
-			vars.push({
-				variableId: `input_${ch}_ushaping_band_${band}_gain`,
-				name: `Input ${ch} U-Shaping Band ${band} gain (dB)`,
-			})
-			if (band <= 4) {
-				// Bands 1-4 have frequency
+			// U-Shaping bands 1-5
+			for (let band = 1; band <= 5; band++) {
+				vars.push({
+					variableId: `input_${ch}_ushaping_band_${band}_gain`,
+					name: `Input ${ch} U-Shaping Band ${band} gain (dB)`,
+				})
+				if (band <= 4) {
+					// Bands 1-4 have frequency
+					vars.push({
+						variableId: `input_${ch}_ushaping_band_${band}_frequency`,
+						name: `Input ${ch} U-Shaping Band ${band} frequency (Hz)`,
+					})
+				}
+				// All bands have slope
 				vars.push({
-					variableId: `input_${ch}_ushaping_band_${band}_frequency`,
-					name: `Input ${ch} U-Shaping Band ${band} frequency (Hz)`,
+					variableId: `input_${ch}_ushaping_band_${band}_slope`,
+					name: `Input ${ch} U-Shaping Band ${band} slope (dB/oct)`,
 				})
 			}
-			// All bands have slope
-			vars.push({
-				variableId: `input_${ch}_ushaping_band_${band}_slope`,
-				name: `Input ${ch} U-Shaping Band ${band} slope (dB/oct)`,
-			})
-		}
-
-		// Backfill U-Shaping values if available
-		if (self?.inputUShaping?.[ch]) {
-			const bypass = self.inputUShaping[ch].bypass
-			vals[`input_${ch}_ushaping_bypass`] =
-				typeof bypass === 'boolean' ? (bypass ? 'ON' : 'OFF') : String(bypass ?? 'OFF')
 
-			for (let band = 1; band <= 5; band++) {
-				if (self.inputUShaping[ch][band]) {
-					const gain = self.inputUShaping[ch][band].gain
-					if (typeof gain === 'number') {
-						vals[`input_${ch}_ushaping_band_${band}_gain`] = gain.toFixed(1)
-					}
+			// Backfill U-Shaping values if available
+			if (self?.inputUShaping?.[ch]) {
+				const bypass = self.inputUShaping[ch].bypass
+				vals[`input_${ch}_ushaping_bypass`] =
+					typeof bypass === 'boolean' ? (bypass ? 'ON' : 'OFF') : String(bypass ?? 'OFF')
+
+				for (let band = 1; band <= 5; band++) {
+					if (self.inputUShaping[ch][band]) {
+						const gain = self.inputUShaping[ch][band].gain
+						if (typeof gain === 'number') {
+							vals[`input_${ch}_ushaping_band_${band}_gain`] = gain.toFixed(1)
+						}
 
-					if (band <= 4) {
-						const freq = self.inputUShaping[ch][band].frequency
-						if (typeof freq === 'number') {
-							vals[`input_${ch}_ushaping_band_${band}_frequency`] = Math.round(freq).toString()
+						if (band <= 4) {
+							const freq = self.inputUShaping[ch][band].frequency
+							if (typeof freq === 'number') {
+								vals[`input_${ch}_ushaping_band_${band}_frequency`] = Math.round(freq).toString()
+							}
 						}
-					}
 
-					const slope = self.inputUShaping[ch][band].slope
-					if (typeof slope === 'number') {
-						vals[`input_${ch}_ushaping_band_${band}_slope`] = Math.round(slope).toString()
+						const slope = self.inputUShaping[ch][band].slope
+						if (typeof slope === 'number') {
+							vals[`input_${ch}_ushaping_band_${band}_slope`] = Math.round(slope).toString()
+						}
 					}
 				}
 			}
 		}
 
-		// Parametric EQ variables per input
-		vars.push({ variableId: `input_${ch}_eq_bypass`, name: `Input ${ch} Parametric EQ bypass` })
+		if (eq) {
+			// Parametric EQ variables per input
+			vars.push({ variableId: `input_${ch}_eq_bypass`, name: `Input ${ch} Parametric EQ bypass` })
 
-		// Parametric EQ bands 1-5
-		for (let band = 1; band <= 5; band++) {
-			vars.push({
-				variableId: `input_${ch}_eq_band_${band}_gain`,
-				name: `Input ${ch} Parametric EQ Band ${band} gain (dB)`,
-			})
-			vars.push({
-				variableId: `input_${ch}_eq_band_${band}_frequency`,
-				name: `Input ${ch} Parametric EQ Band ${band} frequency (Hz)`,
-			})
-			vars.push({
-				variableId: `input_${ch}_eq_band_${band}_bandwidth`,
-				name: `Input ${ch} Parametric EQ Band ${band} bandwidth (Q)`,
-			})
-			vars.push({
-				variableId: `input_${ch}_eq_band_${band}_bypass`,
-				name: `Input ${ch} Parametric EQ Band ${band} bypass`,
-			})
-		}
+			// Parametric EQ bands 1-5
+			for (let band = 1; band <= 5; band++) {
+				vars.push({
+					variableId: `input_${ch}_eq_band_${band}_gain`,
+					name: `Input ${ch} Parametric EQ Band ${band} gain (dB)`,
+				})
+				vars.push({
+					variableId: `input_${ch}_eq_band_${band}_frequency`,
+					name: `Input ${ch} Parametric EQ Band ${band} frequency (Hz)`,
+				})
+				vars.push({
+					variableId: `input_${ch}_eq_band_${band}_bandwidth`,
+					name: `Input ${ch} Parametric EQ Band ${band} bandwidth (Q)`,
+				})
+				vars.push({
+					variableId: `input_${ch}_eq_band_${band}_bypass`,
+					name: `Input ${ch} Parametric EQ Band ${band} bypass`,
+				})
+			}
 
-		// Backfill Parametric EQ values if available
-		if (self?.inputEQ?.[ch]) {
-			const bypass = self.inputEQ[ch].bypass
-			vals[`input_${ch}_eq_bypass`] = typeof bypass === 'boolean' ? (bypass ? 'ON' : 'OFF') : String(bypass ?? 'OFF')
+			// Backfill Parametric EQ values if available
+			if (self?.inputEQ?.[ch]) {
+				const bypass = self.inputEQ[ch].bypass
+				vals[`input_${ch}_eq_bypass`] = typeof bypass === 'boolean' ? (bypass ? 'ON' : 'OFF') : String(bypass ?? 'OFF')
 
-			for (let band = 1; band <= 5; band++) {
-				if (self.inputEQ[ch][band]) {
-					const gain = self.inputEQ[ch][band].gain
-					if (typeof gain === 'number') {
-						vals[`input_${ch}_eq_band_${band}_gain`] = gain.toFixed(1)
-					}
+				for (let band = 1; band <= 5; band++) {
+					if (self.inputEQ[ch][band]) {
+						const gain = self.inputEQ[ch][band].gain
+						if (typeof gain === 'number') {
+							vals[`input_${ch}_eq_band_${band}_gain`] = gain.toFixed(1)
+						}
 
-					const freq = self.inputEQ[ch][band].frequency
-					if (typeof freq === 'number') {
-						vals[`input_${ch}_eq_band_${band}_frequency`] = Math.round(freq).toString()
-					}
+						const freq = self.inputEQ[ch][band].frequency
+						if (typeof freq === 'number') {
+							vals[`input_${ch}_eq_band_${band}_frequency`] = Math.round(freq).toString()
+						}
 
-					const bandwidth = self.inputEQ[ch][band].bandwidth
-					if (typeof bandwidth === 'number') {
-						vals[`input_${ch}_eq_band_${band}_bandwidth`] = bandwidth.toFixed(1)
-					}
+						const bandwidth = self.inputEQ[ch][band].bandwidth
+						if (typeof bandwidth === 'number') {
+							vals[`input_${ch}_eq_band_${band}_bandwidth`] = bandwidth.toFixed(1)
+						}
 
-					const bandBypass = self.inputEQ[ch][band].band_bypass
-					vals[`input_${ch}_eq_band_${band}_bypass`] =
-						typeof bandBypass === 'boolean' ? (bandBypass ? 'ON' : 'OFF') : String(bandBypass ?? 'OFF')
+						const bandBypass = self.inputEQ[ch][band].band_bypass
+						vals[`input_${ch}_eq_band_${band}_bypass`] =
+							typeof bandBypass === 'boolean' ? (bandBypass ? 'ON' : 'OFF') : String(bandBypass ?? 'OFF')
+					}
 				}
 			}
 		}
@@ -146,220 +183,231 @@ module.exports = function UpdateVariableDefinitions(self, NUM_INPUTS, NUM_OUTPUT
 
 	// ===== Per-output =====
 	for (let ch = 1; ch <= NUM_OUTPUTS; ch++) {
-		vars.push({ variableId: `output_${ch}_mute`, name: `Output ${ch} mute` })
-		vars.push({ variableId: `output_${ch}_gain_db`, name: `Output ${ch} gain (dB)` })
+		if (levels) {
+			vars.push({ variableId: `output_${ch}_mute`, name: `Output ${ch} mute` })
+			vars.push({ variableId: `output_${ch}_gain_db`, name: `Output ${ch} gain (dB)` })
+		}
 		vars.push({ variableId: `output_${ch}_name`, name: `Output ${ch} name` })
-		vars.push({ variableId: `output_${ch}_delay_ms`, name: `Output ${ch} delay (ms)` })
-		vars.push({ variableId: `output_${ch}_meter_dbfs`, name: `Output ${ch} meter (dBFS)` })
-		vars.push({ variableId: `output_${ch}_polarity`, name: `Output ${ch} polarity` })
+		if (delay) vars.push({ variableId: `output_${ch}_delay_ms`, name: `Output ${ch} delay (ms)` })
+		if (meters) vars.push({ variableId: `output_${ch}_meter_dbfs`, name: `Output ${ch} meter (dBFS)` })
 		vars.push({ variableId: `output_${ch}_link_group`, name: `Output ${ch} link group` })
-		vars.push({ variableId: `output_${ch}_atmospheric_bypass`, name: `Output ${ch} atmospheric bypass` })
-		vars.push({
-			variableId: `output_${ch}_atmospheric_distance_m`,
-			name: `Output ${ch} atmospheric distance (m)`,
-		})
-		vars.push({
-			variableId: `output_${ch}_atmospheric_gain_percent`,
-			name: `Output ${ch} atmospheric gain (%)`,
-		})
 
 		// Backfill output link group assignment if available
 		if (self?.outputLinkGroupAssign?.[ch] !== undefined) {
 			const group = self.outputLinkGroupAssign[ch]
 			vals[`output_${ch}_link_group`] = group === 0 ? 'Unassigned' : `Group ${group}`
 		}
-		if (self?.outputAtmospheric?.[ch]) {
-			const atm = self.outputAtmospheric[ch]
-			if (typeof atm.bypass === 'boolean') {
-				vals[`output_${ch}_atmospheric_bypass`] = atm.bypass ? 'ON' : 'OFF'
-			}
-			if (typeof atm.distance === 'number') {
-				const d = atm.distance
-				vals[`output_${ch}_atmospheric_distance_m`] = d % 1 === 0 ? String(Math.round(d)) : d.toFixed(2)
-			}
-			if (typeof atm.gain === 'number') {
-				const g = atm.gain
-				vals[`output_${ch}_atmospheric_gain_percent`] = g % 1 === 0 ? String(Math.round(g)) : g.toFixed(1)
-			}
-		}
-		vars.push({ variableId: `output_${ch}_highpass`, name: `Output ${ch} high-pass` })
-		vars.push({ variableId: `output_${ch}_highpass_frequency`, name: `Output ${ch} high-pass frequency (Hz)` })
-		vars.push({ variableId: `output_${ch}_highpass_type`, name: `Output ${ch} high-pass type` })
-		vars.push({ variableId: `output_${ch}_lowpass`, name: `Output ${ch} low-pass` })
-		vars.push({ variableId: `output_${ch}_lowpass_frequency`, name: `Output ${ch} low-pass frequency (Hz)` })
-		vars.push({ variableId: `output_${ch}_lowpass_type`, name: `Output ${ch} low-pass type` })
-		for (let band = 1; band <= 3; band++) {
-			vars.push({ variableId: `output_${ch}_allpass_${band}`, name: `Output ${ch} all-pass ${band}` })
+
+		if (filters) {
+			vars.push({ variableId: `output_${ch}_polarity`, name: `Output ${ch} polarity` })
+			vars.push({ variableId: `output_${ch}_atmospheric_bypass`, name: `Output ${ch} atmospheric bypass` })
 			vars.push({
-				variableId: `output_${ch}_allpass_${band}_frequency`,
-				name: `Output ${ch} all-pass ${band} frequency (Hz)`,
+				variableId: `output_${ch}_atmospheric_distance_m`,
+				name: `Output ${ch} atmospheric distance (m)`,
 			})
-			vars.push({ variableId: `output_${ch}_allpass_${band}_q`, name: `Output ${ch} all-pass ${band} Q` })
-		}
-
-		// U-Shaping EQ variables per output
-		vars.push({ variableId: `output_${ch}_ushaping_bypass`, name: `Output ${ch} U-Shaping bypass` })
-
-		// U-Shaping bands 1-5
-		for (let band = 1; band <= 5; band++) {
 			vars.push({
-				variableId: `output_${ch}_ushaping_band_${band}_gain`,
-				name: `Output ${ch} U-Shaping Band ${band} gain (dB)`,
+				variableId: `output_${ch}_atmospheric_gain_percent`,
+				name: `Output ${ch} atmospheric gain (%)`,
 			})
-			if (band <= 4) {
-				// Bands 1-4 have frequency
+			if (self?.outputAtmospheric?.[ch]) {
+				const atm = self.outputAtmospheric[ch]
+				if (typeof atm.bypass === 'boolean') {
+					vals[`output_${ch}_atmospheric_bypass`] = atm.bypass ? 'ON' : 'OFF'
+				}
+				if (typeof atm.distance === 'number') {
+					const d = atm.distance
+					vals[`output_${ch}_atmospheric_distance_m`] = d % 1 === 0 ? String(Math.round(d)) : d.toFixed(2)
+				}
+				if (typeof atm.gain === 'number') {
+					const g = atm.gain
+					vals[`output_${ch}_atmospheric_gain_percent`] = g % 1 === 0 ? String(Math.round(g)) : g.toFixed(1)
+				}
+			}
+			vars.push({ variableId: `output_${ch}_highpass`, name: `Output ${ch} high-pass` })
+			vars.push({ variableId: `output_${ch}_highpass_frequency`, name: `Output ${ch} high-pass frequency (Hz)` })
+			vars.push({ variableId: `output_${ch}_highpass_type`, name: `Output ${ch} high-pass type` })
+			vars.push({ variableId: `output_${ch}_lowpass`, name: `Output ${ch} low-pass` })
+			vars.push({ variableId: `output_${ch}_lowpass_frequency`, name: `Output ${ch} low-pass frequency (Hz)` })
+			vars.push({ variableId: `output_${ch}_lowpass_type`, name: `Output ${ch} low-pass type` })
+			for (let band = 1; band <= 3; band++) {
+				vars.push({ variableId: `output_${ch}_allpass_${band}`, name: `Output ${ch} all-pass ${band}` })
 				vars.push({
-					variableId: `output_${ch}_ushaping_band_${band}_frequency`,
-					name: `Output ${ch} U-Shaping Band ${band} frequency (Hz)`,
+					variableId: `output_${ch}_allpass_${band}_frequency`,
+					name: `Output ${ch} all-pass ${band} frequency (Hz)`,
 				})
+				vars.push({ variableId: `output_${ch}_allpass_${band}_q`, name: `Output ${ch} all-pass ${band} Q` })
 			}
-			// All bands have slope
-			vars.push({
-				variableId: `output_${ch}_ushaping_band_${band}_slope`,
-				name: `Output ${ch} U-Shaping Band ${band} slope (dB/oct)`,
-			})
 		}
 
-		// Backfill U-Shaping values if available
-		if (self?.outputUShaping?.[ch]) {
-			const bypass = self.outputUShaping[ch].bypass
-			vals[`output_${ch}_ushaping_bypass`] =
-				typeof bypass === 'boolean' ? (bypass ? 'ON' : 'OFF') : String(bypass ?? 'OFF')
+		if (ushaping) {
+			// U-Shaping EQ variables per output
+			vars.push({ variableId: `output_${ch}_ushaping_bypass`, name: `Output ${ch} U-Shaping bypass` })
 
+			// U-Shaping bands 1-5
 			for (let band = 1; band <= 5; band++) {
-				if (self.outputUShaping[ch][band]) {
-					const gain = self.outputUShaping[ch][band].gain
-					if (typeof gain === 'number') {
-						vals[`output_${ch}_ushaping_band_${band}_gain`] = gain.toFixed(1)
-					}
+				vars.push({
+					variableId: `output_${ch}_ushaping_band_${band}_gain`,
+					name: `Output ${ch} U-Shaping Band ${band} gain (dB)`,
+				})
+				if (band <= 4) {
+					// Bands 1-4 have frequency
+					vars.push({
+						variableId: `output_${ch}_ushaping_band_${band}_frequency`,
+						name: `Output ${ch} U-Shaping Band ${band} frequency (Hz)`,
+					})
+				}
+				// All bands have slope
+				vars.push({
+					variableId: `output_${ch}_ushaping_band_${band}_slope`,
+					name: `Output ${ch} U-Shaping Band ${band} slope (dB/oct)`,
+				})
+			}
 
-					if (band <= 4) {
-						const freq = self.outputUShaping[ch][band].frequency
-						if (typeof freq === 'number') {
-							vals[`output_${ch}_ushaping_band_${band}_frequency`] = Math.round(freq).toString()
+			// Backfill U-Shaping values if available
+			if (self?.outputUShaping?.[ch]) {
+				const bypass = self.outputUShaping[ch].bypass
+				vals[`output_${ch}_ushaping_bypass`] =
+					typeof bypass === 'boolean' ? (bypass ? 'ON' : 'OFF') : String(bypass ?? 'OFF')
+
+				for (let band = 1; band <= 5; band++) {
+					if (self.outputUShaping[ch][band]) {
+						const gain = self.outputUShaping[ch][band].gain
+						if (typeof gain === 'number') {
+							vals[`output_${ch}_ushaping_band_${band}_gain`] = gain.toFixed(1)
+						}
+
+						if (band <= 4) {
+							const freq = self.outputUShaping[ch][band].frequency
+							if (typeof freq === 'number') {
+								vals[`output_${ch}_ushaping_band_${band}_frequency`] = Math.round(freq).toString()
+							}
 						}
-					}
 
-					const slope = self.outputUShaping[ch][band].slope
-					if (typeof slope === 'number') {
-						vals[`output_${ch}_ushaping_band_${band}_slope`] = Math.round(slope).toString()
+						const slope = self.outputUShaping[ch][band].slope
+						if (typeof slope === 'number') {
+							vals[`output_${ch}_ushaping_band_${band}_slope`] = Math.round(slope).toString()
+						}
 					}
 				}
 			}
 		}
 
-		// Parametric EQ variables per output
-		vars.push({ variableId: `output_${ch}_eq_bypass`, name: `Output ${ch} Parametric EQ bypass` })
+		if (eq) {
+			// Parametric EQ variables per output
+			vars.push({ variableId: `output_${ch}_eq_bypass`, name: `Output ${ch} Parametric EQ bypass` })
 
-		// Parametric EQ bands 1-10 (outputs have 10 bands)
-		for (let band = 1; band <= 10; band++) {
-			vars.push({
-				variableId: `output_${ch}_eq_band_${band}_gain`,
-				name: `Output ${ch} Parametric EQ Band ${band} gain (dB)`,
-			})
-			vars.push({
-				variableId: `output_${ch}_eq_band_${band}_frequency`,
-				name: `Output ${ch} Parametric EQ Band ${band} frequency (Hz)`,
-			})
-			vars.push({
-				variableId: `output_${ch}_eq_band_${band}_bandwidth`,
-				name: `Output ${ch} Parametric EQ Band ${band} bandwidth (Q)`,
-			})
-			vars.push({
-				variableId: `output_${ch}_eq_band_${band}_bypass`,
-				name: `Output ${ch} Parametric EQ Band ${band} bypass`,
-			})
-		}
+			// Parametric EQ bands 1-10 (outputs have 10 bands)
+			for (let band = 1; band <= 10; band++) {
+				vars.push({
+					variableId: `output_${ch}_eq_band_${band}_gain`,
+					name: `Output ${ch} Parametric EQ Band ${band} gain (dB)`,
+				})
+				vars.push({
+					variableId: `output_${ch}_eq_band_${band}_frequency`,
+					name: `Output ${ch} Parametric EQ Band ${band} frequency (Hz)`,
+				})
+				vars.push({
+					variableId: `output_${ch}_eq_band_${band}_bandwidth`,
+					name: `Output ${ch} Parametric EQ Band ${band} bandwidth (Q)`,
+				})
+				vars.push({
+					variableId: `output_${ch}_eq_band_${band}_bypass`,
+					name: `Output ${ch} Parametric EQ Band ${band} bypass`,
+				})
+			}
 
-		// Backfill Parametric EQ values if available
-		if (self?.outputEQ?.[ch]) {
-			const bypass = self.outputEQ[ch].bypass
-			vals[`output_${ch}_eq_bypass`] = typeof bypass === 'boolean' ? (bypass ? 'ON' : 'OFF') : String(bypass ?? 'OFF')
+			// Backfill Parametric EQ values if available
+			if (self?.outputEQ?.[ch]) {
+				const bypass = self.outputEQ[ch].bypass
+				vals[`output_${ch}_eq_bypass`] = typeof bypass === 'boolean' ? (bypass ? 'ON' : 'OFF') : String(bypass ?? 'OFF')
 
-			for (let band = 1; band <= 10; band++) {
-				if (self.outputEQ[ch][band]) {
-					const gain = self.outputEQ[ch][band].gain
-					if (typeof gain === 'number') {
-						vals[`output_${ch}_eq_band_${band}_gain`] = gain.toFixed(1)
-					}
+				for (let band = 1; band <= 10; band++) {
+					if (self.outputEQ[ch][band]) {
+						const gain = self.outputEQ[ch][band].gain
+						if (typeof gain === 'number') {
+							vals[`output_${ch}_eq_band_${band}_gain`] = gain.toFixed(1)
+						}
 
-					const freq = self.outputEQ[ch][band].frequency
-					if (typeof freq === 'number') {
-						vals[`output_${ch}_eq_band_${band}_frequency`] = Math.round(freq).toString()
-					}
+						const freq = self.outputEQ[ch][band].frequency
+						if (typeof freq === 'number') {
+							vals[`output_${ch}_eq_band_${band}_frequency`] = Math.round(freq).toString()
+						}
 
-					const bandwidth = self.outputEQ[ch][band].bandwidth
-					if (typeof bandwidth === 'number') {
-						vals[`output_${ch}_eq_band_${band}_bandwidth`] = bandwidth.toFixed(1)
-					}
+						const bandwidth = self.outputEQ[ch][band].bandwidth
+						if (typeof bandwidth === 'number') {
+							vals[`output_${ch}_eq_band_${band}_bandwidth`] = bandwidth.toFixed(1)
+						}
 
-					const bandBypass = self.outputEQ[ch][band].band_bypass
-					vals[`output_${ch}_eq_band_${band}_bypass`] =
-						typeof bandBypass === 'boolean' ? (bandBypass ? 'ON' : 'OFF') : String(bandBypass ?? 'OFF')
+						const bandBypass = self.outputEQ[ch][band].band_bypass
+						vals[`output_${ch}_eq_band_${band}_bypass`] =
+							typeof bandBypass === 'boolean' ? (bandBypass ? 'ON' : 'OFF') : String(bandBypass ?? 'OFF')
+					}
 				}
 			}
 		}
 
-		if (self?.outputPolarity && typeof self.outputPolarity[ch] === 'boolean') {
-			vals[`output_${ch}_polarity`] = self.outputPolarity[ch] ? 'Reverse' : 'Normal'
-		} else {
-			vals[`output_${ch}_polarity`] = 'Normal'
-		}
-
-		if (self?.outputHighpass?.[ch]) {
-			const hp = self.outputHighpass[ch]
-			if (typeof hp.bypass === 'boolean') {
-				vals[`output_${ch}_highpass`] = hp.bypass ? 'Bypassed' : 'Enabled'
-			}
-			if (typeof hp.frequency === 'number') {
-				vals[`output_${ch}_highpass_frequency`] =
-					hp.frequency % 1 === 0 ? String(Math.round(hp.frequency)) : hp.frequency.toFixed(2)
-			}
-			if (hp.type != null) {
-				vals[`output_${ch}_highpass_type`] = filterTypeLabel(hp.type, 'highpass')
+		if (filters) {
+			if (self?.outputPolarity && typeof self.outputPolarity[ch] === 'boolean') {
+				vals[`output_${ch}_polarity`] = self.outputPolarity[ch] ? 'Reverse' : 'Normal'
+			} else {
+				vals[`output_${ch}_polarity`] = 'Normal'
 			}
-		} else {
-			vals[`output_${ch}_highpass`] = 'OFF'
-			vals[`output_${ch}_highpass_frequency`] = '---'
-			vals[`output_${ch}_highpass_type`] = '---'
-		}
 
-		if (self?.outputLowpass?.[ch]) {
-			const lp = self.outputLowpass[ch]
-			if (typeof lp.bypass === 'boolean') {
-				vals[`output_${ch}_lowpass`] = lp.bypass ? 'OFF' : 'ON'
-			}
-			if (typeof lp.frequency === 'number') {
-				vals[`output_${ch}_lowpass_frequency`] =
-					lp.frequency % 1 === 0 ? String(Math.round(lp.frequency)) : lp.frequency.toFixed(2)
-			}
-			if (lp.type != null) {
-				vals[`output_${ch}_lowpass_type`] = filterTypeLabel(lp.type, 'lowpass')
+			if (self?.outputHighpass?.[ch]) {
+				const hp = self.outputHighpass[ch]
+				if (typeof hp.bypass === 'boolean') {
+					vals[`output_${ch}_highpass`] = hp.bypass ? 'Bypassed' : 'Enabled'
+				}
+				if (typeof hp.frequency === 'number') {
+					vals[`output_${ch}_highpass_frequency`] =
+						hp.frequency % 1 === 0 ? String(Math.round(hp.frequency)) : hp.frequency.toFixed(2)
+				}
+				if (hp.type != null) {
+					vals[`output_${ch}_highpass_type`] = filterTypeLabel(hp.type, 'highpass')
+				}
+			} else {
+				vals[`output_${ch}_highpass`] = 'OFF'
+				vals[`output_${ch}_highpass_frequency`] = '---'
+				vals[`output_${ch}_highpass_type`] = '---'
 			}
-		} else {
-			vals[`output_${ch}_lowpass`] = 'OFF'
-			vals[`output_${ch}_lowpass_frequency`] = '---'
-			vals[`output_${ch}_lowpass_type`] = '---'
-		}
 
-		for (let band = 1; band <= 3; band++) {
-			const ap = self?.outputAllpass?.[ch]?.[band]
-			if (ap) {
-				if (typeof ap.band_bypass === 'boolean') {
-					vals[`output_${ch}_allpass_${band}`] = ap.band_bypass ? 'OFF' : 'ON'
+			if (self?.outputLowpass?.[ch]) {
+				const lp = self.outputLowpass[ch]
+				if (typeof lp.bypass === 'boolean') {
+					vals[`output_${ch}_lowpass`] = lp.bypass ? 'OFF' : 'ON'
 				}
-				if (typeof ap.frequency === 'number') {
-					const hz = ap.frequency
-					vals[`output_${ch}_allpass_${band}_frequency`] = hz % 1 === 0 ? String(Math.round(hz)) : hz.toFixed(2)
+				if (typeof lp.frequency === 'number') {
+					vals[`output_${ch}_lowpass_frequency`] =
+						lp.frequency % 1 === 0 ? String(Math.round(lp.frequency)) : lp.frequency.toFixed(2)
 				}
-				if (typeof ap.q === 'number') {
-					const qVal = ap.q
-					vals[`output_${ch}_allpass_${band}_q`] = qVal.toFixed(2)
+				if (lp.type != null) {
+					vals[`output_${ch}_lowpass_type`] = filterTypeLabel(lp.type, 'lowpass')
 				}
 			} else {
-				vals[`output_${ch}_allpass_${band}`] = 'OFF'
-				vals[`output_${ch}_allpass_${band}_frequency`] = '---'
-				vals[`output_${ch}_allpass_${band}_q`] = '---'
+				vals[`output_${ch}_lowpass`] = 'OFF'
+				vals[`output_${ch}_lowpass_frequency`] = '---'
+				vals[`output_${ch}_lowpass_type`] = '---'
+			}
+
+			for (let band = 1; band <= 3; band++) {
+				const ap = self?.outputAllpass?.[ch]?.[band]
+				if (ap) {
+					if (typeof ap.band_bypass === 'boolean') {
+						vals[`output_${ch}_allpass_${band}`] = ap.band_bypass ? 'OFF' : 'ON'
+					}
+					if (typeof ap.frequency === 'number') {
+						const hz = ap.frequency
+						vals[`output_${ch}_allpass_${band}_frequency`] = hz % 1 === 0 ? String(Math.round(hz)) : hz.toFixed(2)
+					}
+					if (typeof ap.q === 'number') {
+						const qVal = ap.q
+						vals[`output_${ch}_allpass_${band}_q`] = qVal.toFixed(2)
+					}
+				} else {
+					vals[`output_${ch}_allpass_${band}`] = 'OFF'
+					vals[`output_${ch}_allpass_${band}_frequency`] = '---'
+					vals[`output_${ch}_allpass_${band}_q`] = '---'
+				}
 			}
 		}
 	}
@@ -379,109 +427,114 @@ module.exports = function UpdateVariableDefinitions(self, NUM_INPUTS, NUM_OUTPUT
 		}
 	}
 
-	// ===== Matrix input meters (1..32) =====
-	for (let i = 1; i <= 32; i++) {
-		vars.push({ variableId: `matrix_input_${i}_meter_dbfs`, name: `Matrix input ${i} meter (dBFS)` })
+	if (meters) {
+		// ===== Matrix input meters (1..MATRIX_INPUTS) =====
+		for (let i = 1; i <= MATRIX_INPUTS; i++) {
+			vars.push({ variableId: `matrix_input_${i}_meter_dbfs`, name: `Matrix input ${i} meter (dBFS)` })
+		}
 	}
 
-	// ===== Matrix gains =====
-	const MATRIX_INPUTS = 32
-	for (let mi = 1; mi <= MATRIX_INPUTS; mi++) {
-		for (let mo = 1; mo <= NUM_OUTPUTS; mo++) {
-			const id = `matrix_${mi}_${mo}_gain_db`
-			vars.push({ variableId: id, name: `Matrix In ${mi} → Out ${mo} gain (dB)` })
-			if (self?.matrixGain) {
-				const key = `${mi}-${mo}`
-				const cur = self.matrixGain[key]
-				if (typeof cur === 'number') vals[id] = (Math.round(cur * 10) / 10).toFixed(1)
+	if (matrix) {
+		// ===== Matrix gains =====
+		for (let mi = 1; mi <= MATRIX_INPUTS; mi++) {
+			for (let mo = 1; mo <= NUM_OUTPUTS; mo++) {
+				const id = `matrix_${mi}_${mo}_gain_db`
+				vars.push({ variableId: id, name: `Matrix In ${mi} → Out ${mo} gain (dB)` })
+				if (self?.matrixGain) {
+					const key = `${mi}-${mo}`
+					const cur = self.matrixGain[key]
+					if (typeof cur === 'number') vals[id] = (Math.round(cur * 10) / 10).toFixed(1)
+				}
 			}
 		}
-	}
 
-	// ===== Matrix delays =====
-	const DELAY_TYPE_LABELS = ['ms', 'feet', 'meters', 'frames (24fps)', 'frames (25fps)', 'frames (30fps)', 'samples']
-	for (let mi = 1; mi <= MATRIX_INPUTS; mi++) {
-		for (let mo = 1; mo <= NUM_OUTPUTS; mo++) {
-			const delayId = `matrix_${mi}_${mo}_delay_ms`
-			const bypassId = `matrix_${mi}_${mo}_delay_bypass`
-			const typeId = `matrix_${mi}_${mo}_delay_type`
-			vars.push({ variableId: delayId, name: `Matrix In ${mi} → Out ${mo} delay (ms)` })
-			vars.push({ variableId: bypassId, name: `Matrix In ${mi} → Out ${mo} delay bypass` })
-			vars.push({ variableId: typeId, name: `Matrix In ${mi} → Out ${mo} delay type` })
-
-			// Backfill delay values if available
-			if (self?.matrixDelay) {
-				const key = `${mi}-${mo}`
-				const delayData = self.matrixDelay[key]
-				if (delayData?.ms !== null && delayData?.ms !== undefined) {
-					vals[delayId] = delayData.ms.toFixed(2)
-				}
-				if (typeof delayData?.bypass === 'boolean') {
-					vals[bypassId] = delayData.bypass ? 'Bypassed' : 'Active'
-				}
-				if (typeof delayData?.type === 'number' && delayData.type >= 0 && delayData.type <= 6) {
-					vals[typeId] = DELAY_TYPE_LABELS[delayData.type] || 'ms'
+		// ===== Matrix delays =====
+		const DELAY_TYPE_LABELS = ['ms', 'feet', 'meters', 'frames (24fps)', 'frames (25fps)', 'frames (30fps)', 'samples']
+		for (let mi = 1; mi <= MATRIX_INPUTS; mi++) {
+			for (let mo = 1; mo <= NUM_OUTPUTS; mo++) {
+				const delayId = `matrix_${mi}_${mo}_delay_ms`
+				const bypassId = `matrix_${mi}_${mo}_delay_bypass`
+				const typeId = `matrix_${mi}_${mo}_delay_type`
+				vars.push({ variableId: delayId, name: `Matrix In ${mi} → Out ${mo} delay (ms)` })
+				vars.push({ variableId: bypassId, name: `Matrix In ${mi} → Out ${mo} delay bypass` })
+				vars.push({ variableId: typeId, name: `Matrix In ${mi} → Out ${mo} delay type` })
+
+				// Backfill delay values if available
+				if (self?.matrixDelay) {
+					const key = `${mi}-${mo}`
+					const delayData = self.matrixDelay[key]
+					if (delayData?.ms !== null && delayData?.ms !== undefined) {
+						vals[delayId] = delayData.ms.toFixed(2)
+					}
+					if (typeof delayData?.bypass === 'boolean') {
+						vals[bypassId] = delayData.bypass ? 'Bypassed' : 'Active'
+					}
+					if (typeof delayData?.type === 'number' && delayData.type >= 0 && delayData.type <= 6) {
+						vals[typeId] = DELAY_TYPE_LABELS[delayData.type] || 'ms'
+					}
 				}
 			}
 		}
-	}
 
-	// ===== Matrix route summaries =====
-	for (let mi = 1; mi <= MATRIX_INPUTS; mi++) {
-		const id = `matrix_input_${mi}_routes`
-		vars.push({ variableId: id, name: `Matrix In ${mi} routes` })
-		if (self?._matrixInputRoutes?.[mi] !== undefined) {
-			vals[id] = String(self._matrixInputRoutes[mi])
+		// ===== Matrix route summaries =====
+		for (let mi = 1; mi <= MATRIX_INPUTS; mi++) {
+			const id = `matrix_input_${mi}_routes`
+			vars.push({ variableId: id, name: `Matrix In ${mi} routes` })
+			if (self?._matrixInputRoutes?.[mi] !== undefined) {
+				vals[id] = String(self._matrixInputRoutes[mi])
+			}
 		}
-	}
-	for (let mo = 1; mo <= NUM_OUTPUTS; mo++) {
-		const id = `matrix_output_${mo}_routes`
-		vars.push({ variableId: id, name: `Matrix Out ${mo} routes` })
-		if (self?._matrixOutputRoutes?.[mo] !== undefined) {
-			vals[id] = String(self._matrixOutputRoutes[mo])
+		for (let mo = 1; mo <= NUM_OUTPUTS; mo++) {
+			const id = `matrix_output_${mo}_routes`
+			vars.push({ variableId: id, name: `Matrix Out ${mo} routes` })
+			if (self?._matrixOutputRoutes?.[mo] !== undefined) {
+				vals[id] = String(self._matrixOutputRoutes[mo])
+			}
 		}
-	}
 
-	// ===== Matrix Crosspoints =====
-	vars.push({ variableId: 'matrix_crosspoints_used', name: 'Matrix crosspoints used' })
-	if (typeof self?.matrixCrosspointsUsed === 'number') {
-		vals['matrix_crosspoints_used'] = String(self.matrixCrosspointsUsed)
+		// ===== Matrix Crosspoints =====
+		vars.push({ variableId: 'matrix_crosspoints_used', name: 'Matrix crosspoints used' })
+		if (typeof self?.matrixCrosspointsUsed === 'number') {
+			vals['matrix_crosspoints_used'] = String(self.matrixCrosspointsUsed)
+		}
 	}
 
-	// ===== Snapshots (named only, dynamic) =====
-	const SNAPSHOT_MAX = 255
-	const SNAPSHOT_FIELDS = ['comment', 'created', 'last_updated', 'locked', 'modified', 'name']
+	if (snapshots) {
+		// ===== Snapshots (named only, dynamic) =====
+		const SNAPSHOT_MAX = 255
+		const SNAPSHOT_FIELDS = ['comment', 'created', 'last_updated', 'locked', 'modified', 'name']
 
-	const snapCache = self?.snapshotValues || {}
-	const namedIds = []
-	for (let id = 0; id <= SNAPSHOT_MAX; id++) {
-		const nm = String(snapCache[`snapshot_${id}_name`] ?? '').trim()
-		if (nm) namedIds.push(id)
-	}
+		const snapCache = self?.snapshotValues || {}
+		const namedIds = []
+		for (let id = 0; id <= SNAPSHOT_MAX; id++) {
+			const nm = String(snapCache[`snapshot_${id}_name`] ?? '').trim()
+			if (nm) namedIds.push(id)
+		}
 
-	// Helper: show which IDs we consider “existing”
-	vars.push({ variableId: 'snapshot_named_ids', name: 'Snapshot named IDs' })
-	vals['snapshot_named_ids'] = namedIds.join(',')
+		// Helper: show which IDs we consider “existing”
+		vars.push({ variableId: 'snapshot_named_ids', name: 'Snapshot named IDs' })
+		vals['snapshot_named_ids'] = namedIds.join(',')
 
-	// Define + backfill values for named snapshots
-	for (const id of namedIds) {
-		for (const f of SNAPSHOT_FIELDS) {
-			const varId = `snapshot_${id}_${f}`
-			vars.push({ variableId: varId, name: `Snapshot ${id} ${f.replace(/_/g, ' ')}` })
-			if (snapCache[varId] !== undefined) vals[varId] = String(snapCache[varId])
+		// Define + backfill values for named snapshots
+		for (const id of namedIds) {
+			for (const f of SNAPSHOT_FIELDS) {
+				const varId = `snapshot_${id}_${f}`
+				vars.push({ variableId: varId, name: `Snapshot ${id} ${f.replace(/_/g, ' ')}` })
+				if (snapCache[varId] !== undefined) vals[varId] = String(snapCache[varId])
+			}
 		}
-	}
 
-	// ===== Active snapshot (always present) =====
-	for (const f of ['comment', 'created', 'id', 'last_updated', 'locked', 'modified', 'name']) {
-		const varId = `snapshot_active_${f}`
-		vars.push({ variableId: varId, name: `Snapshot active ${f.replace(/_/g, ' ')}` })
-		if (snapCache[varId] !== undefined) vals[varId] = String(snapCache[varId])
-	}
+		// ===== Active snapshot (always present) =====
+		for (const f of ['comment', 'created', 'id', 'last_updated', 'locked', 'modified', 'name']) {
+			const varId = `snapshot_active_${f}`
+			vars.push({ variableId: varId, name: `Snapshot active ${f.replace(/_/g, ' ')}` })
+			if (snapCache[varId] !== undefined) vals[varId] = String(snapCache[varId])
+		}
 
-	vars.push({ variableId: 'snapshot_boot_id', name: 'Snapshot boot ID (-1 disables boot recall)' })
-	if (snapCache.snapshot_boot_id !== undefined) {
-		vals.snapshot_boot_id = String(snapCache.snapshot_boot_id)
+		vars.push({ variableId: 'snapshot_boot_id', name: 'Snapshot boot ID (-1 disables boot recall)' })
+		if (snapCache.snapshot_boot_id !== undefined) {
+			vals.snapshot_boot_id = String(snapCache.snapshot_boot_id)
+		}
 	}
 
 	// ===== Entity (/entity/*) =====
@@ -511,40 +564,42 @@ module.exports = function UpdateVariableDefinitions(self, NUM_INPUTS, NUM_OUTPUT
 		if (cur !== undefined && cur !== null) vals[id] = String(cur)
 	}
 
-	// ===== Clock AES Output =====
-	for (const v of ['aes_output_input_number', 'aes_output_sample_rate', 'aes_output_source', 'aes_output_sync']) {
-		vars.push({ variableId: v, name: `Clock AES output: ${v.split('_').slice(2).join(' ')}` })
-		if (self?.clockAesValues?.[v] !== undefined) vals[v] = String(self.clockAesValues[v])
-	}
+	if (clocks) {
+		// ===== Clock AES Output =====
+		for (const v of ['aes_output_input_number', 'aes_output_sample_rate', 'aes_output_source', 'aes_output_sync']) {
+			vars.push({ variableId: v, name: `Clock AES output: ${v.split('_').slice(2).join(' ')}` })
+			if (self?.clockAesValues?.[v] !== undefined) vals[v] = String(self.clockAesValues[v])
+		}
 
-	// ===== Clock inputs 1..3 =====
-	for (let i = 1; i <= 3; i++) {
-		for (const leaf of ['sample_rate', 'sync']) {
-			const v = `clock_input_${i}_${leaf}`
-			vars.push({ variableId: v, name: `Clock input ${i} ${leaf.replace(/_/g, ' ')}` })
-			if (self?.clockInputValues?.[v] !== undefined) vals[v] = String(self.clockInputValues[v])
+		// ===== Clock inputs 1..3 =====
+		for (let i = 1; i <= 3; i++) {
+			for (const leaf of ['sample_rate', 'sync']) {
+				const v = `clock_input_${i}_${leaf}`
+				vars.push({ variableId: v, name: `Clock input ${i} ${leaf.replace(/_/g, ' ')}` })
+				if (self?.clockInputValues?.[v] !== undefined) vals[v] = String(self.clockInputValues[v])
+			}
 		}
-	}
 
-	// ===== Clock system =====
-	for (const v of [
-		'clock_system_input_number',
-		'clock_system_sample_rate',
-		'clock_system_source',
-		'clock_system_sync',
-	]) {
-		vars.push({ variableId: v, name: v.replace(/_/g, ' ') })
-		if (self?.clockSystemValues?.[v] !== undefined) vals[v] = String(self.clockSystemValues[v])
-	}
+		// ===== Clock system =====
+		for (const v of [
+			'clock_system_input_number',
+			'clock_system_sample_rate',
+			'clock_system_source',
+			'clock_system_sync',
+		]) {
+			vars.push({ variableId: v, name: v.replace(/_/g, ' ') })
+			if (self?.clockSystemValues?.[v] !== undefined) vals[v] = String(self.clockSystemValues[v])
+		}
 
-	// ===== Word clock =====
-	for (const v of ['word_clock_sample_rate', 'word_clock_sync', 'word_clock_termination']) {
-		vars.push({ variableId: v, name: v.replace(/_/g, ' ') })
-		if (self?.wordClockValues?.[v] !== undefined) vals[v] = String(self.wordClockValues[v])
+		// ===== Word clock =====
+		for (const v of ['word_clock_sample_rate', 'word_clock_sync', 'word_clock_termination']) {
+			vars.push({ variableId: v, name: v.replace(/_/g, ' ') })
+			if (self?.wordClockValues?.[v] !== undefined) vals[v] = String(self.wordClockValues[v])
+		}
 	}
 
 	// ===== Misc =====
-	for (const v of ['rtc_date_and_time', 'identify_active']) {
+	for (const v of clocks ? ['rtc_date_and_time', 'identify_active'] : ['identify_active']) {
 		vars.push({ variableId: v, name: v.replace(/_/g, ' ') })
 		const cur = self?.getVariableValue?.(v)
 		if (cur !== undefined && cur !== null) vals[v] = String(cur)
@@ -558,11 +613,146 @@ module.exports = function UpdateVariableDefinitions(self, NUM_INPUTS, NUM_OUTPUT
 			if (self?.statusNetwork?.[v] !== undefined) vals[v] = String(self.statusNetwork[v])
 		}
 	}
+	if (instanceWide) {
+		vars.push({ variableId: 'network_path_active', name: 'Active network path (primary/secondary)' })
+		vals['network_path_active'] = self?._activePath ?? 'primary'
+	}
+
+	// ===== Heartbeat =====
+	vars.push({ variableId: 'connection_latency_ms', name: 'Connection latency (ms, heartbeat round trip)' })
+	vars.push({ variableId: 'last_message_age_s', name: 'Seconds since the last message from the Galaxy' })
+	if (self?._connectionLatencyMs != null) vals['connection_latency_ms'] = self._connectionLatencyMs
+
+	// ===== Initial sync =====
+	vars.push({ variableId: 'sync_progress', name: 'Initial sync progress (%)' })
+	vars.push({ variableId: 'sync_unanswered', name: 'Paths that never answered the last sync' })
+	// ===== Command pipeline =====
+	vars.push({ variableId: 'cmd_queue_depth', name: 'Commands queued or awaiting confirmation' })
+	vars.push({ variableId: 'cmd_failed_count', name: 'Commands failed (never confirmed)' })
+	vars.push({ variableId: 'cmd_last_failed', name: 'Last failed command' })
+	vars.push({ variableId: 'cmd_latency_ms', name: 'Command round-trip latency (ms)' })
+	if (self?._cmdStats) {
+		vals['cmd_queue_depth'] = (self.cmdQueue?.length ?? 0) + (self._cmdPending?.size ?? 0)
+		vals['cmd_failed_count'] = self._cmdStats.failed
+		vals['cmd_last_failed'] = self._cmdStats.lastFailed
+		vals['cmd_latency_ms'] = self._cmdStats.latencyMs ?? ''
+	}
+
+	// ===== Watched paths (config) =====
+	for (const entry of self?._watched?.values?.() ?? []) {
+		vars.push({ variableId: entry.variableId, name: `Watched: ${entry.alias}` })
+		if (self._watchValues?.[entry.path] !== undefined) vals[entry.variableId] = self._watchValues[entry.path]
+	}
+
+	// ===== Raw command =====
+	vars.push({ variableId: 'raw_last_command', name: 'Last raw command that got a reply' })
+	vars.push({ variableId: 'raw_last_reply', name: 'Reply to the last raw command' })
+	if (self?._rawReply) {
+		vals['raw_last_command'] = self._rawReply.command
+		vals['raw_last_reply'] = self._rawReply.value
+	}
+
+	// ===== External changes =====
+	vars.push({ variableId: 'external_change_count', name: 'External changes since the reference point' })
+	vars.push({ variableId: 'external_change_path', name: 'Last external change: path' })
+	vars.push({ variableId: 'external_change_old', name: 'Last external change: old value' })
+	vars.push({ variableId: 'external_change_new', name: 'Last external change: new value' })
+	vars.push({ variableId: 'external_change_time', name: 'Last external change: time' })
+	if (self?._externalChanges) {
+		const last = self._externalChanges.last
+		vals['external_change_count'] = self._externalChanges.count
+		vals['external_change_path'] = last?.path ?? ''
+		vals['external_change_old'] = last?.old ?? ''
+		vals['external_change_new'] = last?.value ?? ''
+		vals['external_change_time'] = last ? new Date(last.at).toTimeString().slice(0, 8) : ''
+	}
+
+	// ===== State diff =====
+	vars.push({ variableId: 'state_diff_count', name: 'Parameters differing from the reference state' })
+	vars.push({ variableId: 'state_diff_reference', name: 'Reference state (device, model, export time)' })
+	if (self?._stateReference) {
+		vals['state_diff_count'] = self._stateReference.diffs.size
+		vals['state_diff_reference'] = self._stateReference.from
+	}
+
+	if (instanceWide) {
+		// ===== Dry run =====
+		vars.push({ variableId: 'dry_run_action', name: 'Last dry run: action' })
+		vars.push({ variableId: 'dry_run_count', name: 'Last dry run: commands not sent' })
+		if (self?._dryRunLast) {
+			vals['dry_run_action'] = self._dryRunLast.action
+			vals['dry_run_count'] = self._dryRunLast.count
+		}
+
+		// ===== State export =====
+		vars.push({ variableId: 'state_export_file', name: 'Last state export: file' })
+		vars.push({ variableId: 'state_export_time', name: 'Last state export: time' })
+		vars.push({ variableId: 'state_import_changes', name: 'Last state import: parameters to change' })
+		vars.push({ variableId: 'state_import_summary', name: 'Last state import: changes per section' })
+
+		// ===== Undo / redo =====
+		vars.push({ variableId: 'undo_depth', name: 'Undo: steps available' })
+		vars.push({ variableId: 'redo_depth', name: 'Redo: steps available' })
+		vars.push({ variableId: 'undo_next', name: 'Undo: next step (parameter old \u2192 new)' })
+		vars.push({ variableId: 'redo_next', name: 'Redo: next step (parameter old \u2192 new)' })
+		if (self?._undoStack) {
+			vals['undo_depth'] = self._undoStack.length
+			vals['redo_depth'] = self._redoStack.length
+			vals['undo_next'] = self._undoDescribe(self._undoStack.at(-1))
+			vals['redo_next'] = self._undoDescribe(self._redoStack.at(-1))
+		}
+
+		// ===== Scenes =====
+		vars.push({ variableId: 'scene_count', name: 'Stored scenes' })
+		vars.push({ variableId: 'scene_list', name: 'Stored scene names' })
+		vars.push({ variableId: 'scene_last_stored', name: 'Last stored scene' })
+		vars.push({ variableId: 'scene_last_recalled', name: 'Last recalled scene' })
+		if (self?._scenes) {
+			vals['scene_count'] = Object.keys(self._scenes).length
+			vals['scene_list'] = Object.keys(self._scenes).join(', ')
+			vals['scene_last_stored'] = self._sceneLastStored
+			vals['scene_last_recalled'] = self._sceneLastRecalled
+		}
+
+		// ===== Bulk sender =====
+		vars.push({ variableId: 'bulk_job', name: 'Bulk write: running action(s)' })
+		vars.push({ variableId: 'bulk_progress', name: 'Bulk write: progress (%)' })
+		vars.push({ variableId: 'bulk_remaining', name: 'Bulk write: commands remaining' })
+		const bulk = self?._bulk
+		vals['bulk_job'] = bulk?.label ?? ''
+		vals['bulk_progress'] = bulk ? Math.floor((bulk.sent / bulk.total) * 100) : 100
+		vals['bulk_remaining'] = bulk?.entries.length ?? 0
+	}
+
+	// ===== Offline queue =====
+	vars.push({ variableId: 'offline_pending_count', name: 'Changes queued while the Galaxy is offline' })
+	vars.push({ variableId: 'offline_pending', name: 'Commands queued while the Galaxy is offline' })
+	if (self?._offlineQueue) {
+		vals['offline_pending_count'] = self._offlineQueue.length
+		vals['offline_pending'] = self._offlineQueue.map((entry) => entry.line).join(', ')
+	}
+
+	// ===== Device errors =====
+	vars.push({ variableId: 'last_error', name: 'Last device error (action: message)' })
+	vars.push({ variableId: 'error_count', name: 'Device error count' })
+	if (self?._errorStats) {
+		vals['last_error'] = self._errorStats.last
+		vals['error_count'] = self._errorStats.count
+	}
+
 	vars.push({ variableId: 'status_model_string', name: 'Status model string' })
 	if (self?.miscValues?.status_model_string !== undefined) {
 		vals['status_model_string'] = String(self.miscValues.status_model_string)
 	}
 
+	// ===== Additional devices =====
+	for (const dev of instanceWide ? self?._devices || [] : []) {
+		vars.push({ variableId: `device_${dev.deviceId}_status`, name: `Device ${dev.deviceAlias} connection status` })
+		vars.push({ variableId: `device_${dev.deviceId}_model`, name: `Device ${dev.deviceAlias} model string` })
+		vals[`device_${dev.deviceId}_status`] = String(dev._deviceStatus ?? '')
+		vals[`device_${dev.deviceId}_model`] = String(dev.miscValues?.status_model_string ?? '')
+	}
+
 	// ===== Front panel lockout =====
 	vars.push({ variableId: 'front_panel_lockout', name: 'Front panel lockout' })
 	if (self?.miscValues?.front_panel_lockout !== undefined) {
@@ -632,60 +822,72 @@ module.exports = function UpdateVariableDefinitions(self, NUM_INPUTS, NUM_OUTPUT
 		}
 	}
 
-	// Input U-Shaping selection variables
-	vars.push({ variableId: 'ushaping_selected_input', name: 'Input U-Shaping Selected Input(s)' })
-	vars.push({ variableId: 'ushaping_selected_input_num', name: 'Input U-Shaping Selected Input Number(s)' })
-	vars.push({ variableId: 'ushaping_selected_band', name: 'Input U-Shaping Selected Band' })
-	vars.push({ variableId: 'ushaping_selected_band_num', name: 'Input U-Shaping Selected Band Number' })
-
-	// Input U-Shaping dynamic current value variables
-	vars.push({ variableId: 'ushaping_current_gain', name: 'Input U-Shaping Current Gain (selected ch/band)' })
-	vars.push({ variableId: 'ushaping_current_frequency', name: 'Input U-Shaping Current Frequency (selected ch/band)' })
-	vars.push({ variableId: 'ushaping_current_slope', name: 'Input U-Shaping Current Slope (selected ch/band)' })
-
-	// Input Parametric EQ selection variables
-	vars.push({ variableId: 'eq_selected_input', name: 'Input Parametric EQ Selected Input(s)' })
-	vars.push({ variableId: 'eq_selected_input_num', name: 'Input Parametric EQ Selected Input Number(s)' })
-	vars.push({ variableId: 'eq_selected_band', name: 'Input Parametric EQ Selected Band' })
-	vars.push({ variableId: 'eq_selected_band_num', name: 'Input Parametric EQ Selected Band Number' })
-
-	// Input Parametric EQ dynamic current value variables
-	vars.push({ variableId: 'eq_current_gain', name: 'Input Parametric EQ Current Gain (selected ch/band)' })
-	vars.push({ variableId: 'eq_current_frequency', name: 'Input Parametric EQ Current Frequency (selected ch/band)' })
-	vars.push({ variableId: 'eq_current_bandwidth', name: 'Input Parametric EQ Current Bandwidth (selected ch/band)' })
-
-	// Output U-Shaping selection variables
-	vars.push({ variableId: 'ushaping_selected_output', name: 'Output U-Shaping Selected Output(s)' })
-	vars.push({ variableId: 'ushaping_selected_output_num', name: 'Output U-Shaping Selected Output Number(s)' })
-	vars.push({ variableId: 'ushaping_selected_output_band', name: 'Output U-Shaping Selected Band' })
-	vars.push({ variableId: 'ushaping_selected_output_band_num', name: 'Output U-Shaping Selected Band Number' })
-
-	// Output U-Shaping dynamic current value variables
-	vars.push({ variableId: 'ushaping_output_current_gain', name: 'Output U-Shaping Current Gain (selected ch/band)' })
-	vars.push({
-		variableId: 'ushaping_output_current_frequency',
-		name: 'Output U-Shaping Current Frequency (selected ch/band)',
-	})
-	vars.push({ variableId: 'ushaping_output_current_slope', name: 'Output U-Shaping Current Slope (selected ch/band)' })
-
-	// Output Parametric EQ selection variables
-	vars.push({ variableId: 'eq_selected_output', name: 'Output Parametric EQ Selected Output(s)' })
-	vars.push({ variableId: 'eq_selected_output_num', name: 'Output Parametric EQ Selected Output Number(s)' })
-	vars.push({ variableId: 'eq_selected_output_band', name: 'Output Parametric EQ Selected Band' })
-	vars.push({ variableId: 'eq_selected_output_band_num', name: 'Output Parametric EQ Selected Band Number' })
-
-	// Output Parametric EQ dynamic current value variables
-	vars.push({ variableId: 'eq_output_current_gain', name: 'Output Parametric EQ Current Gain (selected ch/band)' })
-	vars.push({
-		variableId: 'eq_output_current_frequency',
-		name: 'Output Parametric EQ Current Frequency (selected ch/band)',
-	})
-	vars.push({
-		variableId: 'eq_output_current_bandwidth',
-		name: 'Output Parametric EQ Current Bandwidth (selected ch/band)',
-	})
+	if (ushaping) {
+		// Input U-Shaping selection variables
+		vars.push({ variableId: 'ushaping_selected_input', name: 'Input U-Shaping Selected Input(s)' })
+		vars.push({ variableId: 'ushaping_selected_input_num', name: 'Input U-Shaping Selected Input Number(s)' })
+		vars.push({ variableId: 'ushaping_selected_band', name: 'Input U-Shaping Selected Band' })
+		vars.push({ variableId: 'ushaping_selected_band_num', name: 'Input U-Shaping Selected Band Number' })
 
-	// Apply defs, then push current values so UI shows them immediately
-	self.setVariableDefinitions(vars)
-	if (Object.keys(vals).length) self.setVariableValues(vals)
+		// Input U-Shaping dynamic current value variables
+		vars.push({ variableId: 'ushaping_current_gain', name: 'Input U-Shaping Current Gain (selected ch/band)' })
+		vars.push({
+			variableId: 'ushaping_current_frequency',
+			name: 'Input U-Shaping Current Frequency (selected ch/band)',
+		})
+		vars.push({ variableId: 'ushaping_current_slope', name: 'Input U-Shaping Current Slope (selected ch/band)' })
+	}
+
+	if (eq) {
+		// Input Parametric EQ selection variables
+		vars.push({ variableId: 'eq_selected_input', name: 'Input Parametric EQ Selected Input(s)' })
+		vars.push({ variableId: 'eq_selected_input_num', name: 'Input Parametric EQ Selected Input Number(s)' })
+		vars.push({ variableId: 'eq_selected_band', name: 'Input Parametric EQ Selected Band' })
+		vars.push({ variableId: 'eq_selected_band_num', name: 'Input Parametric EQ Selected Band Number' })
+
+		// Input Parametric EQ dynamic current value variables
+		vars.push({ variableId: 'eq_current_gain', name: 'Input Parametric EQ Current Gain (selected ch/band)' })
+		vars.push({ variableId: 'eq_current_frequency', name: 'Input Parametric EQ Current Frequency (selected ch/band)' })
+		vars.push({ variableId: 'eq_current_bandwidth', name: 'Input Parametric EQ Current Bandwidth (selected ch/band)' })
+	}
+
+	if (ushaping) {
+		// Output U-Shaping selection variables
+		vars.push({ variableId: 'ushaping_selected_output', name: 'Output U-Shaping Selected Output(s)' })
+		vars.push({ variableId: 'ushaping_selected_output_num', name: 'Output U-Shaping Selected Output Number(s)' })
+		vars.push({ variableId: 'ushaping_selected_output_band', name: 'Output U-Shaping Selected Band' })
+		vars.push({ variableId: 'ushaping_selected_output_band_num', name: 'Output U-Shaping Selected Band Number' })
+
+		// Output U-Shaping dynamic current value variables
+		vars.push({ variableId: 'ushaping_output_current_gain', name: 'Output U-Shaping Current Gain (selected ch/band)' })
+		vars.push({
+			variableId: 'ushaping_output_current_frequency',
+			name: 'Output U-Shaping Current Frequency (selected ch/band)',
+		})
+		vars.push({
+			variableId: 'ushaping_output_current_slope',
+			name: 'Output U-Shaping Current Slope (selected ch/band)',
+		})
+	}
+
+	if (eq) {
+		// Output Parametric EQ selection variables
+		vars.push({ variableId: 'eq_selected_output', name: 'Output Parametric EQ Selected Output(s)' })
+		vars.push({ variableId: 'eq_selected_output_num', name: 'Output Parametric EQ Selected Output Number(s)' })
+		vars.push({ variableId: 'eq_selected_output_band', name: 'Output Parametric EQ Selected Band' })
+		vars.push({ variableId: 'eq_selected_output_band_num', name: 'Output Parametric EQ Selected Band Number' })
+
+		// Output Parametric EQ dynamic current value variables
+		vars.push({ variableId: 'eq_output_current_gain', name: 'Output Parametric EQ Current Gain (selected ch/band)' })
+		vars.push({
+			variableId: 'eq_output_current_frequency',
+			name: 'Output Parametric EQ Current Frequency (selected ch/band)',
+		})
+		vars.push({
+			variableId: 'eq_output_current_bandwidth',
+			name: 'Output Parametric EQ Current Bandwidth (selected ch/band)',
+		})
+	}
+
+	return { vars, vals }
 }